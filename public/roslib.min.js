@@ -1,182 +1,475 @@
-window.ROSLIB = {
-  Ros: function(options) {
-    this.url = options.url || 'ws://localhost:9090';
-    this.isConnected = false;
-    this.socket = null;
-    this.onConnection = null;
-    this.onError = null;
-    this.onClose = null;
-    
-    this.connect = function() {
-      try {
-        console.log('嘗試連接到:', this.url);
-        this.socket = new WebSocket(this.url);
-        
-        this.socket.onopen = () => {
-          console.log('WebSocket 連接成功');
-          this.isConnected = true;
-          if (this.onConnection) this.onConnection();
-        };
-        
-        this.socket.onerror = (error) => {
-          console.log('WebSocket 連接錯誤:', error);
-          this.isConnected = false;
-          if (this.onError) this.onError(error);
-        };
-        
-        this.socket.onclose = () => {
-          console.log('WebSocket 連接關閉');
-          this.isConnected = false;
-          if (this.onClose) this.onClose();
-        };
-        
-        this.socket.onmessage = (event) => {
-          try {
-            const data = JSON.parse(event.data);
-            if (this.onMessage) this.onMessage(data);
-          } catch (e) {
-            console.log('解析訊息錯誤:', e);
-          }
-        };
-        
-      } catch (error) {
-        console.log('建立 WebSocket 錯誤:', error);
-        if (this.onError) this.onError(error);
-      }
+// rosbridge v2 客戶端（ROSLIB 相容介面）
+//
+// 所有來自 rosbridge 的訊息都經過 Ros 的中央分派器：
+//   - publish 依話題名稱分派給各 Topic 的訂閱者
+//   - service_response 依請求 id 分派給對應的服務呼叫
+//   - call_service 分派給以 advertise 提供的服務
+//   - status 以 'status' 事件送出
+//
+// 訂閱與廣告（advertise / advertise_service）登記在 Ros 上，
+// 同一個 Ros 實例重新 connect() 後會自動重新送出，使用端不需重建話題。
+(function (root, factory) {
+  const ROSLIB = factory(root);
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ROSLIB;
+  }
+  if (root) {
+    root.ROSLIB = ROSLIB;
+  }
+})(typeof window !== 'undefined' ? window : null, function (root) {
+  const STATUS_LEVELS = ['none', 'error', 'warning', 'info'];
+
+  // 簡易事件發射器
+  function EventEmitter() {
+    this._listeners = {};
+  }
+
+  EventEmitter.prototype.on = function (event, callback) {
+    (this._listeners[event] = this._listeners[event] || []).push(callback);
+    return this;
+  };
+
+  EventEmitter.prototype.once = function (event, callback) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      callback(...args);
     };
-    
-    this.close = function() {
-      if (this.socket) {
-        this.socket.close();
+    return this.on(event, wrapper);
+  };
+
+  EventEmitter.prototype.off = function (event, callback) {
+    const listeners = this._listeners[event];
+    if (!listeners) return this;
+    this._listeners[event] = callback ? listeners.filter(cb => cb !== callback) : [];
+    return this;
+  };
+
+  EventEmitter.prototype.emit = function (event, ...args) {
+    (this._listeners[event] || []).slice().forEach(cb => cb(...args));
+    return this;
+  };
+
+  EventEmitter.prototype.listenerCount = function (event) {
+    return (this._listeners[event] || []).length;
+  };
+
+  /**
+   * rosbridge 連線
+   * @param {object} options
+   * @param {string} [options.url] - 提供時立即連線
+   * @param {function} [options.WebSocket] - WebSocket 實作（預設為瀏覽器內建）
+   */
+  function Ros(options = {}) {
+    EventEmitter.call(this);
+    this.url = options.url || null;
+    this.socket = null;
+    this.isConnected = false;
+    this.WebSocket = options.WebSocket || (root && root.WebSocket);
+    this._idCounter = 0;
+    this._pending = [];
+    this._registered = {};
+    this._topicHandlers = {};
+    this._serviceCallbacks = {};
+    this._advertisedServices = {};
+
+    if (this.url) this.connect(this.url);
+  }
+
+  Ros.prototype = Object.create(EventEmitter.prototype);
+  Ros.prototype.constructor = Ros;
+
+  Ros.prototype.connect = function (url) {
+    if (url) this.url = url;
+    if (!this.WebSocket) {
+      this.emit('error', new Error('WebSocket 不可用'));
+      return;
+    }
+
+    // 捨棄舊的 socket，其事件不再處理，等待中的服務呼叫也不會再有回應
+    if (this.socket) {
+      const oldSocket = this.socket;
+      this.socket = null;
+      this.isConnected = false;
+      oldSocket.close();
+      this.failServiceCalls('連線已重新建立');
+    }
+
+    try {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        if (this.socket !== socket) return;
+        this.isConnected = true;
+        Object.keys(this._registered).forEach(key => socket.send(JSON.stringify(this._registered[key])));
+        const pending = this._pending;
+        this._pending = [];
+        pending.forEach(message => socket.send(JSON.stringify(message)));
+        this.emit('connection');
+      };
+
+      socket.onerror = (error) => {
+        if (this.socket !== socket) return;
+        this.emit('error', error);
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
         this.isConnected = false;
+        this.socket = null;
+        this.failServiceCalls('連線已關閉');
+        this.emit('close');
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (e) {
+          console.log('解析訊息錯誤:', e);
+          return;
+        }
+        this.handleMessage(message);
+      };
+    } catch (error) {
+      this.emit('error', error);
+    }
+  };
+
+  Ros.prototype.close = function () {
+    const socket = this.socket;
+    this._pending = [];
+    this.failServiceCalls('連線已關閉');
+    if (socket) {
+      this.isConnected = false;
+      this.socket = null;
+      socket.close();
+      this.emit('close');
+    }
+  };
+
+  // 連線關閉時不會再收到回應：所有等待中的服務呼叫以失敗結束，尚未送出的也不再於重新連線後送出
+  Ros.prototype.failServiceCalls = function (error) {
+    const callbacks = this._serviceCallbacks;
+    this._serviceCallbacks = {};
+    this._pending = this._pending.filter(message => message.op !== 'call_service');
+    Object.keys(callbacks).forEach(id => callbacks[id].failed(error));
+  };
+
+  Ros.prototype.nextId = function (prefix) {
+    this._idCounter += 1;
+    return `${prefix}:${this._idCounter}`;
+  };
+
+  // 已連線時立即送出，否則排隊等連線建立
+  Ros.prototype.callOnConnection = function (message) {
+    if (!this.sendIfConnected(message)) {
+      this._pending.push(message);
+    }
+  };
+
+  // 未連線時直接丟棄（例如 cmd_vel，重新連線後送出過期指令並不安全）
+  Ros.prototype.sendIfConnected = function (message) {
+    if (!this.isConnected || !this.socket) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  };
+
+  // 登記需要在每次連線時重新送出的操作
+  Ros.prototype.register = function (key, message) {
+    this._registered[key] = message;
+    this.sendIfConnected(message);
+  };
+
+  // 取消登記；已連線時送出對應的取消操作
+  Ros.prototype.unregister = function (key, message) {
+    delete this._registered[key];
+    if (message) this.sendIfConnected(message);
+  };
+
+  // 中央分派器
+  Ros.prototype.handleMessage = function (message) {
+    switch (message.op) {
+      case 'publish': {
+        const handlers = this._topicHandlers[message.topic];
+        if (handlers) handlers.slice().forEach(handler => handler(message.msg));
+        break;
       }
-    };
-    
-    this.on = function(event, callback) {
-      if (event === 'connection') this.onConnection = callback;
-      if (event === 'error') this.onError = callback;
-      if (event === 'close') this.onClose = callback;
-    };
-  },
-  
-  Topic: function(options) {
+      case 'service_response': {
+        const callbacks = this._serviceCallbacks[message.id];
+        if (!callbacks) break;
+        delete this._serviceCallbacks[message.id];
+        if (message.result === false) {
+          callbacks.failed(message.values);
+        } else {
+          callbacks.success(message.values);
+        }
+        break;
+      }
+      case 'call_service': {
+        const handler = this._advertisedServices[message.service];
+        if (handler) handler(message);
+        break;
+      }
+      case 'status':
+        this.emit('status', message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  Ros.prototype.addTopicHandler = function (topic, handler) {
+    (this._topicHandlers[topic] = this._topicHandlers[topic] || []).push(handler);
+  };
+
+  Ros.prototype.removeTopicHandler = function (topic, handler) {
+    const handlers = this._topicHandlers[topic];
+    if (!handlers) return;
+    const remaining = handlers.filter(h => h !== handler);
+    if (remaining.length) {
+      this._topicHandlers[topic] = remaining;
+    } else {
+      delete this._topicHandlers[topic];
+    }
+  };
+
+  Ros.prototype.setStatusLevel = function (level, id) {
+    if (!STATUS_LEVELS.includes(level)) throw new Error(`無效的狀態等級: ${level}`);
+    const message = { op: 'set_level', level };
+    if (id) message.id = id;
+    this.callOnConnection(message);
+  };
+
+  /**
+   * 話題
+   * @param {object} options
+   * @param {Ros} options.ros
+   * @param {string} options.name
+   * @param {string} options.messageType
+   * @param {number} [options.throttle_rate] - 訂閱最小間隔（毫秒）
+   * @param {number} [options.queue_length] - rosbridge 端佇列長度
+   * @param {string} [options.compression]
+   * @param {boolean} [options.latch]
+   * @param {number} [options.queue_size] - 發布端佇列長度
+   */
+  function Topic(options) {
+    EventEmitter.call(this);
     this.ros = options.ros;
     this.name = options.name;
     this.messageType = options.messageType;
+    this.throttle_rate = options.throttle_rate || 0;
+    this.queue_length = options.queue_length || 0;
+    this.compression = options.compression || 'none';
+    this.latch = options.latch || false;
+    this.queue_size = options.queue_size || 100;
     this.isAdvertised = false;
-    this.subscribers = [];
-    
-    this.advertise = function() {
-      if (this.ros && this.ros.socket && this.ros.isConnected && !this.isAdvertised) {
-        const msg = {
-          op: 'advertise',
-          topic: this.name,
-          type: this.messageType
-        };
-        this.ros.socket.send(JSON.stringify(msg));
-        this.isAdvertised = true;
-        console.log('話題已發布:', this.name);
-      }
-    };
-    
-    this.publish = function(message) {
-      if (this.ros && this.ros.socket && this.ros.isConnected) {
-        if (!this.isAdvertised) {
-          this.advertise();
-        }
-        
-        const msg = {
-          op: 'publish',
-          topic: this.name,
-          msg: message
-        };
-        this.ros.socket.send(JSON.stringify(msg));
-        console.log('發布訊息到', this.name, ':', message);
-      } else {
-        console.log('無法發布訊息，ROS 未連接');
-      }
-    };
-    
-    this.subscribe = function(callback) {
-      if (this.ros && this.ros.socket && this.ros.isConnected) {
-        const msg = {
-          op: 'subscribe',
-          topic: this.name,
-          type: this.messageType
-        };
-        this.ros.socket.send(JSON.stringify(msg));
-        
-        // 儲存回調函數
-        this.subscribers.push(callback);
-        
-        // 設置訊息處理
-        const oldOnMessage = this.ros.onMessage;
-        this.ros.onMessage = (data) => {
-          if (oldOnMessage) oldOnMessage(data);
-          
-          if (data.op === 'publish' && data.topic === this.name) {
-            this.subscribers.forEach(cb => cb(data.msg));
-          }
-        };
-        
-        console.log('訂閱話題:', this.name);
-      }
-    };
-    
-    this.unsubscribe = function() {
-      if (this.ros && this.ros.socket && this.ros.isConnected) {
-        const msg = {
-          op: 'unsubscribe',
-          topic: this.name
-        };
-        this.ros.socket.send(JSON.stringify(msg));
-        this.subscribers = [];
-        console.log('取消訂閱話題:', this.name);
-      }
+    this.subscribeId = null;
+    this.advertiseId = null;
+    this.callbacks = [];
+
+    this._messageHandler = (message) => {
+      this.callbacks.slice().forEach(cb => cb(message));
     };
-  },
-  
-  Service: function(options) {
+  }
+
+  Topic.prototype = Object.create(EventEmitter.prototype);
+  Topic.prototype.constructor = Topic;
+
+  Topic.prototype.subscribe = function (callback) {
+    if (typeof callback === 'function') this.callbacks.push(callback);
+    if (this.subscribeId) return;
+
+    this.subscribeId = this.ros.nextId(`subscribe:${this.name}`);
+    this.ros.addTopicHandler(this.name, this._messageHandler);
+    this.ros.register(this.subscribeId, {
+      op: 'subscribe',
+      id: this.subscribeId,
+      type: this.messageType,
+      topic: this.name,
+      compression: this.compression,
+      throttle_rate: this.throttle_rate,
+      queue_length: this.queue_length
+    });
+  };
+
+  // 傳入回調時只移除該回調；最後一個回調移除或未傳入時取消整個訂閱
+  Topic.prototype.unsubscribe = function (callback) {
+    if (callback) {
+      this.callbacks = this.callbacks.filter(cb => cb !== callback);
+      if (this.callbacks.length > 0) return;
+    } else {
+      this.callbacks = [];
+    }
+    if (!this.subscribeId) return;
+
+    this.ros.removeTopicHandler(this.name, this._messageHandler);
+    this.ros.unregister(this.subscribeId, {
+      op: 'unsubscribe',
+      id: this.subscribeId,
+      topic: this.name
+    });
+    this.subscribeId = null;
+  };
+
+  Topic.prototype.advertise = function () {
+    if (this.isAdvertised) return;
+    this.advertiseId = this.ros.nextId(`advertise:${this.name}`);
+    this.ros.register(this.advertiseId, {
+      op: 'advertise',
+      id: this.advertiseId,
+      type: this.messageType,
+      topic: this.name,
+      latch: this.latch,
+      queue_size: this.queue_size
+    });
+    this.isAdvertised = true;
+  };
+
+  Topic.prototype.unadvertise = function () {
+    if (!this.isAdvertised) return;
+    this.ros.unregister(this.advertiseId, {
+      op: 'unadvertise',
+      id: this.advertiseId,
+      topic: this.name
+    });
+    this.isAdvertised = false;
+    this.advertiseId = null;
+  };
+
+  /**
+   * 發布訊息；未連線時直接丟棄
+   * @returns {boolean} 是否已送出，呼叫端可據此判斷（例如導航目標不應視為已發送）
+   */
+  Topic.prototype.publish = function (message) {
+    if (!this.isAdvertised) this.advertise();
+    return this.ros.sendIfConnected({
+      op: 'publish',
+      id: this.ros.nextId(`publish:${this.name}`),
+      topic: this.name,
+      msg: message,
+      latch: this.latch
+    });
+  };
+
+  /**
+   * 服務
+   * @param {object} options
+   * @param {Ros} options.ros
+   * @param {string} options.name
+   * @param {string} options.serviceType
+   */
+  function Service(options) {
+    EventEmitter.call(this);
     this.ros = options.ros;
     this.name = options.name;
     this.serviceType = options.serviceType;
-    
-    this.callService = function(request, callback) {
-      if (this.ros && this.ros.socket && this.ros.isConnected) {
-        const msg = {
-          op: 'call_service',
-          service: this.name,
-          args: request || {},
-          id: 'service_call_' + Date.now()
-        };
-        
-        // 設置回調處理
-        const oldOnMessage = this.ros.onMessage;
-        this.ros.onMessage = (data) => {
-          if (oldOnMessage) oldOnMessage(data);
-          
-          if (data.op === 'service_response' && data.id === msg.id) {
-            if (callback) callback(data.values);
-          }
-        };
-        
-        this.ros.socket.send(JSON.stringify(msg));
-        console.log('呼叫服務:', this.name, request);
+    this.isAdvertised = false;
+    this._serviceCallback = null;
+  }
+
+  Service.prototype = Object.create(EventEmitter.prototype);
+  Service.prototype.constructor = Service;
+
+  /**
+   * 呼叫服務
+   * @param {object} request
+   * @param {function} [callback] - 成功回調 (response)
+   * @param {function} [failedCallback] - 失敗回調 (error)，result 為 false 時觸發
+   */
+  Service.prototype.callService = function (request, callback, failedCallback) {
+    if (this.isAdvertised) return;
+
+    const id = this.ros.nextId(`call_service:${this.name}`);
+    this.ros._serviceCallbacks[id] = {
+      success: (values) => {
+        if (callback) callback(new ServiceResponse(values));
+      },
+      failed: (values) => {
+        if (failedCallback) failedCallback(values);
+      }
+    };
+
+    this.ros.callOnConnection({
+      op: 'call_service',
+      id,
+      service: this.name,
+      type: this.serviceType,
+      args: request || {}
+    });
+  };
+
+  /**
+   * 提供服務
+   * @param {function} callback - (request, response) => boolean，回傳 false 表示失敗
+   */
+  Service.prototype.advertise = function (callback) {
+    if (this.isAdvertised || typeof callback !== 'function') return;
+
+    this._serviceCallback = callback;
+    this.ros._advertisedServices[this.name] = (message) => {
+      const response = {};
+      let success;
+      try {
+        success = this._serviceCallback(message.args, response);
+      } catch (error) {
+        console.log('服務處理錯誤:', error);
+        success = false;
       }
+
+      this.ros.sendIfConnected({
+        op: 'service_response',
+        service: this.name,
+        id: message.id,
+        values: new ServiceResponse(response),
+        result: success !== false
+      });
     };
-  },
-  
-  Message: function(data) {
+
+    this.ros.register(`advertise_service:${this.name}`, {
+      op: 'advertise_service',
+      type: this.serviceType,
+      service: this.name
+    });
+    this.isAdvertised = true;
+  };
+
+  Service.prototype.unadvertise = function () {
+    if (!this.isAdvertised) return;
+    delete this.ros._advertisedServices[this.name];
+    this.ros.unregister(`advertise_service:${this.name}`, {
+      op: 'unadvertise_service',
+      service: this.name
+    });
+    this.isAdvertised = false;
+    this._serviceCallback = null;
+  };
+
+  function Message(data) {
+    if (data && typeof data === 'object') {
+      Object.assign(this, data);
+    }
+  }
+
+  function ServiceRequest(data) {
     if (data && typeof data === 'object') {
       Object.assign(this, data);
     }
-  },
-  
-  ServiceRequest: function(data) {
+  }
+
+  function ServiceResponse(data) {
     if (data && typeof data === 'object') {
       Object.assign(this, data);
     }
   }
-};
 
-console.log('ROSLIB 已載入');
\ No newline at end of file
+  return {
+    Ros,
+    Topic,
+    Service,
+    Message,
+    ServiceRequest,
+    ServiceResponse,
+    EventEmitter
+  };
+});
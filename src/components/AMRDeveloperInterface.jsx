@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   Square, 
   ArrowUp, 
@@ -17,82 +17,269 @@ import {
   RotateCcw,
   Wifi,
   WifiOff,
-  Trash2
+  Trash2,
+  Pencil,
+  Check,
+  X,
+  Crosshair
 } from 'lucide-react';
+import { createNavigationClient, getGoalStatusLabel, isTerminalStatus, GOAL_STATUS } from '../ros/navigation';
+import {
+  createPatrolExecutor,
+  DEFAULT_PATROL_OPTIONS,
+  PATROL_MODES,
+  PATROL_MODE_LABELS,
+  PATROL_STATES
+} from '../ros/patrol';
+import { createConnectionManager, CONNECTION_STATES } from '../ros/connection';
+import { createTfListener, createTfTree, loadTfOptions, saveTfOptions } from '../ros/tf';
+import {
+  assessLocalization,
+  covarianceEllipse,
+  createInitialPoseMessage,
+  DEFAULT_LOCALIZATION_OPTIONS,
+  LOCALIZATION_LEVELS,
+  loadLocalizationOptions,
+  poseArrayToPoses,
+  saveLocalizationOptions
+} from '../ros/localization';
+import { applySlamPreset, computeMappingProgress, createSlamClient, loadSlamOptions, saveSlamOptions } from '../ros/slam';
+import {
+  createLowBatteryPolicy,
+  findNearestChargingStation,
+  formatRemainingTime,
+  getPowerSupplyLabel,
+  loadBatteryOptions,
+  parseBatteryState,
+  saveBatteryOptions
+} from '../ros/battery';
+import { isSimulatorUrl, SimulatorWebSocket, SIMULATOR_URL } from '../sim/simulator';
+import { createViewTransform } from '../map/transform';
+import { clampZoom, computePinchView, TAP_SLOP } from '../map/gestures';
+import { scanPointColor, scanToPoints } from '../map/laserScan';
+import { costmapColor, DEFAULT_COSTMAP_OPTIONS, loadCostmapOptions, saveCostmapOptions } from '../map/costmap';
+import { createGridBitmap, drawGridBitmap, gridToScreenMatrix, occupancyColor, patchGridBitmap } from '../map/raster';
+import { applyOccupancyGridUpdate, getGridRegion } from '../map/occupancyUpdate';
+import useMapRenderer from '../map/useMapRenderer';
+import { DEFAULT_PATH_OPTIONS, loadPathOptions, pathToPoints, remainingPathLength, savePathOptions } from '../map/paths';
+import {
+  createSiteConfig,
+  DEFAULT_SITE_NAME,
+  getLastSiteKey,
+  getMapSignature,
+  getSiteKey,
+  isSameMap,
+  loadSiteConfig,
+  parseSiteConfig,
+  saveSiteConfig,
+  serializeSiteConfig
+} from '../map/siteConfig';
+import { downloadFile, readFileAsArrayBuffer, readFileAsText } from '../utils/download';
+import { createOccupancyGridFromImage, parseMapYaml, parsePgm, serializeMapYaml, serializePgm, serializeScalePgm } from '../map/mapFile';
+import { createZoneMask, MIN_ZONE_POINTS, normalizeZone, ZONE_TYPES } from '../map/zones';
+import {
+  EMPTY_ROUTE_GRAPH,
+  getRouteNodePositions,
+  planRoute,
+  removeRouteNode,
+  routeNodeKey,
+  stationNodeKey
+} from '../map/routeGraph';
+import { createRouteExecutor } from '../ros/route';
+import { computeDriveTwist, DRIVE_ACTIONS } from '../teleop/keyboard';
+import { joystickToTwist } from '../teleop/joystick';
+import {
+  createCmdVelStreamer,
+  loadStreamOptions,
+  saveStreamOptions
+} from '../teleop/cmdVelStreamer';
+import useKeyboardTeleop from '../teleop/useKeyboardTeleop';
+import {
+  DEFAULT_GAMEPAD_MAPPING,
+  loadGamepadMapping,
+  saveGamepadMapping,
+  SPEED_PRESETS
+} from '../teleop/gamepad';
+import useGamepadTeleop from '../teleop/useGamepadTeleop';
+import SiteConfigPanel from './SiteConfigPanel';
+import BatterySettingsPanel from './BatterySettingsPanel';
+import TfSettingsPanel from './TfSettingsPanel';
+import GamepadPanel from './GamepadPanel';
+import VirtualJoystick from './VirtualJoystick';
+import MapLayersMenu from './MapLayersMenu';
+import TopicInput from './TopicInput';
+import SlamControls from './SlamControls';
+import ZonePanel from './ZonePanel';
+import RoutePanel from './RoutePanel';
 
-// 從全局變量獲取 ROSLIB
-const ROSLIB = window.ROSLIB || (() => {
-  console.warn('ROSLIB 未加載，使用模擬模式');
-  return {
-    Ros: class {
-      constructor() {
-        this.isConnected = false;
-      }
-      connect() {
-        console.log('模擬 ROS 連接');
-        setTimeout(() => {
-          this.isConnected = true;
-          if (this.onConnection) this.onConnection();
-        }, 1000);
-      }
-      close() {
-        this.isConnected = false;
-      }
-      on() {}
-    },
-    Topic: class {
-      publish() {}
-      subscribe() {}
-    },
-    Service: class {
-      callService() {}
-    },
-    Message: class {
-      constructor(data) {
-        Object.assign(this, data);
-      }
-    }
-  };
-})();
+// 從全局變量獲取 ROSLIB（public/roslib.min.js）
+const ROSLIB = window.ROSLIB || null;
+
+// 拖拽超過此距離（像素）才視為設定方向
+const POSE_DRAG_MIN_PIXELS = 8;
+// 點擊距離第一個頂點在此範圍內（像素）即閉合區域
+const ZONE_CLOSE_PIXELS = 12;
+// 路線圖編輯時點擊距離節點在此範圍內（像素）即選取該節點
+const ROUTE_PICK_PIXELS = 14;
+
+const STATION_TYPES = {
+  charging: { label: '充電站', color: 'bg-green-500' },
+  work: { label: '工作站', color: 'bg-blue-500' }
+};
+
+// 繪製位姿箭頭（dir 為畫布上的單位方向向量）
+const drawPoseArrow = (ctx, from, dir, length, color) => {
+  const tipX = from.x + dir.x * length;
+  const tipY = from.y + dir.y * length;
+  const headSize = Math.max(4, length * 0.35);
+  const angle = Math.atan2(dir.y, dir.x);
+
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(tipX, tipY);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(tipX - headSize * Math.cos(angle - Math.PI / 6), tipY - headSize * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(tipX - headSize * Math.cos(angle + Math.PI / 6), tipY - headSize * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+};
+
+// 繪製規劃路徑（points 為畫布座標）
+const drawPolyline = (ctx, points, color, width) => {
+  if (points.length < 2) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+  ctx.stroke();
+};
+
+// 站點與航點座標皆為 map 座標系（公尺），站點方向 yaw 為弧度
+const DEFAULT_STATIONS = [
+  { id: 1, name: '充電站', x: 0, y: 0, yaw: 0, type: 'charging', color: 'bg-green-500' },
+  { id: 2, name: '工作站A', x: 1.5, y: 1.0, yaw: Math.PI / 2, type: 'work', color: 'bg-blue-500' },
+  { id: 3, name: '工作站B', x: 2.0, y: -0.5, yaw: 0, type: 'work', color: 'bg-blue-500' }
+];
+
+const DEFAULT_WAYPOINTS = [
+  { id: 1, x: 0.5, y: 0.5, order: 1 },
+  { id: 2, x: 1.5, y: 0.5, order: 2 },
+  { id: 3, x: 1.5, y: -0.5, order: 3 }
+];
+
+// 場地設定自動儲存的延遲（毫秒），避免拖拽地圖時頻繁寫入
+const SITE_SAVE_DELAY = 500;
 
 const TurtleBotInterface = () => {
+  // 上次使用的場地設定，收到地圖後改用該地圖的設定
+  const [initialSite] = useState(() => loadSiteConfig(getLastSiteKey()));
+  const [siteName, setSiteName] = useState(() => (initialSite ? initialSite.name : DEFAULT_SITE_NAME));
+  // 目前套用中的場地設定所屬的地圖鍵
+  const siteKeyRef = useRef(initialSite ? getLastSiteKey() : null);
+
+
   // ROS 連接狀態
   const [rosConnected, setRosConnected] = useState(false);
   const [rosUrl, setRosUrl] = useState('ws://127.0.0.1:9090');
+  const [connectionInfo, setConnectionInfo] = useState({ state: CONNECTION_STATES.IDLE, attempt: 0, nextRetryAt: null });
+  const [retryCountdown, setRetryCountdown] = useState(0);
   
   // 機器人狀態
   const [robotStatus, setRobotStatus] = useState('未連接');
-  const [batteryLevel, setBatteryLevel] = useState(85);
+  const [battery, setBattery] = useState(null);
+  const [batteryOptions, setBatteryOptions] = useState(() => loadBatteryOptions());
   const [currentPose, setCurrentPose] = useState({ x: 0, y: 0, theta: 0 });
+  const [tfOptions, setTfOptions] = useState(() => loadTfOptions());
+  // 位姿來源：'tf' 由 TF 查詢、'odom' 無法查詢時暫用 /odom；stale 表示 TF 已過期
+  const [poseSource, setPoseSource] = useState({ source: null, stale: false, age: 0 });
   const [linearVel, setLinearVel] = useState(0);
   const [angularVel, setAngularVel] = useState(0);
   const [speed, setSpeed] = useState(0.2);
   const [angularSpeed, setAngularSpeed] = useState(0.5);
+  const [streamOptions, setStreamOptions] = useState(() => loadStreamOptions());
+  // 畫面按鈕按住的方向
+  const [heldAction, setHeldAction] = useState(null);
+  const [gamepadMapping, setGamepadMapping] = useState(() => loadGamepadMapping());
+  // 虛擬搖桿目前的向量，放開時為 null
+  const [joystickVector, setJoystickVector] = useState(null);
   
   // 地圖和導航
   const [currentMode, setCurrentMode] = useState('teleop');
+  // 目前的地圖快照（含增量更新），不直接修改；baseMap 為最近一次完整地圖，只用於點陣化
   const [mapData, setMapData] = useState(null);
-  const [stations, setStations] = useState([
-    { id: 1, name: '充電站', x: 50, y: 50, type: 'charging', color: 'bg-green-500' },
-    { id: 2, name: '工作站A', x: 300, y: 80, type: 'work', color: 'bg-blue-500' },
-    { id: 3, name: '工作站B', x: 350, y: 200, type: 'work', color: 'bg-blue-500' }
-  ]);
-  const [waypoints, setWaypoints] = useState([
-    { id: 1, x: 100, y: 75, order: 1 },
-    { id: 2, x: 250, y: 120, order: 2 },
-    { id: 3, x: 320, y: 180, order: 3 }
-  ]);
+  const [baseMap, setBaseMap] = useState(null);
+  const [scanData, setScanData] = useState(null);
+  const [mapLayers, setMapLayers] = useState({
+    globalCostmap: true,
+    localCostmap: true,
+    scan: true,
+    globalPlan: true,
+    localPlan: true,
+    particleCloud: true,
+    covariance: true,
+    routeGraph: true
+  });
+  const [scanDecimation, setScanDecimation] = useState(2);
+  // 規劃器發布的全域 / 區域路徑（nav_msgs/Path），導航結束時清除
+  const [globalPlan, setGlobalPlan] = useState(null);
+  const [localPlan, setLocalPlan] = useState(null);
+  const [pathOptions, setPathOptions] = useState(() => loadPathOptions());
+  const [globalCostmap, setGlobalCostmap] = useState(null);
+  const [localCostmap, setLocalCostmap] = useState(null);
+  const [costmapOptions, setCostmapOptions] = useState(() => loadCostmapOptions());
+  // AMCL 粒子雲與估計位姿（geometry_msgs/PoseWithCovarianceStamped）
+  const [particleCloud, setParticleCloud] = useState(null);
+  const [amclPose, setAmclPose] = useState(null);
+  const [localizationOptions, setLocalizationOptions] = useState(() => loadLocalizationOptions());
+  // 開啟後在地圖上按下設定位置、拖拽設定朝向，發布 /initialpose
+  const [initialPoseMode, setInitialPoseMode] = useState(false);
+  // 導航模式下開啟後在地圖上按下設定目標位置、拖拽設定朝向，未開啟時拖拽為平移
+  const [goalPoseMode, setGoalPoseMode] = useState(false);
+  const [stations, setStations] = useState(() => initialSite ? initialSite.stations : DEFAULT_STATIONS);
+  const [waypoints, setWaypoints] = useState(() => initialSite ? initialSite.waypoints : DEFAULT_WAYPOINTS);
+  const [zones, setZones] = useState(() => initialSite ? initialSite.zones : []);
+  // 繪製中的區域：{ type, name, speedLimit, points }（map 座標）
+  const [zoneDraft, setZoneDraft] = useState(null);
+  const [routeGraph, setRouteGraph] = useState(() => initialSite ? initialSite.routeGraph : EMPTY_ROUTE_GRAPH);
+  // 路線圖編輯工具：'node' | 'edge' | 'delete' | null，連接時記錄起點節點鍵
+  const [routeTool, setRouteTool] = useState(null);
+  const [routeEdgeStart, setRouteEdgeStart] = useState(null);
+  const [routeBidirectional, setRouteBidirectional] = useState(true);
+  // 行駛中的路線：{ keys, index }，用於在地圖上標示
+  const [activeRoute, setActiveRoute] = useState(null);
   const [goalPose, setGoalPose] = useState(null);
-  const [isMappingActive, setIsMappingActive] = useState(false);
+  const [navStatus, setNavStatus] = useState(null);
+  // 建圖工作階段：{ startedAt }，未建圖時為 null
+  const [mappingSession, setMappingSession] = useState(null);
+  const [mappingProgress, setMappingProgress] = useState({ area: 0, elapsed: 0 });
+  const [slamOptions, setSlamOptions] = useState(() => loadSlamOptions());
+  // 進行中的 SLAM 服務呼叫：'start' | 'stop' | 'save'
+  const [slamBusy, setSlamBusy] = useState(null);
   const [isPatrolling, setIsPatrolling] = useState(false);
   const [currentWaypointIndex, setCurrentWaypointIndex] = useState(0);
+  const [patrolState, setPatrolState] = useState(PATROL_STATES.IDLE);
+  const [patrolLap, setPatrolLap] = useState(1);
+  const [patrolOptions, setPatrolOptions] = useState(() => ({
+    ...DEFAULT_PATROL_OPTIONS,
+    ...(initialSite ? initialSite.patrol : {})
+  }));
   
   // 地圖縮放和拖拽狀態
-  const [mapZoom, setMapZoom] = useState(1.0);
-  const [mapOffset, setMapOffset] = useState({ x: 0, y: 0 });
-  const [isDragging, setIsDragging] = useState(false);
-  const [lastMousePos, setLastMousePos] = useState({ x: 0, y: 0 });
+  const [mapZoom, setMapZoom] = useState(() => initialSite ? initialSite.view.zoom : 1.0);
+  const [mapOffset, setMapOffset] = useState(() => initialSite ? initialSite.view.offset : { x: 0, y: 0 });
   const [newStationName, setNewStationName] = useState('');
+  const [newStationType, setNewStationType] = useState('work');
+  const [editingStation, setEditingStation] = useState(null);
+  // 按下設定位置、拖拽設定方向：{ purpose, start, current }（畫布座標）
+  const [poseDrag, setPoseDrag] = useState(null);
   
   // UI 狀態
   const [logs, setLogs] = useState([
@@ -100,10 +287,48 @@ const TurtleBotInterface = () => {
   ]);
   
   const mapCanvasRef = useRef(null);
+  const mapBaseCanvasRef = useRef(null);
   const cmdVelRef = useRef(null);
+  const initialPoseRef = useRef(null);
   const mapSubRef = useRef(null);
+  const mapUpdatesSubRef = useRef(null);
+  // 地圖的工作副本與點陣圖：增量更新直接寫入這兩者，再以新的快照提交到 mapData
+  const mapDataRef = useRef(null);
+  const mapBitmapRef = useRef(null);
+  // 靜態層繪製代價地圖時使用的框架位姿：[{ message, frame }]
+  const baseFramesRef = useRef([]);
+  const handleTfUpdateRef = useRef(null);
+  const scanSubRef = useRef(null);
+  const planSubsRef = useRef([]);
+  const costmapSubsRef = useRef([]);
+  const localizationSubsRef = useRef([]);
+  const tfTreeRef = useRef(null);
+  if (!tfTreeRef.current) tfTreeRef.current = createTfTree();
+  const tfListenerRef = useRef(null);
+  const odomPoseRef = useRef(null);
+  const odomTwistRef = useRef(null);
   const odomSubRef = useRef(null);
   const rosRef = useRef(null);
+  const connectionRef = useRef(null);
+  const navClientRef = useRef(null);
+  const slamClientRef = useRef(null);
+  const patrolRef = useRef(null);
+  const routeRef = useRef(null);
+  const sendNavGoalRef = useRef(null);
+  const returnToDockRef = useRef(null);
+  const batterySubRef = useRef(null);
+  const streamerRef = useRef(null);
+  const publishCmdVelRef = useRef(null);
+  // 地圖上的指標（滑鼠或手指）：pointerId → 畫布座標
+  const mapPointersRef = useRef(new Map());
+  const mapGestureRef = useRef(null);
+  const batteryOptionsRef = useRef(batteryOptions);
+  const pathOptionsRef = useRef(pathOptions);
+  const costmapOptionsRef = useRef(costmapOptions);
+  const localizationOptionsRef = useRef(localizationOptions);
+  const batteryPolicyRef = useRef(createLowBatteryPolicy());
+
+  const batteryLevel = battery ? battery.percentage : null;
 
   const addLog = useCallback((type, message) => {
     const time = new Date().toLocaleTimeString();
@@ -124,6 +349,8 @@ const TurtleBotInterface = () => {
     try {
       const robotState = {
         pose: currentPose,
+        poseFrame: poseSource.source === 'odom' ? 'odom' : tfOptions.fixedFrame,
+        tfStale: poseSource.stale,
         battery: batteryLevel,
         status: robotStatus,
         velocities: { linear: linearVel, angular: angularVel },
@@ -134,7 +361,7 @@ const TurtleBotInterface = () => {
     } catch (e) {
       console.log('無法廣播機器人狀態');
     }
-  }, [currentPose, batteryLevel, robotStatus, linearVel, angularVel, rosConnected]);
+  }, [currentPose, poseSource, tfOptions.fixedFrame, batteryLevel, robotStatus, linearVel, angularVel, rosConnected]);
 
   // 廣播日誌到其他窗口
   const broadcastLogs = useCallback(() => {
@@ -157,71 +384,382 @@ const TurtleBotInterface = () => {
     broadcastLogs();
   }, [broadcastLogs]);
 
-  // 繪製地圖
-  const drawMap = useCallback((mapMessage) => {
-    const canvas = mapCanvasRef.current;
-    if (!canvas || !mapMessage) return;
+  // 場地設定自動儲存（以目前地圖為鍵，尚未載入地圖時不儲存）
+  useEffect(() => {
+    if (!mapData) return undefined;
+    const timer = setTimeout(() => {
+      saveSiteConfig(createSiteConfig({
+        name: siteName,
+        mapInfo: mapData && mapData.info,
+        stations,
+        waypoints,
+        zones,
+        routeGraph,
+        patrol: patrolOptions,
+        view: { zoom: mapZoom, offset: mapOffset }
+      }));
+    }, SITE_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [siteName, mapData, stations, waypoints, zones, routeGraph, patrolOptions, mapZoom, mapOffset]);
 
-    const ctx = canvas.getContext('2d');
-    const { width, height, resolution, origin } = mapMessage.info;
-    const { data } = mapMessage;
-    
-    if (!data || data.length === 0) return;
+  const applySiteConfig = useCallback((config) => {
+    if (patrolRef.current && patrolRef.current.isActive()) patrolRef.current.stop();
+    if (routeRef.current && routeRef.current.isActive()) routeRef.current.stop();
+    setStations(config.stations);
+    setWaypoints(config.waypoints);
+    setZones(config.zones);
+    setZoneDraft(null);
+    setRouteGraph(config.routeGraph);
+    setRouteEdgeStart(null);
+    setPatrolOptions({ ...DEFAULT_PATROL_OPTIONS, ...config.patrol });
+    setMapZoom(config.view.zoom);
+    setMapOffset(config.view.offset);
+    setEditingStation(null);
+  }, []);
 
-    const displayWidth = canvas.clientWidth || 800;
-    const displayHeight = canvas.clientHeight || 400;
-    canvas.width = displayWidth;
-    canvas.height = displayHeight;
-    
+  // 地圖變更時載入該地圖的場地設定；尚未儲存過則沿用目前內容
+  const mapKey = mapData ? getSiteKey(getMapSignature(mapData.info)) : null;
+  useEffect(() => {
+    if (!mapKey || mapKey === siteKeyRef.current) return;
+    siteKeyRef.current = mapKey;
+    const config = loadSiteConfig(mapKey);
+    if (config) {
+      applySiteConfig(config);
+      setSiteName(config.name);
+      addLog('success', `載入此地圖的場地設定: ${config.name}`);
+    }
+  }, [mapKey, applySiteConfig, addLog]);
+
+  const renameSite = (name) => {
+    setSiteName(name);
+    addLog('info', `場地名稱: ${name}`);
+  };
+
+  const exportSiteConfig = () => {
+    const config = createSiteConfig({
+      name: siteName,
+      mapInfo: mapData && mapData.info,
+      stations,
+      waypoints,
+      zones,
+      routeGraph,
+      patrol: patrolOptions,
+      view: { zoom: mapZoom, offset: mapOffset }
+    });
+    downloadFile(`${siteName}.site.json`, serializeSiteConfig(config), 'application/json');
+    addLog('success', `匯出場地設定: ${siteName}.site.json`);
+  };
+
+  const importSiteConfig = async (file) => {
+    try {
+      const config = parseSiteConfig(await readFileAsText(file));
+      applySiteConfig(config);
+      setSiteName(config.name);
+      addLog('success', `匯入場地設定: ${config.name}（${config.stations.length} 個站點、${config.waypoints.length} 個航點）`);
+      if (mapData && !isSameMap(config.map, mapData.info)) {
+        addLog('warning', '匯入的場地設定與目前地圖的解析度或原點不同，標記位置可能不正確');
+      }
+    } catch (error) {
+      addLog('error', `匯入失敗: ${error.message}`);
+    }
+  };
+
+  // 匯出 / 匯入 map_server 地圖檔（PGM + YAML），離線時也能規劃站點與航點
+  const exportMapFiles = () => {
+    if (!mapData) return;
+    downloadFile(`${siteName}.pgm`, serializePgm(mapData), 'image/x-portable-graymap');
+    downloadFile(`${siteName}.yaml`, serializeMapYaml(mapData.info, `${siteName}.pgm`), 'text/yaml');
+    addLog('success', `匯出地圖: ${siteName}.pgm、${siteName}.yaml`);
+  };
+
+  // 匯出 Nav2 costmap filter 遮罩：與目前地圖相同的解析度與原點，禁行區為 trinary、限速區為 scale
+  const exportZoneMasks = () => {
+    if (!mapData) return;
+    const exported = [];
+    if (zones.some(zone => zone.type === 'keepout')) {
+      const mask = createZoneMask(zones, mapData.info, 'keepout');
+      downloadFile(`${siteName}_keepout.pgm`, serializePgm(mask), 'image/x-portable-graymap');
+      downloadFile(`${siteName}_keepout.yaml`, serializeMapYaml(mask.info, `${siteName}_keepout.pgm`), 'text/yaml');
+      exported.push(`${siteName}_keepout`);
+    }
+    if (zones.some(zone => zone.type === 'speed')) {
+      const mask = createZoneMask(zones, mapData.info, 'speed');
+      downloadFile(`${siteName}_speed.pgm`, serializeScalePgm(mask), 'image/x-portable-graymap');
+      downloadFile(`${siteName}_speed.yaml`, serializeMapYaml(mask.info, `${siteName}_speed.pgm`, 'scale'), 'text/yaml');
+      exported.push(`${siteName}_speed`);
+    }
+    addLog('success', `匯出濾波遮罩: ${exported.join('、')}`);
+  };
+
+  // 換上完整地圖：state 保存收到的訊息，ref 保存之後增量更新寫入的工作副本
+  const replaceMap = useCallback((grid) => {
+    mapDataRef.current = { ...grid, data: grid.data.slice() };
+    setBaseMap(grid);
+    setMapData(grid);
+  }, []);
+
+  const importMapFiles = async (files) => {
+    try {
+      const yamlFile = files.find(file => /\.ya?ml$/i.test(file.name));
+      if (!yamlFile) throw new Error('請同時選取 YAML 檔');
+      const meta = parseMapYaml(await readFileAsText(yamlFile));
+
+      // YAML 的 image 可能含路徑，以檔名比對；只選了一個 PGM 時直接使用
+      const imageName = meta.image.split(/[\\/]/).pop();
+      const pgmFiles = files.filter(file => /\.pgm$/i.test(file.name));
+      const pgmFile = pgmFiles.find(file => file.name === imageName) || (pgmFiles.length === 1 ? pgmFiles[0] : null);
+      if (!pgmFile) throw new Error(`找不到 YAML 指定的影像 ${imageName}`);
+
+      const grid = createOccupancyGridFromImage(parsePgm(await readFileAsArrayBuffer(pgmFile)), meta);
+      replaceMap(grid);
+      resetMapView();
+      addLog('success', `匯入地圖: ${pgmFile.name} (${grid.info.width}x${grid.info.height}, ${meta.resolution} m/格)`);
+      if (rosConnected) addLog('warning', '目前已連線，機器人發布新的 /map 時會取代匯入的地圖');
+    } catch (error) {
+      addLog('error', `匯入地圖失敗: ${error.message}`);
+    }
+  };
+
+  // 訊息框架在固定框架中的位姿；查不到 TF 時視為已在固定框架（move_base 的全域路徑與代價地圖通常就是 map）
+  const lookupMessageFrame = useCallback((message) => {
+    const frameId = message && message.header ? message.header.frame_id : '';
+    const transform = frameId ? tfTreeRef.current.lookup(tfOptions.fixedFrame, frameId) : null;
+    return transform
+      ? { x: transform.translation.x, y: transform.translation.y, yaw: transform.yaw }
+      : undefined;
+  }, [tfOptions.fixedFrame]);
+
+  const planToMapPoints = useCallback((plan) => pathToPoints(plan, lookupMessageFrame(plan)), [lookupMessageFrame]);
+
+  // 完整地圖只點陣化一次，平移縮放時只轉換點陣圖，增量更新則修補點陣圖
+  const mapBitmap = useMemo(() => createGridBitmap(baseMap, occupancyColor), [baseMap]);
+  // 與渲染同步更新，之後到達的增量更新才會寫入新的點陣圖
+  useLayoutEffect(() => {
+    mapBitmapRef.current = mapBitmap;
+  }, [mapBitmap]);
+  const globalCostmapBitmap = useMemo(() => createGridBitmap(globalCostmap, costmapColor), [globalCostmap]);
+  const localCostmapBitmap = useMemo(() => createGridBitmap(localCostmap, costmapColor), [localCostmap]);
+
+  // 目前機器人位姿：優先查詢 TF fixedFrame → baseFrame，查不到時使用 /odom
+  const lookupRobotPose = useCallback(() => {
+    const transform = tfTreeRef.current.lookup(tfOptions.fixedFrame, tfOptions.baseFrame);
+    if (transform) {
+      return {
+        pose: { x: transform.translation.x, y: transform.translation.y, yaw: transform.yaw },
+        source: 'tf',
+        age: transform.age
+      };
+    }
+    if (odomPoseRef.current) return { pose: odomPoseRef.current, source: 'odom', age: 0 };
+    return null;
+  }, [tfOptions.fixedFrame, tfOptions.baseFrame]);
+
+  // 沿全域路徑的剩餘長度
+  const remainingPlanLength = useMemo(() => {
+    if (!globalPlan || !currentPose) return null;
+    return remainingPathLength(planToMapPoints(globalPlan), {
+      x: parseFloat(currentPose.x),
+      y: parseFloat(currentPose.y)
+    });
+  }, [globalPlan, currentPose, planToMapPoints]);
+
+  // 定位信心：由 AMCL 估計位姿的共變異數判斷
+  const localization = useMemo(
+    () => (amclPose ? assessLocalization(amclPose.pose.covariance, localizationOptions) : null),
+    [amclPose, localizationOptions]
+  );
+
+  // 路線圖節點（站點與中繼節點）的位置
+  const routePositions = useMemo(() => getRouteNodePositions(stations, routeGraph), [stations, routeGraph]);
+
+  // 目前畫布尺寸下的視圖轉換
+  const createMapView = useCallback((canvasWidth, canvasHeight) => createViewTransform({
+    info: mapData.info,
+    canvasWidth,
+    canvasHeight,
+    zoom: mapZoom,
+    offset: mapOffset
+  }), [mapData, mapZoom, mapOffset]);
+
+  // 靜態層：地圖與代價地圖點陣圖，只在內容或視圖改變時重繪
+  const drawMapBase = useCallback((ctx, canvasWidth, canvasHeight) => {
     ctx.fillStyle = '#374151';
-    ctx.fillRect(0, 0, displayWidth, displayHeight);
-    
-    const baseScaleX = displayWidth / width;
-    const baseScaleY = displayHeight / height;
-    const baseScale = Math.min(baseScaleX, baseScaleY) * 0.8;
-    const finalScale = baseScale * mapZoom;
-    
-    const centerX = displayWidth / 2;
-    const centerY = displayHeight / 2;
-    const offsetX = centerX - (width * finalScale) / 2 + mapOffset.x;
-    const offsetY = centerY - (height * finalScale) / 2 + mapOffset.y;
-    
-    // 繪製地圖數據
-    for (let y = 0; y < height; y += 2) {
-      for (let x = 0; x < width; x += 2) {
-        const dataIndex = y * width + x;
-        const value = data[dataIndex];
-        
-        if (value === -1) continue;
-        
-        let color;
-        if (value >= 0 && value < 25) {
-          color = '#ffffff';
-        } else if (value >= 65) {
-          color = '#000000';
-        } else {
-          color = '#d1d5db';
-        }
-        
-        const pixelX = offsetX + x * finalScale;
-        const pixelY = offsetY + y * finalScale;
-        
-        if (pixelX >= 0 && pixelX < displayWidth && pixelY >= 0 && pixelY < displayHeight) {
-          ctx.fillStyle = color;
-          ctx.fillRect(pixelX, pixelY, Math.ceil(finalScale * 2), Math.ceil(finalScale * 2));
-        }
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    if (!mapData || !mapBitmap) return;
+
+    const view = createMapView(canvasWidth, canvasHeight);
+    // 繪製地圖數據（row 0 位於地圖底部，由轉換矩陣翻轉）
+    drawGridBitmap(ctx, mapBitmap, gridToScreenMatrix(mapData.info, undefined, view.worldToScreen));
+
+    // 繪製代價地圖：以各自的原點、解析度與框架定位，全域在下、區域在上
+    const frames = [];
+    [
+      [mapLayers.globalCostmap, globalCostmap, globalCostmapBitmap, costmapOptions.globalOpacity],
+      [mapLayers.localCostmap, localCostmap, localCostmapBitmap, costmapOptions.localOpacity]
+    ].forEach(([enabled, costmap, bitmap, opacity]) => {
+      if (!enabled || !bitmap) return;
+      const frame = lookupMessageFrame(costmap);
+      frames.push({ message: costmap, frame });
+      drawGridBitmap(ctx, bitmap, gridToScreenMatrix(costmap.info, frame, view.worldToScreen), opacity);
+    });
+    baseFramesRef.current = frames;
+  }, [mapData, mapBitmap, createMapView, mapLayers.globalCostmap, mapLayers.localCostmap, globalCostmap, localCostmap,
+    globalCostmapBitmap, localCostmapBitmap, costmapOptions.globalOpacity, costmapOptions.localOpacity, lookupMessageFrame]);
+
+  // 動態層：雷射、路徑、站點、機器人等，位姿直接由 TF 查詢以跟上每則 /tf
+  const drawMapOverlay = useCallback((ctx, canvasWidth, canvasHeight) => {
+    if (!mapData) return;
+    const view = createMapView(canvasWidth, canvasHeight);
+    const robot = lookupRobotPose();
+    const robotPose = robot && robot.pose;
+
+    // 繪製禁行區與限速區
+    zones.forEach(zone => {
+      const points = zone.points.map(view.worldToScreen);
+      const style = ZONE_TYPES[zone.type];
+      ctx.fillStyle = style.fill;
+      ctx.strokeStyle = style.stroke;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach((point, index) => (index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+
+      const center = points.reduce((sum, point) => ({ x: sum.x + point.x / points.length, y: sum.y + point.y / points.length }), { x: 0, y: 0 });
+      ctx.fillStyle = 'white';
+      ctx.font = `${11 * mapZoom}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.fillText(zone.type === 'speed' ? `${zone.name} ${zone.speedLimit}%` : zone.name, center.x, center.y);
+    });
+
+    // 繪製中的區域：已點擊的頂點與邊，第一個頂點加框表示可點擊閉合
+    if (zoneDraft && zoneDraft.points.length) {
+      const points = zoneDraft.points.map(view.worldToScreen);
+      const color = ZONE_TYPES[zoneDraft.type].stroke;
+      ctx.setLineDash([6, 4]);
+      drawPolyline(ctx, points, color, 2);
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      points.forEach(point => ctx.fillRect(point.x - 3, point.y - 3, 6, 6));
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(points[0].x - ZONE_CLOSE_PIXELS / 2, points[0].y - ZONE_CLOSE_PIXELS / 2, ZONE_CLOSE_PIXELS, ZONE_CLOSE_PIXELS);
+    }
+
+    // 繪製路線圖：有向邊以箭頭表示，行駛中的路線加粗標示
+    if (mapLayers.routeGraph || routeTool) {
+      const nodeRadius = 5 * mapZoom;
+      routeGraph.edges.forEach(edge => {
+        const from = routePositions.get(edge.from);
+        const to = routePositions.get(edge.to);
+        if (!from || !to) return;
+        const start = view.worldToScreen(from);
+        const end = view.worldToScreen(to);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length <= 2 * nodeRadius) return;
+        const dir = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+        drawPoseArrow(ctx, start, dir, length - 2 * nodeRadius, 'rgba(148, 163, 184, 0.8)');
+      });
+
+      if (activeRoute) {
+        const points = activeRoute.keys
+          .slice(Math.max(0, activeRoute.index - 1))
+          .map(key => routePositions.get(key))
+          .filter(Boolean)
+          .map(view.worldToScreen);
+        drawPolyline(ctx, points, 'rgba(132, 204, 22, 0.85)', 5);
+      }
+
+      routeGraph.nodes.forEach(node => {
+        const key = routeNodeKey(node.id);
+        const point = view.worldToScreen(node);
+        ctx.fillStyle = key === routeEdgeStart ? '#84cc16' : '#e2e8f0';
+        ctx.fillRect(point.x - nodeRadius, point.y - nodeRadius, 2 * nodeRadius, 2 * nodeRadius);
+        ctx.fillStyle = 'white';
+        ctx.font = `${10 * mapZoom}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.fillText(routePositions.get(key).name, point.x, point.y - nodeRadius - 3);
+      });
+
+      if (routeEdgeStart && routePositions.has(routeEdgeStart)) {
+        const point = view.worldToScreen(routePositions.get(routeEdgeStart));
+        ctx.strokeStyle = '#84cc16';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, ROUTE_PICK_PIXELS, 0, 2 * Math.PI);
+        ctx.stroke();
       }
     }
-    
+
+    // 繪製雷射掃描（以雷射框架的 TF 轉到 map 座標系，查不到時視為位於機器人中心）
+    if (mapLayers.scan && scanData && robotPose) {
+      const scanTransform = scanData.header
+        ? tfTreeRef.current.lookup(tfOptions.fixedFrame, scanData.header.frame_id)
+        : null;
+      const scanPose = scanTransform
+        ? { x: scanTransform.translation.x, y: scanTransform.translation.y, yaw: scanTransform.yaw }
+        : robotPose;
+      const pointSize = Math.max(2, Math.min(4, view.pixelsPerMeter * 0.03));
+      scanToPoints(scanData, scanPose, { decimation: scanDecimation }).forEach(point => {
+        const { x: pointX, y: pointY } = view.worldToScreen(point);
+        ctx.fillStyle = scanPointColor(point.range, scanData.range_max);
+        ctx.fillRect(pointX - pointSize / 2, pointY - pointSize / 2, pointSize, pointSize);
+      });
+    }
+
+    // 繪製規劃路徑：全域路徑在下、區域路徑在上
+    if (mapLayers.globalPlan && globalPlan) {
+      drawPolyline(ctx, planToMapPoints(globalPlan).map(view.worldToScreen), 'rgba(56, 189, 248, 0.8)', 3);
+    }
+    if (mapLayers.localPlan && localPlan) {
+      drawPolyline(ctx, planToMapPoints(localPlan).map(view.worldToScreen), '#f97316', 2);
+    }
+
+    // 繪製 AMCL 粒子雲
+    if (mapLayers.particleCloud && particleCloud) {
+      const particleLength = Math.max(6, 10 * mapZoom);
+      poseArrayToPoses(particleCloud, lookupMessageFrame(particleCloud)).forEach(particle => {
+        drawPoseArrow(ctx, view.worldToScreen(particle), view.directionToScreen(particle.yaw), particleLength, 'rgba(244, 63, 94, 0.7)');
+      });
+    }
+
+    // 繪製位姿不確定性橢圓（2 倍標準差）
+    if (mapLayers.covariance && amclPose) {
+      const frame = lookupMessageFrame(amclPose);
+      const [estimate] = poseArrayToPoses({ poses: [amclPose.pose.pose] }, frame);
+      const ellipse = covarianceEllipse(amclPose.pose.covariance);
+      const axis = view.directionToScreen((frame ? frame.yaw : 0) + ellipse.angle);
+      const center = view.worldToScreen(estimate);
+      const degraded = localization && localization.level === LOCALIZATION_LEVELS.DEGRADED;
+
+      ctx.strokeStyle = degraded ? '#facc15' : '#22d3ee';
+      ctx.fillStyle = degraded ? 'rgba(250, 204, 21, 0.15)' : 'rgba(34, 211, 238, 0.15)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.ellipse(
+        center.x,
+        center.y,
+        Math.max(2, ellipse.major * view.pixelsPerMeter),
+        Math.max(2, ellipse.minor * view.pixelsPerMeter),
+        Math.atan2(axis.y, axis.x),
+        0,
+        2 * Math.PI
+      );
+      ctx.fill();
+      ctx.stroke();
+    }
+
     // 繪製站點
     stations.forEach(station => {
-      const stationX = offsetX + station.x * finalScale;
-      const stationY = offsetY + station.y * finalScale;
+      const stationPoint = view.worldToScreen(station);
+      const stationColor = station.type === 'charging' ? '#22c55e' : '#3b82f6';
       
-      ctx.fillStyle = station.type === 'charging' ? '#22c55e' : '#3b82f6';
+      ctx.fillStyle = stationColor;
       ctx.beginPath();
-      ctx.arc(stationX, stationY, 8 * mapZoom, 0, 2 * Math.PI);
+      ctx.arc(stationPoint.x, stationPoint.y, 8 * mapZoom, 0, 2 * Math.PI);
       ctx.fill();
+      drawPoseArrow(ctx, stationPoint, view.directionToScreen(station.yaw || 0), 18 * mapZoom, stationColor);
     });
     
     // 繪製航點和路徑
@@ -230,26 +768,22 @@ const TurtleBotInterface = () => {
       ctx.lineWidth = 2;
       ctx.setLineDash([5, 5]);
       
-      for (let i = 0; i < waypoints.length; i++) {
-        const current = waypoints[i];
-        const next = waypoints[(i + 1) % waypoints.length];
-        
-        const currentX = offsetX + current.x * finalScale;
-        const currentY = offsetY + current.y * finalScale;
-        const nextX = offsetX + next.x * finalScale;
-        const nextY = offsetY + next.y * finalScale;
+      // 只有循環巡邏會由最後一個航點回到第一個
+      const segmentCount = patrolOptions.mode === PATROL_MODES.LOOP ? waypoints.length : waypoints.length - 1;
+      for (let i = 0; i < segmentCount; i++) {
+        const current = view.worldToScreen(waypoints[i]);
+        const next = view.worldToScreen(waypoints[(i + 1) % waypoints.length]);
         
         ctx.beginPath();
-        ctx.moveTo(currentX, currentY);
-        ctx.lineTo(nextX, nextY);
+        ctx.moveTo(current.x, current.y);
+        ctx.lineTo(next.x, next.y);
         ctx.stroke();
       }
       ctx.setLineDash([]);
     }
     
     waypoints.forEach((waypoint, index) => {
-      const wpX = offsetX + waypoint.x * finalScale;
-      const wpY = offsetY + waypoint.y * finalScale;
+      const { x: wpX, y: wpY } = view.worldToScreen(waypoint);
       
       ctx.fillStyle = index === currentWaypointIndex && isPatrolling ? '#fbbf24' : '#10b981';
       ctx.beginPath();
@@ -263,18 +797,11 @@ const TurtleBotInterface = () => {
     });
     
     // 繪製機器人
-    if (currentPose && currentPose.x !== undefined) {
-      const robotWorldX = parseFloat(currentPose.x);
-      const robotWorldY = parseFloat(currentPose.y);
+    if (robotPose) {
+      const { x: robotDisplayX, y: robotDisplayY } = view.worldToScreen(robotPose);
       
-      const robotMapX = (robotWorldX - origin.position.x) / resolution;
-      const robotMapY = height - (robotWorldY - origin.position.y) / resolution;
-      
-      const robotDisplayX = offsetX + robotMapX * finalScale;
-      const robotDisplayY = offsetY + robotMapY * finalScale;
-      
-      if (robotDisplayX >= -50 && robotDisplayX <= displayWidth + 50 && 
-          robotDisplayY >= -50 && robotDisplayY <= displayHeight + 50) {
+      if (robotDisplayX >= -50 && robotDisplayX <= canvasWidth + 50 && 
+          robotDisplayY >= -50 && robotDisplayY <= canvasHeight + 50) {
         
         ctx.fillStyle = '#3b82f6';
         ctx.strokeStyle = '#1e40af';
@@ -284,10 +811,10 @@ const TurtleBotInterface = () => {
         ctx.fill();
         ctx.stroke();
         
-        const theta = parseFloat(currentPose.theta) * Math.PI / 180;
+        const heading = view.directionToScreen(robotPose.yaw);
         const arrowLength = 20 * mapZoom;
-        const arrowX = robotDisplayX + Math.cos(theta) * arrowLength;
-        const arrowY = robotDisplayY - Math.sin(theta) * arrowLength;
+        const arrowX = robotDisplayX + heading.x * arrowLength;
+        const arrowY = robotDisplayY + heading.y * arrowLength;
         
         ctx.strokeStyle = '#1d4ed8';
         ctx.lineWidth = 3;
@@ -308,18 +835,153 @@ const TurtleBotInterface = () => {
     
     // 繪製目標位置
     if (goalPose) {
-      const goalMapX = (goalPose.x - origin.position.x) / resolution;
-      const goalMapY = height - (goalPose.y - origin.position.y) / resolution;
-      
-      const goalDisplayX = offsetX + goalMapX * finalScale;
-      const goalDisplayY = offsetY + goalMapY * finalScale;
-      
+      const goalPoint = view.worldToScreen(goalPose);
+
       ctx.fillStyle = '#ef4444';
       ctx.beginPath();
-      ctx.arc(goalDisplayX, goalDisplayY, 6 * mapZoom, 0, 2 * Math.PI);
+      ctx.arc(goalPoint.x, goalPoint.y, 6 * mapZoom, 0, 2 * Math.PI);
       ctx.fill();
+      drawPoseArrow(ctx, goalPoint, view.directionToScreen(goalPose.yaw), 20 * mapZoom, '#ef4444');
     }
-  }, [currentPose, goalPose, mapZoom, mapOffset, stations, waypoints, currentWaypointIndex, isPatrolling]);
+
+    // 繪製拖拽中的位姿預覽
+    if (poseDrag) {
+      const dx = poseDrag.current.x - poseDrag.start.x;
+      const dy = poseDrag.current.y - poseDrag.start.y;
+      const dragLength = Math.hypot(dx, dy);
+      const dragColor = { initialPose: '#22c55e', goal: '#ef4444' }[poseDrag.purpose] || '#a855f7';
+
+      ctx.fillStyle = dragColor;
+      ctx.beginPath();
+      ctx.arc(poseDrag.start.x, poseDrag.start.y, 6 * mapZoom, 0, 2 * Math.PI);
+      ctx.fill();
+      if (dragLength >= POSE_DRAG_MIN_PIXELS) {
+        drawPoseArrow(ctx, poseDrag.start, { x: dx / dragLength, y: dy / dragLength }, dragLength, dragColor);
+      }
+    }
+  }, [mapData, createMapView, lookupRobotPose, goalPose, mapZoom, stations, waypoints, currentWaypointIndex, isPatrolling,
+    patrolOptions.mode, poseDrag, mapLayers.scan, mapLayers.globalPlan, mapLayers.localPlan, scanData, scanDecimation,
+    tfOptions.fixedFrame, globalPlan, localPlan, planToMapPoints, mapLayers.particleCloud, mapLayers.covariance, particleCloud,
+    amclPose, localization, lookupMessageFrame, zones, zoneDraft, mapLayers.routeGraph, routeTool, routeGraph, routePositions,
+    activeRoute, routeEdgeStart]);
+
+  const { invalidateBase: invalidateMapBase, invalidateOverlay: invalidateMapOverlay } = useMapRenderer({
+    baseCanvasRef: mapBaseCanvasRef,
+    overlayCanvasRef: mapCanvasRef,
+    drawBase: drawMapBase,
+    drawOverlay: drawMapOverlay
+  });
+
+  // TF 更新：動態層每次重繪；代價地圖框架的轉換改變時（例如 AMCL 修正 map→odom）靜態層也要重繪
+  useEffect(() => {
+    handleTfUpdateRef.current = () => {
+      invalidateMapOverlay();
+      const moved = baseFramesRef.current.some(({ message, frame }) => {
+        const current = lookupMessageFrame(message);
+        if (!frame || !current) return frame !== current;
+        return frame.x !== current.x || frame.y !== current.y || frame.yaw !== current.yaw;
+      });
+      if (moved) invalidateMapBase();
+    };
+  }, [invalidateMapBase, invalidateMapOverlay, lookupMessageFrame]);
+
+  // 畫布座標轉 map 座標（公尺）
+  const getMapView = () => {
+    const canvas = mapCanvasRef.current;
+    if (!canvas || !mapData) return null;
+    return createMapView(canvas.width, canvas.height);
+  };
+
+  // 訂閱電池狀態；更換話題時取消舊的訂閱
+  const subscribeBattery = useCallback((rosInstance, topic) => {
+    if (batterySubRef.current) batterySubRef.current.unsubscribe();
+    setBattery(null);
+    batteryPolicyRef.current.reset();
+
+    batterySubRef.current = new ROSLIB.Topic({
+      ros: rosInstance,
+      name: topic,
+      messageType: 'sensor_msgs/BatteryState',
+      throttle_rate: 1000
+    });
+    batterySubRef.current.subscribe((message) => {
+      setBattery(parseBatteryState(message));
+    });
+    addLog('info', `正在訂閱電池話題 ${topic}`);
+  }, [addLog]);
+
+  // 訂閱全域與區域規劃路徑；沒有進行中的目標時忽略（規劃器可能在結束後才送出最後一筆）
+  const subscribePlans = useCallback((rosInstance, { globalTopic, localTopic }) => {
+    planSubsRef.current.forEach(topic => topic.unsubscribe());
+    setGlobalPlan(null);
+    setLocalPlan(null);
+
+    planSubsRef.current = [[globalTopic, setGlobalPlan, 0], [localTopic, setLocalPlan, 200]].map(([name, setPlan, throttle]) => {
+      const topic = new ROSLIB.Topic({
+        ros: rosInstance,
+        name,
+        messageType: 'nav_msgs/Path',
+        throttle_rate: throttle,
+        queue_length: 1
+      });
+      topic.subscribe((message) => {
+        if (!navClientRef.current || !navClientRef.current.getActiveGoal()) return;
+        setPlan(message);
+      });
+      return topic;
+    });
+  }, []);
+
+  // 訂閱全域與區域代價地圖
+  const subscribeCostmaps = useCallback((rosInstance, { globalTopic, localTopic }) => {
+    costmapSubsRef.current.forEach(topic => topic.unsubscribe());
+    setGlobalCostmap(null);
+    setLocalCostmap(null);
+
+    costmapSubsRef.current = [[globalTopic, setGlobalCostmap, 1000], [localTopic, setLocalCostmap, 200]].map(([name, setCostmap, throttle]) => {
+      const topic = new ROSLIB.Topic({
+        ros: rosInstance,
+        name,
+        messageType: 'nav_msgs/OccupancyGrid',
+        throttle_rate: throttle,
+        queue_length: 1
+      });
+      topic.subscribe(setCostmap);
+      return topic;
+    });
+  }, []);
+
+  // 訂閱 AMCL 粒子雲與估計位姿
+  const subscribeLocalization = useCallback((rosInstance, { particleCloudTopic, amclPoseTopic }) => {
+    localizationSubsRef.current.forEach(topic => topic.unsubscribe());
+    setParticleCloud(null);
+    setAmclPose(null);
+
+    localizationSubsRef.current = [
+      [particleCloudTopic, 'geometry_msgs/PoseArray', setParticleCloud, 200],
+      [amclPoseTopic, 'geometry_msgs/PoseWithCovarianceStamped', setAmclPose, 0]
+    ].map(([name, messageType, setMessage, throttle]) => {
+      const topic = new ROSLIB.Topic({
+        ros: rosInstance,
+        name,
+        messageType,
+        throttle_rate: throttle,
+        queue_length: 1
+      });
+      topic.subscribe(setMessage);
+      return topic;
+    });
+  }, []);
+
+  // 初始位姿話題只建立一次，改名時取消舊話題的 advertise
+  const createInitialPoseTopic = useCallback((rosInstance, name) => {
+    if (initialPoseRef.current) initialPoseRef.current.unadvertise();
+    initialPoseRef.current = new ROSLIB.Topic({
+      ros: rosInstance,
+      name,
+      messageType: 'geometry_msgs/PoseWithCovarianceStamped'
+    });
+  }, []);
 
   // ROS 設定
   const setupRosTopics = useCallback((rosInstance) => {
@@ -336,20 +998,61 @@ const TurtleBotInterface = () => {
         messageType: 'nav_msgs/Odometry'
       });
 
+      // /odom 只用於速度；位姿由 TF 查詢（見位姿更新），查不到時才使用
       odomSubRef.current.subscribe((message) => {
         const { position, orientation } = message.pose.pose;
         const { linear, angular } = message.twist.twist;
         
-        const theta = 2 * Math.atan2(orientation.z, orientation.w);
-        
-        setCurrentPose({
-          x: parseFloat(position.x.toFixed(3)),
-          y: parseFloat(position.y.toFixed(3)),
-          theta: (theta * 180 / Math.PI).toFixed(1)
-        });
-        
-        setLinearVel(linear.x.toFixed(2));
-        setAngularVel(angular.z.toFixed(2));
+        odomPoseRef.current = {
+          x: position.x,
+          y: position.y,
+          yaw: 2 * Math.atan2(orientation.z, orientation.w)
+        };
+        odomTwistRef.current = { linear: linear.x, angular: angular.z };
+        invalidateMapOverlay();
+      });
+
+      if (tfListenerRef.current) tfListenerRef.current.dispose();
+      tfTreeRef.current.clear();
+      tfListenerRef.current = createTfListener({
+        ROSLIB,
+        ros: rosInstance,
+        tree: tfTreeRef.current,
+        onUpdate: () => {
+          if (handleTfUpdateRef.current) handleTfUpdateRef.current();
+        }
+      });
+
+      if (navClientRef.current) navClientRef.current.dispose();
+      navClientRef.current = createNavigationClient({
+        ROSLIB,
+        ros: rosInstance,
+        onStatus: (status, goal, text) => {
+          const label = getGoalStatusLabel(status);
+          setNavStatus(prev => ({ ...prev, status, label, text }));
+          setRobotStatus(label);
+
+          if (status === GOAL_STATUS.SUCCEEDED) {
+            if (goal.label) setRobotStatus(`已到達 ${goal.label}`);
+            addLog('success', `已到達${goal.label ? ` ${goal.label}` : '導航目標'} (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)})`);
+          } else if (status === GOAL_STATUS.ACTIVE) {
+            addLog('info', '導航目標已被接受，開始移動');
+          } else if (status === GOAL_STATUS.PREEMPTED || status === GOAL_STATUS.RECALLED) {
+            addLog('warning', '導航目標已取消');
+          } else if (status !== GOAL_STATUS.PENDING) {
+            addLog('error', `${label}${text ? `: ${text}` : ''}`);
+          }
+
+          if (isTerminalStatus(status)) {
+            setGlobalPlan(null);
+            setLocalPlan(null);
+            if (patrolRef.current) patrolRef.current.handleGoalResult(goal.id, status);
+            if (routeRef.current) routeRef.current.handleGoalResult(goal.id, status);
+          }
+        },
+        onFeedback: ({ remaining }) => {
+          setNavStatus(prev => prev && { ...prev, remaining });
+        }
       });
 
       mapSubRef.current = new ROSLIB.Topic({
@@ -358,271 +1061,895 @@ const TurtleBotInterface = () => {
         messageType: 'nav_msgs/OccupancyGrid'
       });
 
-      addLog('info', '正在訂閱地圖話題 /map...');
-      
-      mapSubRef.current.subscribe((message) => {
-        console.log('🗺️ 收到地圖數據!', {
-          width: message.info.width,
-          height: message.info.height,
-          resolution: message.info.resolution,
-          dataLength: message.data ? message.data.length : 0
-        });
-        
-        if (message.data && message.data.length > 0) {
-          setMapData(message);
-          setTimeout(() => drawMap(message), 100);
-          addLog('success', `地圖更新: ${message.info.width}x${message.info.height}`);
-        }
-      });
+      addLog('info', '正在訂閱地圖話題 /map...');
+      
+      mapSubRef.current.subscribe((message) => {
+        console.log('🗺️ 收到地圖數據!', {
+          width: message.info.width,
+          height: message.info.height,
+          resolution: message.info.resolution,
+          dataLength: message.data ? message.data.length : 0
+        });
+        
+        // 完整地圖一律視為權威版本，取代之前累積的增量更新
+        if (message.data && message.data.length > 0) {
+          replaceMap(message);
+          addLog('success', `地圖更新: ${message.info.width}x${message.info.height}`);
+        }
+      });
+
+      // SLAM 的增量更新：只修改變動區域的柵格與點陣圖，不重新點陣化整張地圖
+      mapUpdatesSubRef.current = new ROSLIB.Topic({
+        ros: rosInstance,
+        name: '/map_updates',
+        messageType: 'map_msgs/OccupancyGridUpdate'
+      });
+      mapUpdatesSubRef.current.subscribe((message) => {
+        const grid = mapDataRef.current;
+        const region = applyOccupancyGridUpdate(grid, message);
+        if (!region) return;
+        patchGridBitmap(mapBitmapRef.current, getGridRegion(grid, region), region.x, region.y, occupancyColor);
+        // 提交快照，匯出地圖與遮罩讀取的 mapData 不會被之後的更新改動
+        setMapData({ ...grid, data: grid.data.slice() });
+      });
+
+      scanSubRef.current = new ROSLIB.Topic({
+        ros: rosInstance,
+        name: '/scan',
+        messageType: 'sensor_msgs/LaserScan',
+        throttle_rate: 200,
+        queue_length: 1
+      });
+      scanSubRef.current.subscribe((message) => {
+        setScanData(message);
+      });
+
+      slamClientRef.current = createSlamClient({ ROSLIB, ros: rosInstance });
+
+      subscribePlans(rosInstance, pathOptionsRef.current);
+      subscribeCostmaps(rosInstance, costmapOptionsRef.current);
+      subscribeLocalization(rosInstance, localizationOptionsRef.current);
+      createInitialPoseTopic(rosInstance, localizationOptionsRef.current.initialPoseTopic);
+      subscribeBattery(rosInstance, batteryOptionsRef.current.topic);
+      addLog('success', 'ROS 話題設置完成');
+    } catch (error) {
+      addLog('error', `話題設置失敗: ${error.message}`);
+    }
+  }, [addLog, subscribeBattery, subscribePlans, subscribeCostmaps, subscribeLocalization, createInitialPoseTopic, replaceMap, invalidateMapOverlay]);
+
+  // ROS 連線管理：單一管理器負責首次連線、手動連線與自動重連
+  useEffect(() => {
+    if (ROSLIB) {
+      addLog('success', 'ROSLIB 已成功加載');
+    } else {
+      addLog('error', 'ROSLIB 未加載，請確認 roslib.min.js 可以存取');
+      return undefined;
+    }
+
+    const manager = createConnectionManager({
+      ROSLIB,
+      transportFor: (url) => isSimulatorUrl(url) ? SimulatorWebSocket : undefined,
+      onStateChange: (info) => {
+        setConnectionInfo(info);
+        setRosConnected(info.state === CONNECTION_STATES.CONNECTED);
+        if (info.state === CONNECTION_STATES.CONNECTING) {
+          setRobotStatus(info.attempt > 0 ? '重新連接中...' : '正在連接...');
+        } else if (info.state === CONNECTION_STATES.WAITING) {
+          setRobotStatus('連接斷開');
+        } else if (info.state === CONNECTION_STATES.DISCONNECTED) {
+          setRobotStatus('未連接');
+        }
+      },
+      onConnected: (rosInstance, { restored }) => {
+        setRobotStatus('已連接');
+        if (restored) {
+          addLog('success', 'ROS 重新連接成功，已恢復話題訂閱');
+          return;
+        }
+
+        addLog('success', 'ROS 連接成功');
+        rosRef.current = rosInstance;
+        if (rosInstance.on) {
+          rosInstance.on('status', (status) => {
+            const type = status.level === 'error' ? 'error' : status.level === 'warning' ? 'warning' : 'info';
+            addLog(type, `rosbridge: ${status.msg}`);
+          });
+        }
+        setupRosTopics(rosInstance);
+      },
+      onLog: addLog
+    });
+    connectionRef.current = manager;
+    manager.connect(rosUrl);
+
+    return () => {
+      manager.dispose();
+      connectionRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // 故意忽略依賴，只在組件首次載入時執行
+
+  // 等待重連時的倒數
+  useEffect(() => {
+    if (connectionInfo.state !== CONNECTION_STATES.WAITING || !connectionInfo.nextRetryAt) {
+      setRetryCountdown(0);
+      return undefined;
+    }
+    const update = () => setRetryCountdown(Math.max(0, Math.ceil((connectionInfo.nextRetryAt - Date.now()) / 1000)));
+    update();
+    const timer = setInterval(update, 250);
+    return () => clearInterval(timer);
+  }, [connectionInfo]);
+
+  // 位姿與速度顯示：定期更新介面狀態，避免每則 /tf、/odom 都重新渲染（地圖由繪製迴圈直接查詢）
+  useEffect(() => {
+    saveTfOptions(tfOptions);
+    let warnedOdom = false;
+    let odomSince = null;
+    let lastStale = false;
+
+    const update = () => {
+      if (odomTwistRef.current) {
+        setLinearVel(odomTwistRef.current.linear.toFixed(2));
+        setAngularVel(odomTwistRef.current.angular.toFixed(2));
+      }
+
+      const robot = lookupRobotPose();
+      if (!robot) return;
+      const { pose, source, age } = robot;
+      const stale = source === 'tf' && age > tfOptions.staleTimeout;
+
+      const next = {
+        x: parseFloat(pose.x.toFixed(3)),
+        y: parseFloat(pose.y.toFixed(3)),
+        theta: (pose.yaw * 180 / Math.PI).toFixed(1)
+      };
+      setCurrentPose(prev => (prev.x === next.x && prev.y === next.y && prev.theta === next.theta ? prev : next));
+      const roundedAge = stale ? Math.round(age * 10) / 10 : 0;
+      setPoseSource(prev => (
+        prev.source === source && prev.stale === stale && prev.age === roundedAge ? prev : { source, stale, age: roundedAge }
+      ));
+
+      // 連線初期 /odom 可能比 TF 先到，持續查不到才警告
+      if (source === 'odom') {
+        if (odomSince === null) odomSince = Date.now();
+        if (!warnedOdom && Date.now() - odomSince > tfOptions.staleTimeout * 1000) {
+          warnedOdom = true;
+          addLog('warning', `無法查詢 TF ${tfOptions.fixedFrame} → ${tfOptions.baseFrame}，暫用 /odom 位姿`);
+        }
+      } else {
+        if (warnedOdom) addLog('success', `已取得 TF ${tfOptions.fixedFrame} → ${tfOptions.baseFrame}`);
+        warnedOdom = false;
+        odomSince = null;
+      }
+      if (stale && !lastStale) addLog('warning', `TF 已過期 (${age.toFixed(1)} 秒未更新)`);
+      if (!stale && lastStale && source === 'tf') addLog('success', 'TF 恢復更新');
+      lastStale = stale;
+    };
+
+    update();
+    const timer = setInterval(update, 100);
+    return () => clearInterval(timer);
+  }, [tfOptions, lookupRobotPose, addLog]);
+
+  const updateTfOptions = (changes) => {
+    setTfOptions(prev => ({ ...prev, ...changes }));
+  };
+
+  // 控制函數
+  const publishCmdVel = useCallback((linear, angular) => {
+    if (!rosConnected || !cmdVelRef.current) return;
+
+    const twist = new ROSLIB.Message({
+      linear: { x: linear, y: 0, z: 0 },
+      angular: { x: 0, y: 0, z: angular }
+    });
+
+    cmdVelRef.current.publish(twist);
+  }, [rosConnected]);
+
+  useEffect(() => {
+    publishCmdVelRef.current = publishCmdVel;
+  }, [publishCmdVel]);
+
+  // 遙控指令串流器：按住時以固定頻率發送，並套用加速度限制
+  useEffect(() => {
+    const streamer = createCmdVelStreamer({
+      publish: (linear, angular) => publishCmdVelRef.current(linear, angular),
+      onDeadman: () => addLog('warning', '遙控輸入逾時，速度歸零')
+    });
+    streamerRef.current = streamer;
+
+    return () => {
+      streamer.dispose();
+      streamerRef.current = null;
+    };
+  }, [addLog]);
+
+  useEffect(() => {
+    if (streamerRef.current) streamerRef.current.setOptions(streamOptions);
+    saveStreamOptions(streamOptions);
+  }, [streamOptions]);
+
+  const updateStreamOptions = (changes) => {
+    setStreamOptions(prev => ({ ...prev, ...changes }));
+  };
+
+  const stopRobot = useCallback(() => {
+    setHeldAction(null);
+    if (streamerRef.current) {
+      streamerRef.current.stop();
+    } else {
+      publishCmdVel(0, 0);
+    }
+    if (patrolRef.current && patrolRef.current.isActive()) patrolRef.current.stop();
+    if (routeRef.current && routeRef.current.isActive()) routeRef.current.stop();
+    addLog('warning', '機器人停止');
+  }, [publishCmdVel, addLog]);
+
+  // 導航控制
+  const sendNavGoal = useCallback((pose, label) => {
+    if (!rosConnected || !navClientRef.current) {
+      addLog('error', '請先連接 ROS');
+      return null;
+    }
+
+    setGlobalPlan(null);
+    setLocalPlan(null);
+    setNavStatus({ status: GOAL_STATUS.PENDING, label: getGoalStatusLabel(GOAL_STATUS.PENDING), remaining: null });
+    const goal = navClientRef.current.sendGoal({ ...pose, label });
+    if (!goal) {
+      setNavStatus(null);
+      addLog('error', 'ROS 連線中斷，導航目標未送出');
+      return null;
+    }
+    // 目標含客戶端正規化後的 yaw 與四元數
+    setGoalPose(goal);
+    addLog('info', `發送導航目標${label ? ` ${label}` : ''}: (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}, ${(goal.yaw * 180 / Math.PI).toFixed(0)}°)`);
+    return goal;
+  }, [rosConnected, addLog]);
+
+  useEffect(() => {
+    sendNavGoalRef.current = sendNavGoal;
+  }, [sendNavGoal]);
+
+  // 巡邏執行器
+  useEffect(() => {
+    const executor = createPatrolExecutor({
+      sendGoal: (waypoint) => sendNavGoalRef.current({ x: waypoint.x, y: waypoint.y }, `航點 ${waypoint.order}`),
+      cancelGoal: () => {
+        if (navClientRef.current) navClientRef.current.cancel();
+      },
+      onProgress: ({ state, index, lap }) => {
+        setPatrolState(state);
+        setIsPatrolling(state !== PATROL_STATES.IDLE);
+        setCurrentWaypointIndex(index);
+        setPatrolLap(lap);
+        if (state === PATROL_STATES.DWELLING) setRobotStatus(`巡邏停留於航點 ${index + 1}`);
+        if (state === PATROL_STATES.PAUSED) setRobotStatus('巡邏暫停');
+      },
+      onLog: addLog
+    });
+    patrolRef.current = executor;
+
+    return () => {
+      executor.stop();
+      patrolRef.current = null;
+    };
+  }, [addLog]);
+
+  // 路線執行器
+  useEffect(() => {
+    const executor = createRouteExecutor({
+      sendGoal: (goal) => sendNavGoalRef.current({ x: goal.x, y: goal.y, yaw: goal.yaw }, goal.label),
+      cancelGoal: () => {
+        if (navClientRef.current) navClientRef.current.cancel();
+      },
+      onProgress: ({ active, index }) => {
+        setActiveRoute(prev => (active && prev ? { ...prev, index } : null));
+      },
+      onLog: addLog
+    });
+    routeRef.current = executor;
+
+    return () => {
+      executor.stop();
+      routeRef.current = null;
+    };
+  }, [addLog]);
+
+  const updatePatrolOptions = (changes) => {
+    setPatrolOptions(prev => ({ ...prev, ...changes }));
+    if (patrolRef.current) patrolRef.current.setOptions(changes);
+  };
+
+  const cancelNavigation = useCallback(() => {
+    const goal = navClientRef.current ? navClientRef.current.cancel() : null;
+    publishCmdVel(0, 0);
+    if (!goal) addLog('warning', '沒有進行中的導航目標');
+  }, [publishCmdVel, addLog]);
+
+  // 前往最近的充電站，進行中的巡邏會先暫停
+  const returnToDock = useCallback(() => {
+    const dock = findNearestChargingStation(stations, currentPose);
+    if (!dock) {
+      addLog('error', '沒有設定充電站，無法返回充電');
+      return null;
+    }
+    if (patrolRef.current && patrolRef.current.isActive()) patrolRef.current.pause();
+    return sendNavGoal({ x: dock.x, y: dock.y, yaw: dock.yaw || 0 }, dock.name);
+  }, [stations, currentPose, sendNavGoal, addLog]);
+
+  useEffect(() => {
+    returnToDockRef.current = returnToDock;
+  }, [returnToDock]);
+
+  // 電池設定
+  useEffect(() => {
+    batteryOptionsRef.current = batteryOptions;
+    saveBatteryOptions(batteryOptions);
+  }, [batteryOptions]);
+
+  const updateBatteryOptions = (changes) => {
+    if (changes.topic && changes.topic !== batteryOptions.topic && rosRef.current) {
+      subscribeBattery(rosRef.current, changes.topic);
+    }
+    setBatteryOptions(prev => ({ ...prev, ...changes }));
+  };
+
+  // 規劃路徑設定
+  useEffect(() => {
+    pathOptionsRef.current = pathOptions;
+    savePathOptions(pathOptions);
+  }, [pathOptions]);
+
+  const updatePathOptions = (changes) => {
+    const next = { ...pathOptions, ...changes };
+    if (rosRef.current && (next.globalTopic !== pathOptions.globalTopic || next.localTopic !== pathOptions.localTopic)) {
+      subscribePlans(rosRef.current, next);
+      addLog('info', `規劃路徑話題: ${next.globalTopic}、${next.localTopic}`);
+    }
+    setPathOptions(next);
+  };
+
+  // 代價地圖設定
+  useEffect(() => {
+    costmapOptionsRef.current = costmapOptions;
+    saveCostmapOptions(costmapOptions);
+  }, [costmapOptions]);
+
+  const updateCostmapOptions = (changes) => {
+    const next = { ...costmapOptions, ...changes };
+    if (rosRef.current && (next.globalTopic !== costmapOptions.globalTopic || next.localTopic !== costmapOptions.localTopic)) {
+      subscribeCostmaps(rosRef.current, next);
+      addLog('info', `代價地圖話題: ${next.globalTopic}、${next.localTopic}`);
+    }
+    setCostmapOptions(next);
+  };
+
+  // SLAM 設定
+  useEffect(() => {
+    saveSlamOptions(slamOptions);
+  }, [slamOptions]);
+
+  const updateSlamOptions = (changes) => {
+    // 手動修改服務後不再屬於任何預設組合
+    setSlamOptions(prev => ({ ...prev, ...changes, preset: 'custom' }));
+  };
+
+  const selectSlamPreset = (preset) => {
+    setSlamOptions(prev => applySlamPreset({ ...prev, preset }, preset));
+  };
+
+  // 建圖進度：每秒由最新地圖計算已探索面積
+  useEffect(() => {
+    if (!mappingSession) return undefined;
+    const update = () => {
+      const { area } = computeMappingProgress(mapDataRef.current);
+      setMappingProgress({ area, elapsed: (Date.now() - mappingSession.startedAt) / 1000 });
+    };
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [mappingSession]);
+
+  // 連線中斷時等待中的服務呼叫不會再有結果，解除按鈕鎖定
+  useEffect(() => {
+    if (!rosConnected) setSlamBusy(null);
+  }, [rosConnected]);
+
+  // 連線中斷時無法得知 SLAM 狀態，結束本次建圖工作階段
+  useEffect(() => {
+    if (rosConnected || !mappingSession) return;
+    setMappingSession(null);
+    addLog('warning', '連線中斷，建圖工作階段已結束');
+  }, [rosConnected, mappingSession, addLog]);
+
+  const toggleMapping = async () => {
+    if (!slamClientRef.current) return;
+    const stopping = mappingSession !== null;
+    setSlamBusy(stopping ? 'stop' : 'start');
+    try {
+      if (stopping) {
+        const message = await slamClientRef.current.stop(slamOptions);
+        setMappingSession(null);
+        setRobotStatus('已連接');
+        addLog('info', `停止建圖${message ? `: ${message}` : ''}`);
+      } else {
+        const message = await slamClientRef.current.start(slamOptions);
+        setMappingSession({ startedAt: Date.now() });
+        setMappingProgress({ area: 0, elapsed: 0 });
+        setRobotStatus('建圖中');
+        addLog('success', `開始建圖${message ? `: ${message}` : ''}`);
+      }
+    } catch (error) {
+      addLog('error', `${stopping ? '停止' : '開始'}建圖失敗: ${error.message}`);
+    } finally {
+      setSlamBusy(null);
+    }
+  };
+
+  const saveSlamMap = async (name) => {
+    if (!slamClientRef.current) return;
+    setSlamBusy('save');
+    try {
+      const message = await slamClientRef.current.saveMap(slamOptions, name);
+      addLog('success', `地圖已儲存${name ? `: ${name}` : ''}${message ? `（${message}）` : ''}`);
+    } catch (error) {
+      addLog('error', `儲存地圖失敗: ${error.message}`);
+    } finally {
+      setSlamBusy(null);
+    }
+  };
+
+  // 定位設定
+  useEffect(() => {
+    localizationOptionsRef.current = localizationOptions;
+    saveLocalizationOptions(localizationOptions);
+  }, [localizationOptions]);
+
+  const updateLocalizationOptions = (changes) => {
+    const next = { ...localizationOptions, ...changes };
+    if (rosRef.current && (next.particleCloudTopic !== localizationOptions.particleCloudTopic || next.amclPoseTopic !== localizationOptions.amclPoseTopic)) {
+      subscribeLocalization(rosRef.current, next);
+      addLog('info', `定位話題: ${next.particleCloudTopic}、${next.amclPoseTopic}`);
+    }
+    if (rosRef.current && next.initialPoseTopic !== localizationOptions.initialPoseTopic) {
+      createInitialPoseTopic(rosRef.current, next.initialPoseTopic);
+    }
+    setLocalizationOptions(next);
+  };
+
+  // 定位信心下降時記錄一次，恢復後再次下降才會重新記錄
+  const localizationLevel = localization ? localization.level : null;
+  useEffect(() => {
+    if (localizationLevel === LOCALIZATION_LEVELS.DEGRADED) addLog('warning', '定位信心下降，請確認或重新設定初始位姿');
+  }, [localizationLevel, addLog]);
+
+  // 發布初始位姿，讓 AMCL 以此位置重新撒粒子
+  const publishInitialPose = (pose) => {
+    if (!rosConnected || !initialPoseRef.current) {
+      addLog('error', 'ROS 未連接，無法設定初始位姿');
+      return;
+    }
+    initialPoseRef.current.publish(new ROSLIB.Message(createInitialPoseMessage(pose, tfOptions.fixedFrame)));
+    addLog('success', `設定初始位姿: (${pose.x.toFixed(2)}, ${pose.y.toFixed(2)}, ${(pose.yaw * 180 / Math.PI).toFixed(0)}°)`);
+  };
+
+  // 低電量策略：只在收到新的電池狀態時檢查，設定與返回充電的動作經由 ref 讀取最新值
+  useEffect(() => {
+    const options = batteryOptionsRef.current;
+    if (!batteryPolicyRef.current.update(battery, options)) return;
+    addLog('warning', `電量過低 (${battery.percentage.toFixed(1)}%)，低於 ${options.lowThreshold}%`);
+    if (!options.autoDock) return;
+    if (!rosRef.current || !rosRef.current.isConnected) return;
+    addLog('warning', '低電量，暫停任務並返回充電站');
+    returnToDockRef.current();
+  }, [battery, addLog]);
+
+  // 按住畫面按鈕移動，放開、移出按鈕或失去焦點即減速停止
+  const startHold = (action) => {
+    if (!rosConnected) {
+      addLog('error', '請先連接 ROS');
+      return;
+    }
+    const { linear, angular } = computeDriveTwist([action], speed, angularSpeed);
+    addLog('info', `移動指令: 線速度=${linear.toFixed(2)}, 角速度=${angular.toFixed(2)}`);
+    setHeldAction(action);
+  };
+
+  const releaseHold = () => setHeldAction(null);
+
+  const keyboardActions = useKeyboardTeleop({
+    enabled: currentMode === 'teleop',
+    speed,
+    angularSpeed,
+    onStop: stopRobot,
+    onSpeedChange: setSpeed,
+    onAngularSpeedChange: setAngularSpeed
+  });
+
+  // 鍵盤與按鈕的方向合併為按住的目標速度，由 keyup、pointerup 與失焦事件放開
+  const heldActions = [...new Set([...keyboardActions, ...(heldAction ? [heldAction] : [])])];
+  const heldActionsKey = heldActions.sort().join(',');
+
+  useEffect(() => {
+    if (!heldActionsKey) return undefined;
+    const { linear, angular } = computeDriveTwist(heldActionsKey.split(','), speed, angularSpeed);
+    if (streamerRef.current) streamerRef.current.hold(linear, angular);
+
+    return () => {
+      if (streamerRef.current) streamerRef.current.release();
+    };
+  }, [heldActionsKey, speed, angularSpeed]);
+
+  // 切換分頁時收不到 pointerup，視為放開
+  useEffect(() => {
+    if (!heldAction) return undefined;
+    const release = () => setHeldAction(null);
+    window.addEventListener('blur', release);
+    return () => window.removeEventListener('blur', release);
+  }, [heldAction]);
+
+  useEffect(() => {
+    saveGamepadMapping(gamepadMapping);
+  }, [gamepadMapping]);
+
+  // 手把與按鍵共用同一個串流器，輸出同樣經過 publishCmdVel
+  const gamepadControl = useGamepadTeleop({
+    enabled: currentMode === 'teleop',
+    mapping: gamepadMapping,
+    speed,
+    angularSpeed,
+    onDrive: (linear, angular) => {
+      if (streamerRef.current) streamerRef.current.setTarget(linear, angular);
+    },
+    onRelease: () => {
+      if (streamerRef.current) streamerRef.current.release();
+    },
+    onEstop: () => {
+      if (navClientRef.current && navClientRef.current.getActiveGoal()) navClientRef.current.cancel();
+      stopRobot();
+      addLog('error', '手把緊急停止');
+    },
+    onPreset: (index) => {
+      const preset = SPEED_PRESETS[index];
+      setSpeed(preset.speed);
+      setAngularSpeed(preset.angularSpeed);
+      addLog('info', `速度預設: ${preset.label} (${preset.speed} m/s, ${preset.angularSpeed} rad/s)`);
+    },
+    onMappingChange: (mapping) => {
+      setGamepadMapping(mapping);
+      addLog('success', '手把對應已更新');
+    }
+  });
+
+  // 手指停住不動時沒有事件可刷新 deadman，以按住的目標送出，由搖桿的放開、取消與失焦事件停止
+  useEffect(() => {
+    if (!joystickVector) return undefined;
+    const { linear, angular } = joystickToTwist(joystickVector, speed, angularSpeed);
+    if (streamerRef.current) streamerRef.current.hold(linear, angular);
+
+    return () => {
+      if (streamerRef.current) streamerRef.current.release();
+    };
+  }, [joystickVector, speed, angularSpeed]);
+
+  const holdHandlers = (action) => ({
+    onPointerDown: (event) => {
+      if (event.button === 0) startHold(action);
+    },
+    onPointerUp: releaseHold,
+    onPointerLeave: releaseHold,
+    onPointerCancel: releaseHold
+  });
+
+  const teleopButtonClass = (action) => (
+    `p-3 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all select-none touch-none${
+      heldActions.includes(action) ? ' ring-2 ring-white bg-blue-600' : ''
+    }`
+  );
+
+  // 地圖交互
+  const handleMapWheel = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const delta = event.deltaY > 0 ? 0.9 : 1.1;
+    setMapZoom(clampZoom(mapZoom * delta));
+  };
+
+  const getCanvasPoint = (event) => {
+    const rect = mapCanvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  // 地圖指標操作：單指拖拽平移或設定站點方向、輕點為點擊、雙指縮放與平移
+  const startPinch = () => {
+    const points = [...mapPointersRef.current.values()].slice(0, 2);
+    mapGestureRef.current = { type: 'pinch', start: { points, zoom: mapZoom, offset: mapOffset } };
+    setPoseDrag(null);
+  };
 
-      const batterySimulation = setInterval(() => {
-        setBatteryLevel(prev => Math.max(20, prev - 0.1));
-      }, 10000);
+  const handleMapPointerDown = (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    event.preventDefault();
+    mapCanvasRef.current.setPointerCapture(event.pointerId);
+    const point = getCanvasPoint(event);
+    mapPointersRef.current.set(event.pointerId, point);
 
-      rosInstance.batterySimulation = batterySimulation;
-      addLog('success', 'ROS 話題設置完成');
-    } catch (error) {
-      addLog('error', `話題設置失敗: ${error.message}`);
+    if (mapPointersRef.current.size === 2) {
+      startPinch();
+      return;
     }
-  }, [addLog, drawMap]);
+    if (mapPointersRef.current.size > 2) return;
 
-  // ROS 初始化 - 修復無限循環問題
-  useEffect(() => {
-    if (window.ROSLIB) {
-      addLog('success', 'ROSLIB 已成功加載');
-      console.log('✅ ROSLIB 已成功加載');
-    } else {
-      addLog('warning', 'ROSLIB 未加載，使用模擬模式');
-      console.log('❌ ROSLIB 未加載');
-      return; // 如果沒有 ROSLIB 就不繼續
+    if (initialPoseMode && mapData) {
+      mapGestureRef.current = { type: 'pose' };
+      setPoseDrag({ purpose: 'initialPose', start: point, current: point });
+      return;
     }
-    
-    let reconnectTimer = null;
-    let connectionAttempted = false; // 防止重複連接
-    
-    const initAndSetupROS = () => {
-      if (connectionAttempted) {
-        console.log('⚠️ 已嘗試過連接，跳過重複嘗試');
-        return;
-      }
-      
-      try {
-        connectionAttempted = true;
-        console.log('🔄 開始初始化 ROS 連接...');
-        
-        if (reconnectTimer) {
-          clearTimeout(reconnectTimer);
-          reconnectTimer = null;
-        }
-        
-        if (rosRef.current) {
-          try {
-            rosRef.current.close();
-            console.log('🔒 關閉舊連接');
-          } catch (e) {
-            console.log('關閉舊連接時發生錯誤:', e);
-          }
-        }
-        
-        console.log('🌐 創建新的 ROS 實例:', rosUrl);
-        const rosInstance = new ROSLIB.Ros({ 
-          url: rosUrl
-        });
+    if (currentMode === 'mapping' && !zoneDraft && !routeTool && newStationName.trim() && mapData) {
+      mapGestureRef.current = { type: 'pose' };
+      setPoseDrag({ purpose: 'station', start: point, current: point });
+      return;
+    }
+    if (currentMode === 'navigation' && goalPoseMode && mapData) {
+      mapGestureRef.current = { type: 'pose' };
+      setPoseDrag({ purpose: 'goal', start: point, current: point });
+      return;
+    }
+    mapGestureRef.current = { type: 'pan', origin: point, last: point, moved: false };
+  };
 
-        // 設置連接超時
-        const timeoutId = setTimeout(() => {
-          console.log('⏰ 連接超時 (10秒)');
-          setRosConnected(false);
-          setRobotStatus('連接超時');
-          addLog('error', '連接超時，請檢查 rosbridge 是否運行');
-          connectionAttempted = false; // 允許重新嘗試
-        }, 10000);
-
-        // 設置事件監聽器
-        rosInstance.on('connection', function() {
-          clearTimeout(timeoutId);
-          console.log('✅ ROS 連接成功!');
-          setRosConnected(true);
-          setRobotStatus('已連接');
-          addLog('success', 'ROS 連接成功');
-          
-          setTimeout(() => {
-            console.log('🔧 開始設置 ROS 話題...');
-            setupRosTopics(rosInstance);
-          }, 1000);
-        });
+  const handleMapPointerMove = (event) => {
+    const pointers = mapPointersRef.current;
+    const gesture = mapGestureRef.current;
+    if (!pointers.has(event.pointerId) || !gesture) return;
+    const point = getCanvasPoint(event);
+    pointers.set(event.pointerId, point);
 
-        rosInstance.on('error', function(error) {
-          clearTimeout(timeoutId);
-          console.error('❌ ROS 連接錯誤:', error);
-          setRosConnected(false);
-          setRobotStatus('連接錯誤');
-          addLog('error', 'ROS 連接錯誤');
-          connectionAttempted = false; // 允許重新嘗試
-        });
+    if (gesture.type === 'pinch') {
+      if (pointers.size < 2) return;
+      const canvas = mapCanvasRef.current;
+      const view = computePinchView(gesture.start, [...pointers.values()].slice(0, 2), canvas);
+      setMapZoom(view.zoom);
+      setMapOffset(view.offset);
+    } else if (gesture.type === 'pose') {
+      setPoseDrag(prev => prev && { ...prev, current: point });
+    } else if (gesture.type === 'pan') {
+      const deltaX = point.x - gesture.last.x;
+      const deltaY = point.y - gesture.last.y;
+      gesture.last = point;
+      if (Math.hypot(point.x - gesture.origin.x, point.y - gesture.origin.y) > TAP_SLOP) gesture.moved = true;
+      setMapOffset(prev => ({ x: prev.x + deltaX, y: prev.y + deltaY }));
+    }
+  };
 
-        rosInstance.on('close', function() {
-          clearTimeout(timeoutId);
-          console.log('⚠️ ROS 連接關閉');
-          setRosConnected(false);
-          setRobotStatus('連接斷開');
-          addLog('warning', 'ROS 連接斷開');
-          connectionAttempted = false; // 允許重新嘗試
-        });
+  const handleMapPointerUp = (event) => {
+    const pointers = mapPointersRef.current;
+    if (!pointers.has(event.pointerId)) return;
+    const point = pointers.get(event.pointerId);
+    pointers.delete(event.pointerId);
+    const gesture = mapGestureRef.current;
+    const cancelled = event.type === 'pointercancel';
 
-        console.log('🔌 開始嘗試連接...');
-        rosRef.current = rosInstance;
-        console.log('📝 ROS 實例已保存到 ref');
-        
-      } catch (error) {
-        console.error('💥 初始化失敗:', error);
-        addLog('error', `初始化失敗: ${error.message}`);
-        connectionAttempted = false; // 允許重新嘗試
+    if (gesture && gesture.type === 'pinch') {
+      if (pointers.size >= 2) {
+        startPinch();
+      } else if (pointers.size === 1) {
+        // 放開一指後繼續以剩下的手指平移，但不算點擊
+        const last = [...pointers.values()][0];
+        mapGestureRef.current = { type: 'pan', origin: last, last, moved: true };
+      } else {
+        mapGestureRef.current = null;
       }
-    };
+      return;
+    }
 
-    console.log('🚀 啟動 ROS 初始化...');
-    initAndSetupROS();
-    
-    return () => {
-      console.log('🧹 清理 ROS 連接...');
-      connectionAttempted = true; // 防止清理後再次嘗試
-      if (reconnectTimer) {
-        clearTimeout(reconnectTimer);
-      }
-      if (rosRef.current) {
-        try {
-          rosRef.current.close();
-        } catch (e) {
-          console.log('清理連接時發生錯誤:', e);
-        }
-      }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // 故意忽略依賴，只在組件首次載入時執行
+    if (gesture && gesture.type === 'pose') {
+      if (!cancelled && poseDrag) finishPoseDrag(poseDrag);
+      setPoseDrag(null);
+    } else if (gesture && gesture.type === 'pan' && !gesture.moved && !cancelled) {
+      handleMapTap(point);
+    }
+    if (pointers.size === 0) mapGestureRef.current = null;
+  };
 
-  // 控制函數
-  const publishCmdVel = useCallback((linear, angular) => {
-    if (!rosConnected || !cmdVelRef.current) return;
+  // 拖拽結束：起點為位置，拖拽方向為朝向（未拖拽時保持 0）
+  const finishPoseDrag = ({ purpose, start, current }) => {
+    const view = getMapView();
+    if (!view) return;
 
-    const twist = new ROSLIB.Message({
-      linear: { x: linear, y: 0, z: 0 },
-      angular: { x: 0, y: 0, z: angular }
-    });
+    const { x, y } = view.screenToWorld(start);
+    const dx = current.x - start.x;
+    const dy = current.y - start.y;
+    const yaw = Math.hypot(dx, dy) >= POSE_DRAG_MIN_PIXELS ? view.screenToYaw(dx, dy) : 0;
 
-    cmdVelRef.current.publish(twist);
-  }, [rosConnected]);
+    if (purpose === 'initialPose') {
+      publishInitialPose({ x, y, yaw });
+      setInitialPoseMode(false);
+    } else if (purpose === 'goal') {
+      sendNavGoal({ x, y, yaw });
+      setGoalPoseMode(false);
+    } else if (purpose === 'station') {
+      const newStation = {
+        id: Date.now(),
+        name: newStationName.trim(),
+        x,
+        y,
+        yaw,
+        type: newStationType,
+        color: STATION_TYPES[newStationType].color
+      };
+      setStations(prev => [...prev, newStation]);
+      setNewStationName('');
+      addLog('success', `新增站點: ${newStation.name} (${x.toFixed(2)}, ${y.toFixed(2)}, ${(yaw * 180 / Math.PI).toFixed(0)}°)`);
+    }
+  };
 
-  const stopRobot = useCallback(() => {
-    publishCmdVel(0, 0);
-    setIsPatrolling(false);
-    addLog('warning', '機器人停止');
-  }, [publishCmdVel, addLog]);
+  // 站點編輯
+  const startEditStation = (station) => {
+    setEditingStation({
+      id: station.id,
+      name: station.name,
+      type: station.type,
+      x: station.x.toFixed(2),
+      y: station.y.toFixed(2),
+      yawDeg: ((station.yaw || 0) * 180 / Math.PI).toFixed(0)
+    });
+  };
 
-  const moveRobot = useCallback((direction) => {
-    if (!rosConnected) {
-      addLog('error', '請先連接 ROS');
+  const saveEditStation = () => {
+    const x = parseFloat(editingStation.x);
+    const y = parseFloat(editingStation.y);
+    const yawDeg = parseFloat(editingStation.yawDeg);
+    if (!editingStation.name.trim() || [x, y, yawDeg].some(Number.isNaN)) {
+      addLog('error', '站點資料無效');
       return;
     }
 
-    let linear = 0, angular = 0;
-
-    switch (direction) {
-      case 'forward':
-        linear = speed;
-        break;
-      case 'backward':
-        linear = -speed;
-        break;
-      case 'left':
-        angular = angularSpeed;
-        break;
-      case 'right':
-        angular = -angularSpeed;
-        break;
-      case 'rotate_left':
-        angular = angularSpeed;
-        break;
-      case 'rotate_right':
-        angular = -angularSpeed;
-        break;
-      default:
-        break;
+    setStations(prev => prev.map(s => s.id === editingStation.id ? {
+      ...s,
+      name: editingStation.name.trim(),
+      type: editingStation.type,
+      color: STATION_TYPES[editingStation.type].color,
+      x,
+      y,
+      yaw: yawDeg * Math.PI / 180
+    } : s));
+    addLog('success', `更新站點: ${editingStation.name.trim()}`);
+    setEditingStation(null);
+  };
+
+  // 前往站點：路線圖可到達時沿最短路徑依序行駛，否則直接導航
+  const goToStation = (station) => {
+    const robotPosition = { x: parseFloat(currentPose.x), y: parseFloat(currentPose.y) };
+    const route = planRoute(routeGraph, routePositions, robotPosition, stationNodeKey(station.id));
+    if (route && route.goals.length > 1) {
+      if (routeRef.current.isActive()) routeRef.current.stop();
+      addLog('info', `沿路線前往 ${station.name}: ${route.goals.map(goal => goal.label).join(' → ')}`);
+      setActiveRoute({ keys: route.keys, index: 0 });
+      routeRef.current.start(route.goals);
+      return;
     }
+    if (routeRef.current.isActive()) routeRef.current.stop();
+    if (!route && routeGraph.edges.length) addLog('warning', `路線圖無法到達 ${station.name}，直接導航`);
+    sendNavGoal({ x: station.x, y: station.y, yaw: station.yaw || 0 }, station.name);
+  };
 
-    publishCmdVel(linear, angular);
-    addLog('info', `移動指令: 線速度=${linear.toFixed(2)}, 角速度=${angular.toFixed(2)}`);
-  }, [rosConnected, speed, angularSpeed, publishCmdVel, addLog]);
+  const deleteStation = (station) => {
+    setStations(prev => prev.filter(s => s.id !== station.id));
+    setRouteGraph(prev => removeRouteNode(prev, stationNodeKey(station.id)));
+  };
 
-  // 地圖交互
-  const handleMapWheel = (event) => {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    const delta = event.deltaY > 0 ? 0.9 : 1.1;
-    const newZoom = Math.max(0.5, Math.min(5.0, mapZoom * delta));
-    setMapZoom(newZoom);
-    
-    if (mapData) setTimeout(() => drawMap(mapData), 10);
+  // 區域編輯
+  const finishZoneDraft = () => {
+    if (!zoneDraft || zoneDraft.points.length < MIN_ZONE_POINTS) return;
+    const zone = normalizeZone({ ...zoneDraft, id: Date.now() }, zones.length);
+    setZones(prev => [...prev, zone]);
+    setZoneDraft(null);
+    addLog('success', `新增${ZONE_TYPES[zone.type].label}: ${zone.name}（${zone.points.length} 個頂點）`);
   };
 
-  const handleMapMouseDown = (event) => {
-    event.preventDefault();
-    event.stopPropagation();
-    setIsDragging(true);
-    setLastMousePos({ x: event.clientX, y: event.clientY });
+  const deleteZone = (id) => {
+    setZones(prev => prev.filter(zone => zone.id !== id));
   };
 
-  const handleMapMouseMove = (event) => {
-    if (!isDragging) return;
-    
-    const deltaX = event.clientX - lastMousePos.x;
-    const deltaY = event.clientY - lastMousePos.y;
-    
-    setMapOffset(prev => ({
-      x: prev.x + deltaX,
-      y: prev.y + deltaY
-    }));
-    
-    setLastMousePos({ x: event.clientX, y: event.clientY });
-    
-    if (mapData) drawMap(mapData);
+  // 路線圖編輯
+  const selectRouteTool = (tool) => {
+    setRouteTool(tool);
+    setRouteEdgeStart(null);
+    if (tool) setZoneDraft(null);
   };
 
-  const handleMapMouseUp = () => {
-    setIsDragging(false);
+  // 距離點擊位置最近的節點（畫布座標）
+  const pickRouteNode = (view, point) => {
+    let best = null;
+    let bestDistance = ROUTE_PICK_PIXELS;
+    routePositions.forEach((position, key) => {
+      const screen = view.worldToScreen(position);
+      const distance = Math.hypot(screen.x - point.x, screen.y - point.y);
+      if (distance <= bestDistance) {
+        best = key;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  const addRouteEdge = (from, to) => {
+    const pairs = routeBidirectional ? [[from, to], [to, from]] : [[from, to]];
+    setRouteGraph(prev => {
+      const added = pairs
+        .filter(([a, b]) => !prev.edges.some(edge => edge.from === a && edge.to === b))
+        .map(([a, b], index) => ({ id: Date.now() + index, from: a, to: b, weight: null }));
+      return added.length ? { ...prev, edges: [...prev.edges, ...added] } : prev;
+    });
+  };
+
+  const handleRouteTap = (view, point) => {
+    if (routeTool === 'node') {
+      const { x, y } = view.screenToWorld(point);
+      setRouteGraph(prev => ({ ...prev, nodes: [...prev.nodes, { id: Date.now(), x, y }] }));
+      return;
+    }
+
+    const key = pickRouteNode(view, point);
+    if (routeTool === 'delete') {
+      if (key && key.startsWith(routeNodeKey(''))) setRouteGraph(prev => removeRouteNode(prev, key));
+      return;
+    }
+    // 連接：第一次點擊選起點，之後每次點擊由上一個節點連到此節點
+    if (!key || key === routeEdgeStart) {
+      setRouteEdgeStart(null);
+      return;
+    }
+    if (routeEdgeStart) addRouteEdge(routeEdgeStart, key);
+    setRouteEdgeStart(key);
   };
 
+  // 離開建圖模式時放棄繪製中的區域與路線圖編輯
+  useEffect(() => {
+    if (currentMode !== 'mapping') {
+      setZoneDraft(null);
+      setRouteTool(null);
+      setRouteEdgeStart(null);
+    }
+    if (currentMode !== 'navigation') setGoalPoseMode(false);
+  }, [currentMode]);
+
   const resetMapView = () => {
     setMapZoom(1.0);
     setMapOffset({ x: 0, y: 0 });
-    if (mapData) setTimeout(() => drawMap(mapData), 10);
   };
 
-  // 地圖點擊處理
-  const handleMapClick = (event) => {
-    if (!mapData) return;
+  // 地圖點擊處理（point 為畫布座標）
+  const handleMapTap = (point) => {
+    const view = getMapView();
+    if (!view) return;
 
-    const canvas = mapCanvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-
-    if (currentMode === 'mapping') {
-      if (newStationName.trim()) {
-        const newStation = {
-          id: Date.now(),
-          name: newStationName,
-          x: x,
-          y: y,
-          type: 'work',
-          color: 'bg-blue-500'
-        };
-        setStations(prev => [...prev, newStation]);
-        setNewStationName('');
-        addLog('success', `新增站點: ${newStation.name}`);
+    const { x, y } = view.screenToWorld(point);
+
+    if (zoneDraft) {
+      const first = zoneDraft.points[0];
+      const firstPoint = first && view.worldToScreen(first);
+      if (zoneDraft.points.length >= MIN_ZONE_POINTS &&
+        Math.hypot(point.x - firstPoint.x, point.y - firstPoint.y) <= ZONE_CLOSE_PIXELS) {
+        finishZoneDraft();
+      } else {
+        setZoneDraft(prev => ({ ...prev, points: [...prev.points, { x, y }] }));
       }
-    } else if (currentMode === 'waypoints') {
+      return;
+    }
+
+    if (routeTool && currentMode === 'mapping') {
+      handleRouteTap(view, point);
+      return;
+    }
+
+    // 建圖模式的站點與導航目標由拖拽建立（見 finishPoseDrag）
+    if (currentMode === 'waypoints') {
       const newWaypoint = {
         id: Date.now(),
         x: x,
@@ -631,139 +1958,25 @@ const TurtleBotInterface = () => {
       };
       setWaypoints(prev => [...prev, newWaypoint]);
       addLog('success', `新增航點 ${newWaypoint.order}`);
-    } else if (currentMode === 'navigation') {
-      const worldX = x * mapData.info.resolution + mapData.info.origin.position.x;
-      const worldY = (canvas.height - y) * mapData.info.resolution + mapData.info.origin.position.y;
-      setGoalPose({ x: worldX, y: worldY });
-      addLog('info', `設置導航目標: (${worldX.toFixed(2)}, ${worldY.toFixed(2)})`);
     }
   };
 
-  const initROS = () => {
-    console.log('👆 用戶手動重新連接，URL:', rosUrl);
-    addLog('info', `嘗試連接到: ${rosUrl}`);
-    
-    // 重置連接狀態
-    setRosConnected(false);
-    setRobotStatus('正在連接...');
-    
-    // 關閉現有連接
-    if (rosRef.current) {
-      try {
-        rosRef.current.close();
-        console.log('🔒 關閉現有連接');
-      } catch (e) {
-        console.log('關閉現有連接時發生錯誤:', e);
-      }
+  const initROS = (url = rosUrl) => {
+    if (!connectionRef.current) {
+      addLog('error', 'ROSLIB 未加載，無法連接');
+      return;
     }
-    
-    // 首先測試簡單的 WebSocket 連接
-    console.log('🧪 測試基本 WebSocket 連接...');
-    const testWS = new WebSocket(rosUrl);
-    
-    const testTimeout = setTimeout(() => {
-      console.log('❌ WebSocket 基本測試超時');
-      addLog('error', 'WebSocket 基本連接測試失敗');
-      testWS.close();
-      setRobotStatus('WebSocket 測試失敗');
-    }, 5000);
-    
-    testWS.onopen = function() {
-      clearTimeout(testTimeout);
-      console.log('✅ WebSocket 基本測試成功！');
-      addLog('success', 'WebSocket 基本連接成功');
-      testWS.close();
-      
-      // 基本測試成功，現在嘗試 ROS 連接
-      attemptROSConnection();
-    };
-    
-    testWS.onerror = function(error) {
-      clearTimeout(testTimeout);
-      console.error('❌ WebSocket 基本測試失敗:', error);
-      addLog('error', 'WebSocket 基本連接失敗 - 請檢查 rosbridge');
-      setRobotStatus('WebSocket 連接失敗');
-    };
-    
-    const attemptROSConnection = () => {
-      try {
-        console.log('🔄 開始 ROS 連接嘗試...');
-        setRobotStatus('建立 ROS 連接...');
-        
-        const rosInstance = new ROSLIB.Ros({ 
-          url: rosUrl
-        });
-
-        const rosTimeout = setTimeout(() => {
-          console.log('⏰ ROS 連接超時');
-          setRosConnected(false);
-          setRobotStatus('ROS 連接超時');
-          addLog('error', 'ROS 連接超時 - 請檢查 rosbridge 和 roscore');
-        }, 15000); // 增加到 15 秒
-
-        rosInstance.on('connection', function() {
-          clearTimeout(rosTimeout);
-          console.log('✅ ROS 連接成功!');
-          console.log('🔧 ROS 實例狀態:', rosInstance.isConnected);
-          setRosConnected(true);
-          setRobotStatus('已連接');
-          addLog('success', 'ROS 連接成功');
-          
-          // 立即嘗試設置話題
-          setTimeout(() => {
-            console.log('🔧 設置 ROS 話題...');
-            setupRosTopics(rosInstance);
-          }, 500);
-        });
-
-        rosInstance.on('error', function(error) {
-          clearTimeout(rosTimeout);
-          console.error('❌ ROS 連接錯誤:', error);
-          console.log('錯誤類型:', typeof error);
-          console.log('錯誤內容:', error.toString());
-          setRosConnected(false);
-          setRobotStatus('ROS 連接錯誤');
-          addLog('error', `ROS 連接錯誤: ${error.toString()}`);
-        });
-
-        rosInstance.on('close', function() {
-          clearTimeout(rosTimeout);
-          console.log('⚠️ ROS 連接關閉');
-          setRosConnected(false);
-          setRobotStatus('連接斷開');
-          addLog('warning', 'ROS 連接已斷開');
-        });
-
-        // 添加調試信息
-        console.log('📊 監聽事件已設置');
-        console.log('🔗 ROS 實例已創建:', !!rosInstance);
-        
-        // 嘗試手動檢查連接狀態
-        setTimeout(() => {
-          console.log('🕐 5秒後檢查連接狀態...');
-          console.log('連接狀態:', rosInstance.isConnected);
-          if (rosInstance.isConnected) {
-            console.log('✅ 連接確實成功，手動觸發成功事件');
-            clearTimeout(rosTimeout);
-            setRosConnected(true);
-            setRobotStatus('已連接');
-            addLog('success', 'ROS 連接確認成功');
-            setupRosTopics(rosInstance);
-          }
-        }, 5000);
+    if (isSimulatorUrl(url)) addLog('info', '使用內建 TurtleBot 模擬器');
+    connectionRef.current.connect(url);
+  };
 
-        rosRef.current = rosInstance;
-        
-      } catch (error) {
-        console.error('💥 ROS 連接異常:', error);
-        setRosConnected(false);
-        setRobotStatus('連接異常');
-        addLog('error', `ROS 連接異常: ${error.message}`);
-      }
-    };
+  const startSimulator = () => {
+    setRosUrl(SIMULATOR_URL);
+    initROS(SIMULATOR_URL);
   };
 
   const getBatteryColor = () => {
+    if (batteryLevel === null) return 'text-gray-400';
     if (batteryLevel > 60) return 'text-green-400';
     if (batteryLevel > 30) return 'text-yellow-400';
     return 'text-red-400';
@@ -800,11 +2013,19 @@ const TurtleBotInterface = () => {
               />
             </div>
             <button
-              onClick={initROS}
+              onClick={() => initROS()}
               disabled={rosConnected}
               className="px-6 py-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
             >
-              {rosConnected ? '已連接' : '連接 ROS'}
+              {rosConnected ? '已連接' : connectionInfo.state === CONNECTION_STATES.WAITING ? '立即重連' : '連接 ROS'}
+            </button>
+            <button
+              onClick={startSimulator}
+              disabled={rosConnected && isSimulatorUrl(rosUrl)}
+              className="px-6 py-2 bg-teal-500 hover:bg-teal-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
+              title={`連接內建模擬器 (${SIMULATOR_URL})`}
+            >
+              模擬器
             </button>
             <button
               onClick={() => window.open('/monitor', '_blank')}
@@ -859,6 +2080,17 @@ const TurtleBotInterface = () => {
               <div>
                 <p className="text-sm text-gray-300">ROS 狀態</p>
                 <p className={`font-semibold ${getStatusColor()}`}>{robotStatus}</p>
+                {connectionInfo.state === CONNECTION_STATES.WAITING && (
+                  <p className="text-xs text-yellow-400">
+                    {retryCountdown} 秒後重連 · 第 {connectionInfo.attempt} 次
+                  </p>
+                )}
+                {connectionInfo.state === CONNECTION_STATES.CONNECTING && connectionInfo.attempt > 0 && (
+                  <p className="text-xs text-yellow-400">重連嘗試第 {connectionInfo.attempt} 次</p>
+                )}
+                {navStatus && navStatus.remaining != null && navStatus.status === GOAL_STATUS.ACTIVE && (
+                  <p className="text-xs text-gray-400">剩餘距離 {navStatus.remaining.toFixed(2)} m</p>
+                )}
               </div>
             </div>
           </div>
@@ -868,7 +2100,24 @@ const TurtleBotInterface = () => {
               <Battery className={`w-8 h-8 ${getBatteryColor()}`} />
               <div>
                 <p className="text-sm text-gray-300">電量</p>
-                <p className={`font-semibold ${getBatteryColor()}`}>{batteryLevel.toFixed(1)}%</p>
+                <p className={`font-semibold ${getBatteryColor()}`}>
+                  {batteryLevel !== null ? `${batteryLevel.toFixed(1)}%` : '--'}
+                </p>
+                {battery && (
+                  <>
+                    <p className="text-xs text-gray-400">
+                      {battery.voltage !== null ? `${battery.voltage.toFixed(2)} V` : '-- V'}
+                      {' · '}
+                      {battery.current !== null ? `${battery.current.toFixed(2)} A` : '-- A'}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {getPowerSupplyLabel(battery.status)}
+                      {battery.remainingTime !== null && (
+                        ` · ${battery.charging ? '充滿約' : '剩餘'} ${formatRemainingTime(battery.remainingTime)}`
+                      )}
+                    </p>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -881,6 +2130,20 @@ const TurtleBotInterface = () => {
                 <p className="font-semibold text-purple-400">
                   ({currentPose.x}, {currentPose.y})
                 </p>
+                {poseSource.stale && (
+                  <p className="text-xs text-yellow-400">TF 已過期 · {poseSource.age.toFixed(1)} 秒未更新</p>
+                )}
+                {poseSource.source === 'odom' && (
+                  <p className="text-xs text-yellow-400">無 {tfOptions.fixedFrame} TF，顯示 /odom 位姿</p>
+                )}
+                {poseSource.source === 'tf' && !poseSource.stale && (
+                  <p className="text-xs text-gray-400">{tfOptions.fixedFrame} → {tfOptions.baseFrame}</p>
+                )}
+                {localization && localization.level === LOCALIZATION_LEVELS.DEGRADED && (
+                  <p className="text-xs text-yellow-400">
+                    定位信心下降 · ±{localization.positionStdDev.toFixed(2)} m、±{(localization.yawStdDev * 180 / Math.PI).toFixed(0)}°
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -907,6 +2170,130 @@ const TurtleBotInterface = () => {
                   智能地圖
                 </h2>
                 <div className="flex gap-2">
+                  <button
+                    onClick={() => setInitialPoseMode(prev => !prev)}
+                    disabled={!rosConnected || !mapData}
+                    className={`flex items-center gap-1 px-3 py-1 text-white rounded text-sm transition-all disabled:bg-gray-600 ${
+                      initialPoseMode ? 'bg-green-600' : 'bg-green-500/80 hover:bg-green-600/80'
+                    }`}
+                    title={`在地圖上按下設定位置、拖拽設定朝向，發布到 ${localizationOptions.initialPoseTopic}`}
+                  >
+                    <Crosshair className="w-4 h-4" />
+                    {initialPoseMode ? '取消' : '初始位姿'}
+                  </button>
+                  <MapLayersMenu
+                    layers={[
+                      ...[
+                        ['globalCostmap', '全域代價地圖', 'globalTopic', 'globalOpacity'],
+                        ['localCostmap', '區域代價地圖', 'localTopic', 'localOpacity']
+                      ].map(([key, label, topicField, opacityField]) => ({
+                        key,
+                        label,
+                        enabled: mapLayers[key],
+                        settings: (
+                          <div className="space-y-2">
+                            <TopicInput
+                              value={costmapOptions[topicField]}
+                              placeholder={DEFAULT_COSTMAP_OPTIONS[topicField]}
+                              onCommit={(topic) => updateCostmapOptions({ [topicField]: topic })}
+                            />
+                            <label className="flex items-center gap-2 text-xs text-gray-300">
+                              透明度
+                              <input
+                                type="range"
+                                min="0.1"
+                                max="1"
+                                step="0.05"
+                                value={costmapOptions[opacityField]}
+                                onChange={(e) => updateCostmapOptions({ [opacityField]: parseFloat(e.target.value) })}
+                                className="flex-1"
+                              />
+                              <span className="w-8 text-right">{Math.round(costmapOptions[opacityField] * 100)}%</span>
+                            </label>
+                          </div>
+                        )
+                      })),
+                      {
+                        key: 'scan',
+                        label: '雷射掃描 /scan',
+                        enabled: mapLayers.scan,
+                        settings: (
+                          <label className="flex items-center justify-between gap-2 text-xs text-gray-300">
+                            抽樣間隔
+                            <select
+                              value={scanDecimation}
+                              onChange={(e) => setScanDecimation(parseInt(e.target.value, 10))}
+                              className="px-2 py-1 bg-white/20 border border-white/30 rounded text-white"
+                            >
+                              {[1, 2, 4, 8].map(n => (
+                                <option key={n} value={n} className="text-black">{n === 1 ? '全部光束' : `每 ${n} 道`}</option>
+                              ))}
+                            </select>
+                          </label>
+                        )
+                      },
+                      {
+                        key: 'globalPlan',
+                        label: '全域路徑',
+                        enabled: mapLayers.globalPlan,
+                        settings: (
+                          <TopicInput
+                            value={pathOptions.globalTopic}
+                            placeholder={DEFAULT_PATH_OPTIONS.globalTopic}
+                            onCommit={(globalTopic) => updatePathOptions({ globalTopic })}
+                          />
+                        )
+                      },
+                      {
+                        key: 'localPlan',
+                        label: '區域路徑',
+                        enabled: mapLayers.localPlan,
+                        settings: (
+                          <TopicInput
+                            value={pathOptions.localTopic}
+                            placeholder={DEFAULT_PATH_OPTIONS.localTopic}
+                            onCommit={(localTopic) => updatePathOptions({ localTopic })}
+                          />
+                        )
+                      },
+                      {
+                        key: 'particleCloud',
+                        label: 'AMCL 粒子雲',
+                        enabled: mapLayers.particleCloud,
+                        settings: (
+                          <TopicInput
+                            value={localizationOptions.particleCloudTopic}
+                            placeholder={DEFAULT_LOCALIZATION_OPTIONS.particleCloudTopic}
+                            onCommit={(particleCloudTopic) => updateLocalizationOptions({ particleCloudTopic })}
+                          />
+                        )
+                      },
+                      { key: 'routeGraph', label: '路線圖', enabled: mapLayers.routeGraph },
+                      {
+                        key: 'covariance',
+                        label: '定位不確定性',
+                        enabled: mapLayers.covariance,
+                        settings: (
+                          <div className="space-y-2">
+                            <TopicInput
+                              value={localizationOptions.amclPoseTopic}
+                              placeholder={DEFAULT_LOCALIZATION_OPTIONS.amclPoseTopic}
+                              onCommit={(amclPoseTopic) => updateLocalizationOptions({ amclPoseTopic })}
+                            />
+                            <label className="block text-xs text-gray-300">
+                              初始位姿話題
+                              <TopicInput
+                                value={localizationOptions.initialPoseTopic}
+                                placeholder={DEFAULT_LOCALIZATION_OPTIONS.initialPoseTopic}
+                                onCommit={(initialPoseTopic) => updateLocalizationOptions({ initialPoseTopic })}
+                              />
+                            </label>
+                          </div>
+                        )
+                      }
+                    ]}
+                    onToggle={(key) => setMapLayers(prev => ({ ...prev, [key]: !prev[key] }))}
+                  />
                   <button
                     onClick={resetMapView}
                     className="px-3 py-1 bg-blue-500/80 hover:bg-blue-600/80 text-white rounded text-sm transition-all"
@@ -921,17 +2308,24 @@ const TurtleBotInterface = () => {
               </div>
               
               <div className="flex-1 bg-black/30 rounded-lg p-4 relative min-h-0">
-                <canvas
-                  ref={mapCanvasRef}
-                  onClick={handleMapClick}
-                  onWheel={handleMapWheel}
-                  onMouseDown={handleMapMouseDown}
-                  onMouseMove={handleMapMouseMove}
-                  onMouseUp={handleMapMouseUp}
-                  onMouseLeave={handleMapMouseUp}
-                  className="w-full h-full bg-gray-800 rounded cursor-move select-none"
-                  style={{ touchAction: 'none' }}
-                />
+                {/* 靜態層（地圖點陣圖）與動態層疊放，指標事件由動態層接收 */}
+                <div className="relative w-full h-full">
+                  <canvas
+                    ref={mapBaseCanvasRef}
+                    className="absolute inset-0 w-full h-full bg-gray-800 rounded pointer-events-none"
+                  />
+                  <canvas
+                    ref={mapCanvasRef}
+                    onWheel={handleMapWheel}
+                    onPointerDown={handleMapPointerDown}
+                    onPointerMove={handleMapPointerMove}
+                    onPointerUp={handleMapPointerUp}
+                    onPointerCancel={handleMapPointerUp}
+                    onContextMenu={(e) => e.preventDefault()}
+                    className={`absolute inset-0 w-full h-full rounded select-none ${initialPoseMode || goalPoseMode ? 'cursor-crosshair' : 'cursor-move'}`}
+                    style={{ touchAction: 'none' }}
+                  />
+                </div>
                 
                 {!mapData && (
                   <div className="absolute inset-0 flex items-center justify-center">
@@ -946,7 +2340,7 @@ const TurtleBotInterface = () => {
               
               <div className="flex justify-between text-xs text-gray-400 mt-2">
                 <span>🔵 機器人 🔴 目標 🟢 航點 🏠 充電站 🚩 工作站</span>
-                <span>滾輪縮放 · 拖拽移動</span>
+                <span>滾輪或雙指縮放 · 拖拽或雙指移動</span>
               </div>
             </div>
           </div>
@@ -961,20 +2355,18 @@ const TurtleBotInterface = () => {
                 <div className="grid grid-cols-3 gap-2 max-w-48 mx-auto mb-4">
                   <div></div>
                   <button 
-                    onMouseDown={() => moveRobot('forward')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.FORWARD)}
                     disabled={!rosConnected}
-                    className="p-3 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
+                    className={teleopButtonClass(DRIVE_ACTIONS.FORWARD)}
                   >
                     <ArrowUp className="w-6 h-6 mx-auto" />
                   </button>
                   <div></div>
                   
                   <button 
-                    onMouseDown={() => moveRobot('left')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.LEFT)}
                     disabled={!rosConnected}
-                    className="p-3 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
+                    className={teleopButtonClass(DRIVE_ACTIONS.LEFT)}
                   >
                     <ArrowLeft className="w-6 h-6 mx-auto" />
                   </button>
@@ -985,20 +2377,18 @@ const TurtleBotInterface = () => {
                     <Square className="w-6 h-6 mx-auto" />
                   </button>
                   <button 
-                    onMouseDown={() => moveRobot('right')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.RIGHT)}
                     disabled={!rosConnected}
-                    className="p-3 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
+                    className={teleopButtonClass(DRIVE_ACTIONS.RIGHT)}
                   >
                     <ArrowRight className="w-6 h-6 mx-auto" />
                   </button>
                   
                   <div></div>
                   <button 
-                    onMouseDown={() => moveRobot('backward')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.BACKWARD)}
                     disabled={!rosConnected}
-                    className="p-3 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg transition-all"
+                    className={teleopButtonClass(DRIVE_ACTIONS.BACKWARD)}
                   >
                     <ArrowDown className="w-6 h-6 mx-auto" />
                   </button>
@@ -1007,24 +2397,35 @@ const TurtleBotInterface = () => {
                 
                 <div className="flex gap-2 mb-4">
                   <button 
-                    onMouseDown={() => moveRobot('rotate_left')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.LEFT)}
                     disabled={!rosConnected}
-                    className="flex-1 flex items-center justify-center gap-2 p-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+                    className="flex-1 flex items-center justify-center gap-2 p-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all select-none touch-none"
                   >
                     <RotateCcw className="w-4 h-4" />
                     左轉
                   </button>
                   <button 
-                    onMouseDown={() => moveRobot('rotate_right')}
-                    onMouseUp={stopRobot}
+                    {...holdHandlers(DRIVE_ACTIONS.RIGHT)}
                     disabled={!rosConnected}
-                    className="flex-1 flex items-center justify-center gap-2 p-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+                    className="flex-1 flex items-center justify-center gap-2 p-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all select-none touch-none"
                   >
                     <RotateCw className="w-4 h-4" />
                     右轉
                   </button>
                 </div>
+
+                <p className="text-xs text-gray-400 mb-4">
+                  WASD / 方向鍵移動（可組合轉彎）· 空白鍵停止 · +/- 調整線速度 · [ / ] 調整角速度
+                </p>
+
+                <div className="mb-4">
+                  <VirtualJoystick
+                    disabled={!rosConnected}
+                    onMove={setJoystickVector}
+                    onRelease={() => setJoystickVector(null)}
+                  />
+                  <p className="text-xs text-gray-400 text-center mt-2">觸控搖桿 · 放開任何手指即停止</p>
+                </div>
                 
                 <div className="space-y-3">
                   <div>
@@ -1056,10 +2457,70 @@ const TurtleBotInterface = () => {
                       className="w-full h-2 bg-white/20 rounded-lg appearance-none"
                     />
                   </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">發送頻率 (Hz)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        step="1"
+                        value={streamOptions.rate}
+                        onChange={(e) => updateStreamOptions({ rate: Math.max(1, Math.min(50, parseFloat(e.target.value) || 1)) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1" title="手把輸入逾時即歸零；按鍵、畫面按鈕與虛擬搖桿於放開或視窗失焦時停止">失聯逾時 (秒)</label>
+                      <input
+                        type="number"
+                        min="0.2"
+                        step="0.1"
+                        value={streamOptions.deadmanTimeout}
+                        onChange={(e) => updateStreamOptions({ deadmanTimeout: Math.max(0.2, parseFloat(e.target.value) || 0.2) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">線加速度 (m/s²)</label>
+                      <input
+                        type="number"
+                        min="0.1"
+                        step="0.1"
+                        value={streamOptions.linearAccel}
+                        onChange={(e) => updateStreamOptions({ linearAccel: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">角加速度 (rad/s²)</label>
+                      <input
+                        type="number"
+                        min="0.1"
+                        step="0.1"
+                        value={streamOptions.angularAccel}
+                        onChange={(e) => updateStreamOptions({ angularAccel: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                  </div>
                 </div>
               </div>
             )}
 
+            {currentMode === 'teleop' && (
+              <GamepadPanel
+                gamepad={gamepadControl.gamepad}
+                deadman={gamepadControl.deadman}
+                mapping={gamepadMapping}
+                learning={gamepadControl.learning}
+                onLearn={gamepadControl.learn}
+                onCancelLearn={gamepadControl.cancelLearn}
+                onResetMapping={() => setGamepadMapping({ ...DEFAULT_GAMEPAD_MAPPING })}
+              />
+            )}
+
             {/* 建圖模式 */}
             {currentMode === 'mapping' && (
               <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
@@ -1073,48 +2534,163 @@ const TurtleBotInterface = () => {
                     onChange={(e) => setNewStationName(e.target.value)}
                     className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
                   />
-                  <p className="text-sm text-gray-300">點擊地圖新增站點</p>
+                  <select
+                    value={newStationType}
+                    onChange={(e) => setNewStationType(e.target.value)}
+                    className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white"
+                  >
+                    {Object.entries(STATION_TYPES).map(([type, { label }]) => (
+                      <option key={type} value={type} className="text-black">{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-sm text-gray-300">在地圖上按下設定站點位置，拖拽設定朝向</p>
                   
-                  <button
-                    onClick={() => setIsMappingActive(!isMappingActive)}
+                  <SlamControls
+                    options={slamOptions}
+                    onOptionsChange={updateSlamOptions}
+                    onPresetChange={selectSlamPreset}
+                    active={mappingSession !== null}
+                    busy={slamBusy}
                     disabled={!rosConnected}
-                    className={`w-full flex items-center justify-center gap-2 px-4 py-3 ${
-                      isMappingActive ? 'bg-red-500 hover:bg-red-600' : 'bg-purple-500 hover:bg-purple-600'
-                    } disabled:bg-gray-600 text-white rounded-lg font-medium transition-all`}
-                  >
-                    <Map className="w-5 h-5" />
-                    {isMappingActive ? '停止建圖' : '開始建圖'}
-                  </button>
+                    progress={mappingProgress}
+                    defaultMapName={siteName}
+                    onToggle={toggleMapping}
+                    onSave={saveSlamMap}
+                  />
                 </div>
               </div>
             )}
 
+            {currentMode === 'mapping' && (
+              <ZonePanel
+                zones={zones}
+                draft={zoneDraft}
+                canDraw={Boolean(mapData)}
+                canExport={Boolean(mapData) && zones.length > 0}
+                onStartDraft={(zone) => {
+                  selectRouteTool(null);
+                  setZoneDraft({ ...zone, points: [] });
+                }}
+                onFinishDraft={finishZoneDraft}
+                onUndoPoint={() => setZoneDraft(prev => ({ ...prev, points: prev.points.slice(0, -1) }))}
+                onCancelDraft={() => setZoneDraft(null)}
+                onDelete={deleteZone}
+                onExport={exportZoneMasks}
+              />
+            )}
+
+            {currentMode === 'mapping' && (
+              <RoutePanel
+                graph={routeGraph}
+                positions={routePositions}
+                tool={routeTool}
+                edgeStart={routeEdgeStart}
+                bidirectional={routeBidirectional}
+                onToolChange={selectRouteTool}
+                onBidirectionalChange={setRouteBidirectional}
+                onEdgeWeightChange={(id, weight) => setRouteGraph(prev => ({
+                  ...prev,
+                  edges: prev.edges.map(edge => edge.id === id ? { ...edge, weight } : edge)
+                }))}
+                onDeleteEdge={(id) => setRouteGraph(prev => ({ ...prev, edges: prev.edges.filter(edge => edge.id !== id) }))}
+              />
+            )}
+
             {/* 航點模式 */}
             {currentMode === 'waypoints' && (
               <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
                 <h2 className="text-xl font-semibold text-white mb-4">航點管理</h2>
                 
                 <div className="space-y-3">
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">巡邏模式</label>
+                      <select
+                        value={patrolOptions.mode}
+                        onChange={(e) => updatePatrolOptions({ mode: e.target.value })}
+                        disabled={isPatrolling}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      >
+                        {Object.values(PATROL_MODES).map(mode => (
+                          <option key={mode} value={mode} className="text-black">{PATROL_MODE_LABELS[mode]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">停留時間 (秒)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={patrolOptions.dwellTime}
+                        onChange={(e) => updatePatrolOptions({ dwellTime: Math.max(0, parseFloat(e.target.value) || 0) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">失敗重試次數</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={patrolOptions.maxRetries}
+                        onChange={(e) => updatePatrolOptions({ maxRetries: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-300 mb-1">重試失敗後</label>
+                      <select
+                        value={patrolOptions.onFailure}
+                        onChange={(e) => updatePatrolOptions({ onFailure: e.target.value })}
+                        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      >
+                        <option value="skip" className="text-black">跳過航點</option>
+                        <option value="stop" className="text-black">停止巡邏</option>
+                      </select>
+                    </div>
+                  </div>
+
                   <button
                     onClick={() => {
-                      if (waypoints.length === 0) {
-                        addLog('error', '沒有設定航點，無法開始巡邏');
-                        return;
-                      }
-                      setIsPatrolling(!isPatrolling);
-                      if (!isPatrolling) {
-                        setCurrentWaypointIndex(0);
-                        addLog('info', '開始自動巡邏');
-                      } else {
+                      if (isPatrolling) {
+                        patrolRef.current.stop();
                         addLog('info', '停止巡邏');
+                      } else {
+                        patrolRef.current.start(waypoints, patrolOptions);
                       }
                     }}
                     disabled={waypoints.length === 0 || !rosConnected}
                     className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg font-medium transition-all"
                   >
-                    {isPatrolling ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+                    {isPatrolling ? <Square className="w-5 h-5" /> : <Play className="w-5 h-5" />}
                     {isPatrolling ? '停止巡邏' : '開始巡邏'}
                   </button>
+
+                  {isPatrolling && (
+                    <>
+                      <button
+                        onClick={() => {
+                          if (patrolState === PATROL_STATES.PAUSED) {
+                            patrolRef.current.resume();
+                          } else {
+                            patrolRef.current.pause();
+                          }
+                        }}
+                        disabled={!rosConnected}
+                        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-600 text-white rounded-lg font-medium transition-all"
+                      >
+                        {patrolState === PATROL_STATES.PAUSED ? <Play className="w-5 h-5" /> : <Pause className="w-5 h-5" />}
+                        {patrolState === PATROL_STATES.PAUSED ? '繼續巡邏' : '暫停巡邏'}
+                      </button>
+                      <div className="bg-black/20 rounded-lg p-3 text-sm text-gray-300">
+                        航點 <span className="text-white">{currentWaypointIndex + 1}/{waypoints.length}</span>
+                        {' · '}第 <span className="text-white">{patrolLap}</span> 圈
+                        {patrolState === PATROL_STATES.DWELLING && ' · 停留中'}
+                        {patrolState === PATROL_STATES.PAUSED && ' · 已暫停'}
+                      </div>
+                    </>
+                  )}
                   <p className="text-sm text-gray-300">點擊地圖新增航點</p>
                 </div>
               </div>
@@ -1129,12 +2705,35 @@ const TurtleBotInterface = () => {
                   {goalPose && (
                     <div className="bg-black/20 rounded-lg p-3">
                       <p className="text-sm text-gray-300">目標位置:</p>
-                      <p className="text-white">({goalPose.x.toFixed(2)}, {goalPose.y.toFixed(2)})</p>
+                      <p className="text-white">
+                        ({goalPose.x.toFixed(2)}, {goalPose.y.toFixed(2)})
+                        <span className="text-sm text-gray-300 ml-2">朝向 {(goalPose.yaw * 180 / Math.PI).toFixed(0)}°</span>
+                        {remainingPlanLength != null && (
+                          <span className="text-sm text-sky-300 ml-2">沿路徑剩餘 {remainingPlanLength.toFixed(2)} m</span>
+                        )}
+                      </p>
+                      {navStatus && (
+                        <p className="text-sm text-gray-300 mt-1">
+                          狀態: <span className="text-white">{navStatus.label}</span>
+                          {navStatus.remaining != null && ` · 剩餘 ${navStatus.remaining.toFixed(2)} m`}
+                        </p>
+                      )}
                     </div>
                   )}
                   
                   <button
-                    onClick={stopRobot}
+                    onClick={() => setGoalPoseMode(prev => !prev)}
+                    disabled={!rosConnected || !mapData}
+                    className={`w-full flex items-center justify-center gap-2 px-4 py-3 disabled:bg-gray-600 text-white rounded-lg font-medium transition-all ${
+                      goalPoseMode ? 'bg-blue-600' : 'bg-blue-500 hover:bg-blue-600'
+                    }`}
+                  >
+                    <Crosshair className="w-5 h-5" />
+                    {goalPoseMode ? '取消設定目標' : '設定導航目標'}
+                  </button>
+
+                  <button
+                    onClick={cancelNavigation}
                     disabled={!rosConnected}
                     className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-red-500 hover:bg-red-600 disabled:bg-gray-600 text-white rounded-lg font-medium transition-all"
                   >
@@ -1143,7 +2742,7 @@ const TurtleBotInterface = () => {
                   </button>
                   
                   <p className="text-sm text-gray-300">
-                    點擊地圖設置導航目標點
+                    按「設定導航目標」後在地圖上按下設定目標位置，拖拽設定朝向
                   </p>
                 </div>
               </div>
@@ -1154,21 +2753,79 @@ const TurtleBotInterface = () => {
               <h2 className="text-xl font-semibold text-white mb-4">站點管理</h2>
               
               <div className="space-y-2 max-h-40 overflow-y-auto">
-                {stations.map(station => (
+                {stations.map(station => editingStation && editingStation.id === station.id ? (
+                  <div key={station.id} className="p-2 bg-white/10 rounded-lg space-y-2">
+                    <div className="flex gap-1">
+                      <input
+                        type="text"
+                        value={editingStation.name}
+                        onChange={(e) => setEditingStation(prev => ({ ...prev, name: e.target.value }))}
+                        className="flex-1 min-w-0 px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      />
+                      <select
+                        value={editingStation.type}
+                        onChange={(e) => setEditingStation(prev => ({ ...prev, type: e.target.value }))}
+                        className="px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                      >
+                        {Object.entries(STATION_TYPES).map(([type, { label }]) => (
+                          <option key={type} value={type} className="text-black">{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="grid grid-cols-3 gap-1">
+                      {[['x', 'X (m)'], ['y', 'Y (m)'], ['yawDeg', '朝向 (°)']].map(([field, label]) => (
+                        <label key={field} className="text-xs text-gray-300">
+                          {label}
+                          <input
+                            type="number"
+                            step={field === 'yawDeg' ? '1' : '0.05'}
+                            value={editingStation[field]}
+                            onChange={(e) => setEditingStation(prev => ({ ...prev, [field]: e.target.value }))}
+                            className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                    <div className="flex justify-end gap-1">
+                      <button
+                        onClick={saveEditStation}
+                        className="p-1 bg-green-500 hover:bg-green-600 text-white rounded text-xs transition-all"
+                      >
+                        <Check className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => setEditingStation(null)}
+                        className="p-1 bg-gray-500 hover:bg-gray-600 text-white rounded text-xs transition-all"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  </div>
+                ) : (
                   <div key={station.id} className="flex items-center justify-between p-2 bg-white/10 rounded-lg">
                     <div className="flex items-center gap-2">
                       <div className={`w-3 h-3 ${station.color} rounded`}></div>
                       <span className="text-white text-sm">{station.name}</span>
+                      <span className="text-gray-400 text-xs">
+                        ({station.x.toFixed(2)}, {station.y.toFixed(2)}, {((station.yaw || 0) * 180 / Math.PI).toFixed(0)}°)
+                      </span>
                     </div>
                     <div className="flex gap-1">
                       <button
+                        onClick={() => goToStation(station)}
                         disabled={!rosConnected}
                         className="p-1 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded text-xs transition-all"
                       >
                         前往
                       </button>
                       <button
-                        onClick={() => setStations(prev => prev.filter(s => s.id !== station.id))}
+                        onClick={() => startEditStation(station)}
+                        className="p-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded text-xs transition-all"
+                      >
+                        <Pencil className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => deleteStation(station)}
                         className="p-1 bg-red-500 hover:bg-red-600 text-white rounded text-xs transition-all"
                       >
                         <Trash2 className="w-3 h-3" />
@@ -1179,21 +2836,34 @@ const TurtleBotInterface = () => {
               </div>
             </div>
 
+            <SiteConfigPanel
+              siteName={siteName}
+              onRename={renameSite}
+              onExport={exportSiteConfig}
+              onImport={importSiteConfig}
+              canExportMap={Boolean(mapData)}
+              onExportMap={exportMapFiles}
+              onImportMap={importMapFiles}
+            />
+
+            <TfSettingsPanel
+              options={tfOptions}
+              frames={tfTreeRef.current.getFrames()}
+              onChange={updateTfOptions}
+            />
+
+            <BatterySettingsPanel
+              options={batteryOptions}
+              onChange={updateBatteryOptions}
+            />
+
             {/* 快速動作 */}
             <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
               <h2 className="text-xl font-semibold text-white mb-4">快速動作</h2>
               
               <div className="grid grid-cols-1 gap-2">
                 <button 
-                  onClick={() => {
-                    const chargingStation = stations.find(s => s.type === 'charging');
-                    if (chargingStation) {
-                      const worldX = chargingStation.x;
-                      const worldY = chargingStation.y;
-                      setGoalPose({ x: worldX, y: worldY });
-                      addLog('info', '導航至充電站');
-                    }
-                  }}
+                  onClick={returnToDock}
                   disabled={!rosConnected || !stations.find(s => s.type === 'charging')}
                   className="flex items-center justify-center gap-2 px-3 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
                 >
@@ -1201,7 +2871,10 @@ const TurtleBotInterface = () => {
                   回充電站
                 </button>
                 <button 
-                  onClick={stopRobot}
+                  onClick={() => {
+                    if (navClientRef.current && navClientRef.current.getActiveGoal()) navClientRef.current.cancel();
+                    stopRobot();
+                  }}
                   disabled={!rosConnected}
                   className="flex items-center justify-center gap-2 px-3 py-2 bg-red-500 hover:bg-red-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
                 >
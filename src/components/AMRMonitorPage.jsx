@@ -16,7 +16,7 @@ const AMRMonitorPage = () => {
   // 機器人狀態
   const [robotState, setRobotState] = useState({
     pose: { x: 0, y: 0, theta: 0 },
-    battery: 85,
+    battery: null,
     status: '未連接',
     velocities: { linear: 0, angular: 0 },
     connected: false,
@@ -85,6 +85,7 @@ const AMRMonitorPage = () => {
   }, []);
 
   const getBatteryColor = () => {
+    if (robotState.battery === null) return 'text-gray-400';
     if (robotState.battery > 60) return 'text-green-400';
     if (robotState.battery > 30) return 'text-yellow-400';
     return 'text-red-400';
@@ -159,7 +160,7 @@ const AMRMonitorPage = () => {
                   <div>
                     <p className="text-sm text-gray-300">電池電量</p>
                     <p className={`font-bold text-lg ${getBatteryColor()}`}>
-                      {robotState.battery.toFixed(1)}%
+                      {robotState.battery !== null ? `${robotState.battery.toFixed(1)}%` : '--'}
                     </p>
                   </div>
                 </div>
@@ -187,6 +188,15 @@ const AMRMonitorPage = () => {
                     <p className="font-mono text-xl text-white">{robotState.pose.theta}°</p>
                   </div>
                 </div>
+                {robotState.poseFrame && (
+                  <p className="text-xs text-gray-400 mt-2">座標框架：{robotState.poseFrame}</p>
+                )}
+                {robotState.tfStale && (
+                  <p className="text-sm text-yellow-400 mt-2 flex items-center gap-1">
+                    <AlertTriangle className="w-4 h-4" />
+                    TF 已過期，位置可能不準確
+                  </p>
+                )}
               </div>
 
               <div className="bg-black/20 rounded-xl p-4">
@@ -215,12 +225,12 @@ const AMRMonitorPage = () => {
                       robotState.battery > 60 ? 'bg-green-500' :
                       robotState.battery > 30 ? 'bg-yellow-500' : 'bg-red-500'
                     }`}
-                    style={{ width: `${Math.max(0, Math.min(100, robotState.battery))}%` }}
+                    style={{ width: `${Math.max(0, Math.min(100, robotState.battery || 0))}%` }}
                   ></div>
                 </div>
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-300">0%</span>
-                  <span className={getBatteryColor()}>{robotState.battery.toFixed(1)}%</span>
+                  <span className={getBatteryColor()}>{robotState.battery !== null ? `${robotState.battery.toFixed(1)}%` : '--'}</span>
                   <span className="text-gray-300">100%</span>
                 </div>
               </div>
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+
+// 電池設定面板 - 電池話題與低電量返航策略
+const BatterySettingsPanel = ({ options, onChange }) => {
+  const [draftTopic, setDraftTopic] = useState(options.topic);
+
+  useEffect(() => {
+    setDraftTopic(options.topic);
+  }, [options.topic]);
+
+  const commitTopic = () => {
+    const topic = draftTopic.trim();
+    if (topic && topic !== options.topic) {
+      onChange({ topic });
+    } else {
+      setDraftTopic(options.topic);
+    }
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <h2 className="text-xl font-semibold text-white mb-4">電池設定</h2>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">BatteryState 話題</label>
+          <input
+            type="text"
+            value={draftTopic}
+            onChange={(e) => setDraftTopic(e.target.value)}
+            onBlur={commitTopic}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitTopic();
+            }}
+            className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-400"
+            placeholder="/battery_state"
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 items-end">
+          <div>
+            <label className="block text-xs text-gray-300 mb-1">低電量門檻 (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="1"
+              value={options.lowThreshold}
+              onChange={(e) => onChange({ lowThreshold: Math.max(0, Math.min(100, parseFloat(e.target.value) || 0)) })}
+              className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-300 pb-1">
+            <input
+              type="checkbox"
+              checked={options.autoDock}
+              onChange={(e) => onChange({ autoDock: e.target.checked })}
+            />
+            自動返回充電
+          </label>
+        </div>
+        <p className="text-xs text-gray-400">低於門檻時暫停巡邏並前往最近的充電站</p>
+      </div>
+    </div>
+  );
+};
+
+export default BatterySettingsPanel;
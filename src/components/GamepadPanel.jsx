@@ -0,0 +1,80 @@
+import React from 'react';
+import { Gamepad2, RotateCcw } from 'lucide-react';
+import { MAPPING_LABELS, SPEED_PRESETS } from '../teleop/gamepad';
+
+// 標準配置的按鍵名稱（Xbox 排列）
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', '↑', '↓', '←', '→', 'Home'];
+const AXIS_NAMES = ['左搖桿 X', '左搖桿 Y', '右搖桿 X', '右搖桿 Y'];
+
+const buttonName = (index) => BUTTON_NAMES[index] || `按鍵 ${index}`;
+const axisName = (index) => AXIS_NAMES[index] || `軸 ${index}`;
+
+// 手把面板 - 連接狀態與按鍵重新對應
+const GamepadPanel = ({ gamepad, deadman, mapping, learning, onLearn, onCancelLearn, onResetMapping }) => {
+  const rows = [
+    { field: 'linearAxis', value: `${axisName(mapping.linearAxis)}${mapping.invertLinear ? '（反轉）' : ''}`, hint: '往前推' },
+    { field: 'angularAxis', value: `${axisName(mapping.angularAxis)}${mapping.invertAngular ? '（反轉）' : ''}`, hint: '往左推' },
+    { field: 'deadmanButton', value: buttonName(mapping.deadmanButton), hint: '按下' },
+    { field: 'estopButton', value: buttonName(mapping.estopButton), hint: '按下' },
+    ...SPEED_PRESETS.map((preset, slot) => ({
+      field: `presetButtons.${slot}`,
+      label: `${MAPPING_LABELS.presetButtons}：${preset.label}`,
+      value: buttonName(mapping.presetButtons[slot]),
+      hint: '按下'
+    }))
+  ];
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white flex items-center gap-2">
+          <Gamepad2 className="w-5 h-5" />
+          手把控制
+        </h2>
+        <button
+          onClick={onResetMapping}
+          className="p-1 bg-white/10 hover:bg-white/20 text-gray-300 rounded transition-all"
+          title="恢復預設對應"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {gamepad ? (
+        <p className="text-sm text-green-400 mb-1 truncate" title={gamepad.id}>已連接：{gamepad.id}</p>
+      ) : (
+        <p className="text-sm text-gray-400 mb-1">未偵測到手把，請連接後按任意鍵</p>
+      )}
+      <p className={`text-xs mb-3 ${deadman ? 'text-green-400' : 'text-gray-400'}`}>
+        {deadman ? '安全鍵已按下，搖桿控制中' : `按住 ${buttonName(mapping.deadmanButton)} 才能移動`}
+      </p>
+
+      <div className="space-y-1">
+        {rows.map(row => (
+          <div key={row.field} className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-gray-300">{row.label || MAPPING_LABELS[row.field]}</span>
+            {learning === row.field ? (
+              <button
+                onClick={onCancelLearn}
+                className="px-2 py-0.5 bg-yellow-500 hover:bg-yellow-600 text-white rounded text-xs transition-all"
+              >
+                請{row.hint}…
+              </button>
+            ) : (
+              <button
+                onClick={() => onLearn(row.field)}
+                disabled={!gamepad}
+                className="px-2 py-0.5 bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white rounded text-xs font-mono transition-all"
+                title="點擊後操作手把以重新對應"
+              >
+                {row.value}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GamepadPanel;
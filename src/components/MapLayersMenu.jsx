@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Layers } from 'lucide-react';
+
+// 地圖圖層選單 - 每個圖層可開關，開啟時顯示該圖層的設定
+const MapLayersMenu = ({ layers, onToggle }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`flex items-center gap-1 px-3 py-1 text-white rounded text-sm transition-all ${
+          open ? 'bg-blue-600' : 'bg-blue-500/80 hover:bg-blue-600/80'
+        }`}
+        title="地圖圖層"
+      >
+        <Layers className="w-4 h-4" />
+        圖層
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-20 w-64 bg-slate-800/95 border border-white/20 rounded-lg p-3 space-y-3 shadow-xl">
+          {layers.map(layer => (
+            <div key={layer.key}>
+              <label className="flex items-center gap-2 text-sm text-white">
+                <input
+                  type="checkbox"
+                  checked={layer.enabled}
+                  onChange={() => onToggle(layer.key)}
+                />
+                {layer.label}
+              </label>
+              {layer.enabled && layer.settings && (
+                <div className="mt-2 ml-6">{layer.settings}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapLayersMenu;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { CirclePlus, Spline, Trash2 } from 'lucide-react';
+import { getEdgeWeight } from '../map/routeGraph';
+
+const TOOLS = [
+  { key: 'node', label: '新增節點', icon: CirclePlus },
+  { key: 'edge', label: '連接', icon: Spline },
+  { key: 'delete', label: '刪除節點', icon: Trash2 }
+];
+
+const TOOL_HINTS = {
+  node: '點擊地圖新增中繼節點',
+  edge: '依序點擊起點與終點建立有向邊，可連續點擊延伸',
+  delete: '點擊中繼節點刪除（站點請於站點列表刪除）'
+};
+
+// 路線圖編輯 - 以工具在地圖上新增節點與有向邊，列出邊並可設定權重
+const RoutePanel = ({ graph, positions, tool, edgeStart, bidirectional, onToolChange, onBidirectionalChange, onEdgeWeightChange, onDeleteEdge }) => {
+  const nameOf = (key) => (positions.get(key) ? positions.get(key).name : key);
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <h2 className="text-xl font-semibold text-white mb-4">路線圖</h2>
+
+      <div className="space-y-3">
+        <div className="grid grid-cols-3 gap-2">
+          {TOOLS.map(({ key, label, icon: Icon }) => (
+            <button
+              key={key}
+              onClick={() => onToolChange(tool === key ? null : key)}
+              className={`flex items-center justify-center gap-1 px-2 py-2 rounded-lg text-sm text-white transition-all ${
+                tool === key ? 'bg-lime-600' : 'bg-white/20 hover:bg-white/30'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tool && (
+          <p className="text-sm text-gray-300">
+            {TOOL_HINTS[tool]}
+            {tool === 'edge' && edgeStart && <span className="text-lime-300">（起點: {nameOf(edgeStart)}）</span>}
+          </p>
+        )}
+        {tool === 'edge' && (
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={bidirectional}
+              onChange={(e) => onBidirectionalChange(e.target.checked)}
+            />
+            同時建立反向邊（雙向通道）
+          </label>
+        )}
+
+        {graph.edges.length > 0 ? (
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {graph.edges.map(edge => {
+              const distance = getEdgeWeight({ ...edge, weight: null }, positions);
+              return (
+                <div key={edge.id} className="flex items-center gap-2 bg-black/20 rounded-lg px-3 py-1 text-sm">
+                  <span className="flex-1 min-w-0 truncate text-white">{nameOf(edge.from)} → {nameOf(edge.to)}</span>
+                  <input
+                    key={edge.weight ?? 'auto'}
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    defaultValue={edge.weight ?? ''}
+                    placeholder={distance !== null ? distance.toFixed(2) : ''}
+                    onBlur={(e) => {
+                      const weight = parseFloat(e.target.value);
+                      onEdgeWeightChange(edge.id, weight > 0 ? weight : null);
+                    }}
+                    className="w-16 px-1 py-0.5 bg-white/20 border border-white/30 rounded text-white text-xs placeholder-gray-400"
+                    title="權重，留空為直線距離（m）"
+                  />
+                  <button
+                    onClick={() => onDeleteEdge(edge.id)}
+                    className="text-red-400 hover:text-red-300"
+                    title="刪除邊"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-400">尚未建立邊，前往站點時直接導航</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoutePanel;
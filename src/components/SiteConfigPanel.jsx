@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, Upload, Check, Image } from 'lucide-react';
+
+// 場地設定面板 - 命名場地、匯入匯出場地 JSON 與 map_server 地圖檔
+const SiteConfigPanel = ({ siteName, onRename, onExport, onImport, canExportMap, onExportMap, onImportMap }) => {
+  const [draftName, setDraftName] = useState(siteName);
+  const fileInputRef = useRef(null);
+  const mapInputRef = useRef(null);
+
+  useEffect(() => {
+    setDraftName(siteName);
+  }, [siteName]);
+
+  const handleRename = () => {
+    const name = draftName.trim();
+    if (name && name !== siteName) onRename(name);
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <h2 className="text-xl font-semibold text-white mb-4">場地設定</h2>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">場地名稱</label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleRename();
+              }}
+              className="flex-1 min-w-0 px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-400"
+            />
+            <button
+              onClick={handleRename}
+              disabled={!draftName.trim() || draftName.trim() === siteName}
+              className="px-3 py-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+              title="重新命名"
+            >
+              <Check className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {canExportMap
+              ? '站點、航點、區域與路線圖依目前地圖（解析度與原點）自動儲存'
+              : '尚未載入地圖，變更暫不儲存'}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={onExport}
+            className="flex items-center justify-center gap-2 px-3 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition-all"
+          >
+            <Download className="w-4 h-4" />
+            匯出 JSON
+          </button>
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            className="flex items-center justify-center gap-2 px-3 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition-all"
+          >
+            <Upload className="w-4 h-4" />
+            匯入 JSON
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files && e.target.files[0];
+              if (file) onImport(file);
+              e.target.value = '';
+            }}
+          />
+        </div>
+
+        <div>
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              onClick={onExportMap}
+              disabled={!canExportMap}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-teal-500 hover:bg-teal-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+              title="匯出目前地圖為 PGM + YAML"
+            >
+              <Image className="w-4 h-4" />
+              匯出地圖
+            </button>
+            <button
+              onClick={() => mapInputRef.current && mapInputRef.current.click()}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg text-sm transition-all"
+              title="同時選取 PGM 與 YAML 檔"
+            >
+              <Upload className="w-4 h-4" />
+              匯入地圖
+            </button>
+          </div>
+          <input
+            ref={mapInputRef}
+            type="file"
+            accept=".pgm,.yaml,.yml"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              const files = Array.from(e.target.files || []);
+              if (files.length > 0) onImportMap(files);
+              e.target.value = '';
+            }}
+          />
+          <p className="text-xs text-gray-400 mt-1">map_server 格式，匯入時同時選取 .pgm 與 .yaml</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SiteConfigPanel;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Map, Save, Settings } from 'lucide-react';
+import { formatDuration, isValidMapName, SAVE_MAP_SERVICE_TYPES, saveServiceTakesName, SLAM_PRESETS } from '../ros/slam';
+
+// SLAM 控制 - 開始 / 停止建圖、儲存地圖、建圖進度與服務設定
+const SlamControls = ({ options, onOptionsChange, onPresetChange, active, busy, disabled, progress, defaultMapName, onToggle, onSave }) => {
+  const [mapName, setMapName] = useState(defaultMapName);
+  const [showSettings, setShowSettings] = useState(false);
+  const [draft, setDraft] = useState(options);
+
+  useEffect(() => {
+    setMapName(defaultMapName);
+  }, [defaultMapName]);
+
+  useEffect(() => {
+    setDraft(options);
+  }, [options]);
+
+  const takesName = saveServiceTakesName(options.saveServiceType);
+  const trimmedName = mapName.trim();
+  const nameValid = !takesName || isValidMapName(trimmedName);
+
+  const commit = (field) => {
+    const value = draft[field].trim();
+    if (value !== options[field]) onOptionsChange({ [field]: value });
+  };
+
+  const serviceInput = (field, label, placeholder) => (
+    <div>
+      <label className="block text-xs text-gray-300 mb-1">{label}</label>
+      <input
+        type="text"
+        value={draft[field]}
+        onChange={(e) => setDraft(prev => ({ ...prev, [field]: e.target.value }))}
+        onBlur={() => commit(field)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit(field);
+        }}
+        placeholder={placeholder}
+        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-xs font-mono placeholder-gray-500"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <button
+        onClick={onToggle}
+        disabled={disabled || busy !== null}
+        className={`w-full flex items-center justify-center gap-2 px-4 py-3 ${
+          active ? 'bg-red-500 hover:bg-red-600' : 'bg-purple-500 hover:bg-purple-600'
+        } disabled:bg-gray-600 text-white rounded-lg font-medium transition-all`}
+      >
+        <Map className="w-5 h-5" />
+        {busy === 'start' && '啟動中...'}
+        {busy === 'stop' && '停止中...'}
+        {busy !== 'start' && busy !== 'stop' && (active ? '停止建圖' : '開始建圖')}
+      </button>
+
+      {active && (
+        <div className="grid grid-cols-2 gap-2 bg-black/20 rounded-lg p-3 text-sm">
+          <div>
+            <p className="text-gray-300 text-xs">已探索面積</p>
+            <p className="text-purple-300 font-semibold">{progress.area.toFixed(1)} m²</p>
+          </div>
+          <div>
+            <p className="text-gray-300 text-xs">建圖時間</p>
+            <p className="text-purple-300 font-semibold font-mono">{formatDuration(progress.elapsed)}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={takesName ? mapName : ''}
+          onChange={(e) => setMapName(e.target.value)}
+          disabled={!takesName}
+          placeholder={takesName ? '地圖名稱' : '檔名由機器人端決定'}
+          className={`flex-1 min-w-0 px-3 py-2 bg-white/20 border rounded-lg text-white placeholder-gray-400 disabled:opacity-60 ${
+            trimmedName && !nameValid ? 'border-red-400' : 'border-white/30'
+          }`}
+          title="英數字、底線、連字號，可含相對路徑"
+        />
+        <button
+          onClick={() => onSave(takesName ? trimmedName : '')}
+          disabled={disabled || busy !== null || !nameValid}
+          className="flex items-center gap-1 px-3 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+          title="呼叫地圖儲存服務"
+        >
+          <Save className="w-4 h-4" />
+          {busy === 'save' ? '儲存中' : '儲存'}
+        </button>
+      </div>
+
+      <button
+        onClick={() => setShowSettings(prev => !prev)}
+        className="flex items-center gap-1 text-xs text-gray-300 hover:text-white transition-all"
+      >
+        <Settings className="w-3 h-3" />
+        SLAM 服務設定（{SLAM_PRESETS[options.preset] ? SLAM_PRESETS[options.preset].label : '自訂'}）
+      </button>
+
+      {showSettings && (
+        <div className="space-y-2 bg-black/20 rounded-lg p-3">
+          <div>
+            <label className="block text-xs text-gray-300 mb-1">SLAM 套件</label>
+            <select
+              value={SLAM_PRESETS[options.preset] ? options.preset : 'custom'}
+              onChange={(e) => onPresetChange(e.target.value)}
+              className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+            >
+              {Object.entries(SLAM_PRESETS).map(([key, { label }]) => (
+                <option key={key} value={key} className="text-black">{label}</option>
+              ))}
+              <option value="custom" className="text-black">自訂</option>
+            </select>
+          </div>
+          {serviceInput('startService', '啟動服務 (std_srvs/Trigger)', '留空則不呼叫')}
+          {serviceInput('stopService', '停止服務 (std_srvs/Trigger)', '留空則不呼叫')}
+          {serviceInput('saveService', '儲存地圖服務', '/slam_gmapping/save_map')}
+          <div>
+            <label className="block text-xs text-gray-300 mb-1">儲存服務類型</label>
+            <select
+              value={options.saveServiceType}
+              onChange={(e) => onOptionsChange({ saveServiceType: e.target.value })}
+              className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+            >
+              {Object.entries(SAVE_MAP_SERVICE_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type} className="text-black">{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlamControls;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+
+// TF 設定面板 - 位姿查詢使用的座標框架與過期門檻
+const TfSettingsPanel = ({ options, frames, onChange }) => {
+  const [draft, setDraft] = useState({ fixedFrame: options.fixedFrame, baseFrame: options.baseFrame });
+
+  useEffect(() => {
+    setDraft({ fixedFrame: options.fixedFrame, baseFrame: options.baseFrame });
+  }, [options.fixedFrame, options.baseFrame]);
+
+  const commit = (field) => {
+    const value = draft[field].trim();
+    if (value && value !== options[field]) {
+      onChange({ [field]: value });
+    } else {
+      setDraft(prev => ({ ...prev, [field]: options[field] }));
+    }
+  };
+
+  const frameInput = (field, label) => (
+    <div>
+      <label className="block text-xs text-gray-300 mb-1">{label}</label>
+      <input
+        type="text"
+        list="amr-tf-frames"
+        value={draft[field]}
+        onChange={(e) => setDraft(prev => ({ ...prev, [field]: e.target.value }))}
+        onBlur={() => commit(field)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit(field);
+        }}
+        className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+      />
+    </div>
+  );
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <h2 className="text-xl font-semibold text-white mb-4">TF 設定</h2>
+
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          {frameInput('fixedFrame', '固定框架')}
+          {frameInput('baseFrame', '機器人框架')}
+          <datalist id="amr-tf-frames">
+            {frames.map(frame => <option key={frame} value={frame} />)}
+          </datalist>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-300 mb-1">過期門檻 (秒)</label>
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={options.staleTimeout}
+            onChange={(e) => onChange({ staleTimeout: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+            className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-sm"
+          />
+        </div>
+        <p className="text-xs text-gray-400">
+          {frames.length > 0 ? `已收到 ${frames.length} 個座標框架` : '尚未收到 /tf 資料'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default TfSettingsPanel;
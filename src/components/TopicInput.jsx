@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+
+// 話題名稱輸入框 - 失焦或按 Enter 才套用，避免每個按鍵都重新訂閱
+const TopicInput = ({ value, placeholder, onCommit }) => {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  const commit = () => {
+    const topic = draft.trim();
+    if (topic && topic !== value) {
+      onCommit(topic);
+    } else {
+      setDraft(value);
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+      }}
+      className="w-full px-2 py-1 bg-white/20 border border-white/30 rounded text-white text-xs font-mono placeholder-gray-400"
+      placeholder={placeholder}
+    />
+  );
+};
+
+export default TopicInput;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { computeJoystickVector } from '../teleop/joystick';
+
+const SIZE = 160;
+const KNOB_SIZE = 64;
+const RADIUS = (SIZE - KNOB_SIZE) / 2;
+
+// 虛擬搖桿 - 以 pointer events 追蹤單一手指；任何手指放開即停止
+const VirtualJoystick = ({ disabled, onMove, onRelease }) => {
+  const baseRef = useRef(null);
+  const pointerIdRef = useRef(null);
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const [active, setActive] = useState(false);
+  const latest = useRef({});
+  latest.current = { onMove, onRelease };
+
+  const release = useCallback(() => {
+    if (pointerIdRef.current === null) return;
+    const base = baseRef.current;
+    if (base && base.hasPointerCapture && base.hasPointerCapture(pointerIdRef.current)) {
+      base.releasePointerCapture(pointerIdRef.current);
+    }
+    pointerIdRef.current = null;
+    setKnob({ x: 0, y: 0 });
+    setActive(false);
+    latest.current.onRelease();
+  }, []);
+
+  // 操作中任何手指（包含畫面其他位置）放開、取消或視窗失焦都立即停止
+  useEffect(() => {
+    if (!active) return undefined;
+    window.addEventListener('pointerup', release);
+    window.addEventListener('pointercancel', release);
+    window.addEventListener('blur', release);
+    return () => {
+      window.removeEventListener('pointerup', release);
+      window.removeEventListener('pointercancel', release);
+      window.removeEventListener('blur', release);
+    };
+  }, [active, release]);
+
+  useEffect(() => {
+    if (disabled) release();
+  }, [disabled, release]);
+
+  const update = (event) => {
+    const rect = baseRef.current.getBoundingClientRect();
+    const dx = event.clientX - (rect.left + rect.width / 2);
+    const dy = event.clientY - (rect.top + rect.height / 2);
+    const distance = Math.hypot(dx, dy);
+    const clamp = distance > RADIUS ? RADIUS / distance : 1;
+    setKnob({ x: dx * clamp, y: dy * clamp });
+    latest.current.onMove(computeJoystickVector(dx, dy, RADIUS));
+  };
+
+  const handlePointerDown = (event) => {
+    if (disabled || (event.pointerType === 'mouse' && event.button !== 0)) return;
+    event.preventDefault();
+    // 已有手指在操作時，第二根手指視為誤觸：停止並等待重新按下
+    if (pointerIdRef.current !== null) {
+      release();
+      return;
+    }
+    pointerIdRef.current = event.pointerId;
+    baseRef.current.setPointerCapture(event.pointerId);
+    setActive(true);
+    update(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.pointerId !== pointerIdRef.current) return;
+    update(event);
+  };
+
+  return (
+    <div
+      ref={baseRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onContextMenu={(e) => e.preventDefault()}
+      className={`relative mx-auto rounded-full border-2 select-none touch-none ${
+        disabled ? 'bg-gray-700/50 border-gray-600' : active ? 'bg-blue-500/20 border-blue-400' : 'bg-white/10 border-white/30'
+      }`}
+      style={{ width: SIZE, height: SIZE }}
+    >
+      <div
+        className={`absolute rounded-full shadow-lg ${disabled ? 'bg-gray-500' : 'bg-blue-500'}`}
+        style={{
+          width: KNOB_SIZE,
+          height: KNOB_SIZE,
+          left: RADIUS + knob.x,
+          top: RADIUS + knob.y
+        }}
+      />
+    </div>
+  );
+};
+
+export default VirtualJoystick;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Download, Pencil, Trash2, Undo2, Check, X } from 'lucide-react';
+import { clampSpeedLimit, DEFAULT_SPEED_LIMIT, MIN_ZONE_POINTS, ZONE_TYPES } from '../map/zones';
+
+// 禁行區與限速區 - 在地圖上點擊繪製多邊形、管理區域並匯出 costmap filter 遮罩
+const ZonePanel = ({ zones, draft, canDraw, canExport, onStartDraft, onFinishDraft, onUndoPoint, onCancelDraft, onDelete, onExport }) => {
+  const [type, setType] = useState('keepout');
+  const [name, setName] = useState('');
+  const [speedLimit, setSpeedLimit] = useState(DEFAULT_SPEED_LIMIT);
+
+  const startDraft = () => {
+    onStartDraft({
+      type,
+      name: name.trim(),
+      ...(type === 'speed' ? { speedLimit: clampSpeedLimit(speedLimit) } : {})
+    });
+    setName('');
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20">
+      <h2 className="text-xl font-semibold text-white mb-4">禁行 / 限速區</h2>
+
+      <div className="space-y-3">
+        {draft ? (
+          <>
+            <p className="text-sm text-gray-300">
+              點擊地圖新增頂點（已 {draft.points.length} 個），點擊第一個頂點或按完成閉合區域
+            </p>
+            <div className="grid grid-cols-3 gap-2">
+              <button
+                onClick={onFinishDraft}
+                disabled={draft.points.length < MIN_ZONE_POINTS}
+                className="flex items-center justify-center gap-1 px-3 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+              >
+                <Check className="w-4 h-4" />
+                完成
+              </button>
+              <button
+                onClick={onUndoPoint}
+                disabled={draft.points.length === 0}
+                className="flex items-center justify-center gap-1 px-3 py-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+              >
+                <Undo2 className="w-4 h-4" />
+                復原
+              </button>
+              <button
+                onClick={onCancelDraft}
+                className="flex items-center justify-center gap-1 px-3 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm transition-all"
+              >
+                <X className="w-4 h-4" />
+                取消
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <select
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+                className="px-2 py-2 bg-white/20 border border-white/30 rounded-lg text-white text-sm"
+              >
+                {Object.entries(ZONE_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key} className="text-black">{label}</option>
+                ))}
+              </select>
+              {type === 'speed' ? (
+                <label className="flex items-center gap-1 text-sm text-gray-300">
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={speedLimit}
+                    onChange={(e) => setSpeedLimit(e.target.value)}
+                    className="w-full min-w-0 px-2 py-2 bg-white/20 border border-white/30 rounded-lg text-white"
+                    title="最高速度的百分比"
+                  />
+                  %
+                </label>
+              ) : (
+                <div />
+              )}
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder="區域名稱（選填）"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-400"
+              />
+              <button
+                onClick={startDraft}
+                disabled={!canDraw}
+                className="flex items-center gap-1 px-3 py-2 bg-purple-500 hover:bg-purple-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+              >
+                <Pencil className="w-4 h-4" />
+                繪製
+              </button>
+            </div>
+          </>
+        )}
+
+        {zones.length > 0 && (
+          <div className="space-y-1 max-h-40 overflow-y-auto">
+            {zones.map(zone => (
+              <div key={zone.id} className="flex items-center gap-2 bg-black/20 rounded-lg px-3 py-2 text-sm">
+                <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: ZONE_TYPES[zone.type].stroke }} />
+                <span className="flex-1 min-w-0 truncate text-white">{zone.name}</span>
+                <span className="text-xs text-gray-400">
+                  {zone.type === 'speed' ? `限速 ${zone.speedLimit}%` : ZONE_TYPES[zone.type].label}
+                </span>
+                <button
+                  onClick={() => onDelete(zone.id)}
+                  className="text-red-400 hover:text-red-300"
+                  title="刪除區域"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={onExport}
+          disabled={!canExport}
+          className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-teal-500 hover:bg-teal-600 disabled:bg-gray-600 text-white rounded-lg text-sm transition-all"
+          title="依目前地圖的解析度與原點匯出 Nav2 KeepoutFilter / SpeedFilter 遮罩（PGM + YAML）"
+        >
+          <Download className="w-4 h-4" />
+          匯出濾波遮罩
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ZonePanel;
@@ -0,0 +1,72 @@
+// 代價地圖 - costmap_2d 發布的 OccupancyGrid 配色與設定
+//
+// costmap_2d 將內部代價 0..254 轉為 OccupancyGrid：
+// 100 為致命障礙、99 為內切半徑內（機器人必定碰撞）、1..98 為膨脹區、0 為自由、-1 為未知。
+import { gridToRgba } from './raster';
+
+export const COSTMAP_VALUES = {
+  LETHAL: 100,
+  INSCRIBED: 99,
+  FREE: 0,
+  UNKNOWN: -1
+};
+
+export const DEFAULT_COSTMAP_OPTIONS = {
+  globalTopic: '/move_base/global_costmap/costmap',
+  localTopic: '/move_base/local_costmap/costmap',
+  globalOpacity: 0.4,
+  localOpacity: 0.7
+};
+
+const STORAGE_KEY = 'amr_costmap_options';
+
+// 膨脹區由低到高的色階（藍 → 綠 → 黃 → 紅）
+const INFLATED_RAMP = [
+  [59, 130, 246],
+  [34, 197, 94],
+  [234, 179, 8],
+  [239, 68, 68]
+];
+
+/**
+ * 代價值對應的顏色
+ * @param {number} value - OccupancyGrid 代價值
+ * @returns {[number, number, number, number]} RGBA（0..255），自由與未知為全透明
+ */
+export const costmapColor = (value) => {
+  if (value === COSTMAP_VALUES.LETHAL) return [168, 85, 247, 255];
+  if (value === COSTMAP_VALUES.INSCRIBED) return [34, 211, 238, 255];
+  if (!(value > COSTMAP_VALUES.FREE && value < COSTMAP_VALUES.INSCRIBED)) return [0, 0, 0, 0];
+
+  const t = ((value - 1) / 97) * (INFLATED_RAMP.length - 1);
+  const index = Math.min(INFLATED_RAMP.length - 2, Math.floor(t));
+  const local = t - index;
+  const [from, to] = [INFLATED_RAMP[index], INFLATED_RAMP[index + 1]];
+  const rgb = from.map((channel, i) => Math.round(channel + (to[i] - channel) * local));
+  // 低代價較淡，讓底下的地圖仍看得見
+  return [...rgb, Math.round(96 + 128 * (value / 98))];
+};
+
+/**
+ * 將代價地圖轉為 RGBA 像素
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @returns {Uint8ClampedArray}
+ */
+export const costmapToRgba = (grid) => gridToRgba(grid, costmapColor);
+
+export const loadCostmapOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_COSTMAP_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_COSTMAP_OPTIONS };
+  }
+};
+
+export const saveCostmapOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存代價地圖設定');
+  }
+};
@@ -0,0 +1,16 @@
+import { COSTMAP_VALUES, costmapColor, costmapToRgba } from './costmap';
+
+test('colors lethal, inscribed and inflated cells and hides free space', () => {
+  expect(costmapColor(COSTMAP_VALUES.LETHAL)).toEqual([168, 85, 247, 255]);
+  expect(costmapColor(COSTMAP_VALUES.INSCRIBED)).toEqual([34, 211, 238, 255]);
+  expect(costmapColor(COSTMAP_VALUES.FREE)[3]).toBe(0);
+  expect(costmapColor(COSTMAP_VALUES.UNKNOWN)[3]).toBe(0);
+  expect(costmapColor(1).slice(0, 3)).toEqual([59, 130, 246]);
+  expect(costmapColor(98).slice(0, 3)).toEqual([239, 68, 68]);
+  expect(costmapColor(1)[3]).toBeLessThan(costmapColor(98)[3]);
+});
+
+test('rasterizes the grid row by row', () => {
+  const pixels = costmapToRgba({ info: { width: 2, height: 1 }, data: [0, 100] });
+  expect(Array.from(pixels)).toEqual([0, 0, 0, 0, 168, 85, 247, 255]);
+});
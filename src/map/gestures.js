@@ -0,0 +1,37 @@
+// 地圖手勢 - 雙指縮放與平移
+
+export const MAP_ZOOM_LIMITS = { min: 0.5, max: 5.0 };
+
+// 單指移動小於此距離（像素）視為點擊
+export const TAP_SLOP = 6;
+
+export const clampZoom = (zoom) => Math.max(MAP_ZOOM_LIMITS.min, Math.min(MAP_ZOOM_LIMITS.max, zoom));
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * 依兩指目前位置計算新的縮放與偏移，讓手勢起點下的地圖位置跟著兩指中點移動
+ * @param {object} start - { points: [a, b], zoom, offset } 手勢開始時的狀態
+ * @param {Array<{ x: number, y: number }>} points - 目前兩指位置（畫布座標）
+ * @param {{ width: number, height: number }} canvas
+ * @returns {{ zoom: number, offset: { x: number, y: number } }}
+ */
+export const computePinchView = (start, points, canvas) => {
+  const startDistance = Math.hypot(start.points[1].x - start.points[0].x, start.points[1].y - start.points[0].y);
+  const distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+  const zoom = startDistance > 0 ? clampZoom(start.zoom * (distance / startDistance)) : start.zoom;
+
+  // 畫面座標 = 畫布中心 + offset + 地圖內位置 × zoom
+  const center = { x: canvas.width / 2, y: canvas.height / 2 };
+  const startMid = midpoint(start.points[0], start.points[1]);
+  const mid = midpoint(points[0], points[1]);
+  const ratio = zoom / start.zoom;
+
+  return {
+    zoom,
+    offset: {
+      x: mid.x - center.x - (startMid.x - center.x - start.offset.x) * ratio,
+      y: mid.y - center.y - (startMid.y - center.y - start.offset.y) * ratio
+    }
+  };
+};
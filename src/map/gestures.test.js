@@ -0,0 +1,43 @@
+import { createViewTransform } from './transform';
+import { computePinchView, MAP_ZOOM_LIMITS } from './gestures';
+
+const info = {
+  width: 100,
+  height: 80,
+  resolution: 0.05,
+  origin: { position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+};
+const canvas = { width: 400, height: 300 };
+
+const viewFor = ({ zoom, offset }) => createViewTransform({
+  info,
+  canvasWidth: canvas.width,
+  canvasHeight: canvas.height,
+  zoom,
+  offset
+});
+
+test('keeps the map point under the fingers fixed while pinching', () => {
+  const start = { points: [{ x: 150, y: 100 }, { x: 250, y: 100 }], zoom: 1, offset: { x: 10, y: -5 } };
+  const anchor = viewFor(start).screenToWorld({ x: 200, y: 100 });
+
+  const result = computePinchView(start, [{ x: 100, y: 100 }, { x: 300, y: 100 }], canvas);
+  expect(result.zoom).toBeCloseTo(2);
+  const moved = viewFor(result).worldToScreen(anchor);
+  expect(moved.x).toBeCloseTo(200);
+  expect(moved.y).toBeCloseTo(100);
+});
+
+test('pans with the midpoint of two fingers', () => {
+  const start = { points: [{ x: 100, y: 100 }, { x: 200, y: 100 }], zoom: 1.5, offset: { x: 0, y: 0 } };
+  const result = computePinchView(start, [{ x: 130, y: 140 }, { x: 230, y: 140 }], canvas);
+  expect(result.zoom).toBeCloseTo(1.5);
+  expect(result.offset.x).toBeCloseTo(30);
+  expect(result.offset.y).toBeCloseTo(40);
+});
+
+test('clamps the zoom to the allowed range', () => {
+  const start = { points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], zoom: 1, offset: { x: 0, y: 0 } };
+  expect(computePinchView(start, [{ x: 0, y: 0 }, { x: 2000, y: 0 }], canvas).zoom).toBe(MAP_ZOOM_LIMITS.max);
+  expect(computePinchView(start, [{ x: 0, y: 0 }, { x: 1, y: 0 }], canvas).zoom).toBe(MAP_ZOOM_LIMITS.min);
+});
@@ -0,0 +1,41 @@
+// 雷射掃描 - LaserScan 轉換到 map 座標系與距離配色
+
+/**
+ * 將 sensor_msgs/LaserScan 轉為 map 座標系的點
+ * @param {object} scan - sensor_msgs/LaserScan
+ * @param {{ x: number, y: number, yaw: number }} pose - 雷射在 map 座標系的位姿
+ * @param {object} [options]
+ * @param {number} [options.decimation] - 每隔幾道光束取一點
+ * @returns {Array<{ x: number, y: number, range: number }>}
+ */
+export const scanToPoints = (scan, pose, { decimation = 1 } = {}) => {
+  const points = [];
+  const step = Math.max(1, Math.floor(decimation));
+  const { ranges, angle_min: angleMin, angle_increment: angleIncrement, range_min: rangeMin, range_max: rangeMax } = scan;
+  if (!ranges) return points;
+
+  for (let i = 0; i < ranges.length; i += step) {
+    const range = ranges[i];
+    // rosbridge 將 inf / NaN 轉為 null；0 表示沒有回波
+    if (typeof range !== 'number' || !Number.isFinite(range) || range < rangeMin || range > rangeMax || range === 0) continue;
+    const angle = pose.yaw + angleMin + i * angleIncrement;
+    points.push({
+      x: pose.x + range * Math.cos(angle),
+      y: pose.y + range * Math.sin(angle),
+      range
+    });
+  }
+  return points;
+};
+
+/**
+ * 依距離淡出的顏色：近處為不透明的紅色，遠處逐漸轉黃並變淡
+ * @param {number} range
+ * @param {number} rangeMax
+ */
+export const scanPointColor = (range, rangeMax) => {
+  const t = rangeMax > 0 ? Math.max(0, Math.min(1, range / rangeMax)) : 0;
+  const green = Math.round(60 + 160 * t);
+  const alpha = (1 - 0.75 * t).toFixed(2);
+  return `rgba(239, ${green}, 68, ${alpha})`;
+};
@@ -0,0 +1,31 @@
+import { scanPointColor, scanToPoints } from './laserScan';
+
+const scan = {
+  angle_min: 0,
+  angle_increment: Math.PI / 2,
+  range_min: 0.1,
+  range_max: 3.5,
+  ranges: [1, 2, null, 0.05, 5, 0]
+};
+
+test('projects valid ranges into the map frame using the robot pose', () => {
+  const points = scanToPoints(scan, { x: 1, y: 2, yaw: Math.PI / 2 });
+  expect(points).toHaveLength(2);
+  expect(points[0].x).toBeCloseTo(1);
+  expect(points[0].y).toBeCloseTo(3);
+  expect(points[1].x).toBeCloseTo(-1);
+  expect(points[1].y).toBeCloseTo(2);
+  expect(points[1].range).toBe(2);
+});
+
+test('decimates beams', () => {
+  const dense = { ...scan, ranges: [1, 1, 1, 1, 1, 1] };
+  expect(scanToPoints(dense, { x: 0, y: 0, yaw: 0 }, { decimation: 2 })).toHaveLength(3);
+  expect(scanToPoints(dense, { x: 0, y: 0, yaw: 0 }, { decimation: 0 })).toHaveLength(6);
+});
+
+test('fades the color with range', () => {
+  expect(scanPointColor(0, 3.5)).toBe('rgba(239, 60, 68, 1.00)');
+  expect(scanPointColor(3.5, 3.5)).toBe('rgba(239, 220, 68, 0.25)');
+  expect(scanPointColor(10, 3.5)).toBe(scanPointColor(3.5, 3.5));
+});
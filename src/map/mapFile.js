@@ -0,0 +1,236 @@
+// 地圖檔案 - map_server 相容的 PGM 影像 + YAML 描述檔
+//
+// PGM 第一列為地圖最上方（OccupancyGrid 的最後一列），像素值 254 自由、0 佔據、205 未知，與 map_saver 相同。
+import { yawToQuaternion } from '../ros/navigation';
+import { quaternionToYaw } from './transform';
+
+// map_saver 預設門檻（OccupancyGrid 值）
+export const MAP_SAVER_THRESHOLDS = {
+  occupied: 65,
+  free: 25
+};
+
+// YAML 的門檻是針對影像亮度（0..1），與 map_saver 寫出的值相同，使 205 讀回時仍為未知
+const YAML_THRESHOLDS = {
+  occupied: 0.65,
+  free: 0.196
+};
+
+const PGM_FREE = 254;
+const PGM_OCCUPIED = 0;
+const PGM_UNKNOWN = 205;
+
+const MAP_MODES = ['trinary', 'scale', 'raw'];
+
+/**
+ * OccupancyGrid 轉為二進位 PGM（P5）
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @param {object} [thresholds]
+ * @returns {Uint8Array}
+ */
+export const serializePgm = (grid, thresholds = MAP_SAVER_THRESHOLDS) => {
+  const { width, height, resolution } = grid.info;
+  const header = `P5\n# CREATOR: amr-developer-interface ${resolution.toFixed(3)} m/pix\n${width} ${height}\n255\n`;
+  const bytes = new Uint8Array(header.length + width * height);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+  let offset = header.length;
+  for (let y = 0; y < height; y++) {
+    const row = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      const value = grid.data[row + x];
+      if (value >= 0 && value <= thresholds.free) {
+        bytes[offset++] = PGM_FREE;
+      } else if (value >= thresholds.occupied) {
+        bytes[offset++] = PGM_OCCUPIED;
+      } else {
+        bytes[offset++] = PGM_UNKNOWN;
+      }
+    }
+  }
+  return bytes;
+};
+
+/**
+ * OccupancyGrid 轉為 scale 模式的 PGM，數值 0..100 線性對應亮度 255..0（Nav2 costmap filter 遮罩）
+ * @param {object} grid - nav_msgs/OccupancyGrid，未知（-1）視為 0
+ * @returns {Uint8Array}
+ */
+export const serializeScalePgm = (grid) => {
+  const { width, height, resolution } = grid.info;
+  const header = `P5\n# CREATOR: amr-developer-interface ${resolution.toFixed(3)} m/pix\n${width} ${height}\n255\n`;
+  const bytes = new Uint8Array(header.length + width * height);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+  let offset = header.length;
+  for (let y = 0; y < height; y++) {
+    const row = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      const value = Math.min(100, Math.max(0, grid.data[row + x]));
+      bytes[offset++] = 255 - Math.round((value * 255) / 100);
+    }
+  }
+  return bytes;
+};
+
+/**
+ * 產生 map_server 的 YAML 描述檔
+ * @param {object} info - OccupancyGrid.info
+ * @param {string} imageName - PGM 檔名（相對於 YAML）
+ * @param {string} [mode] - 'trinary' 或 'scale'；scale 使用 0..1 的完整範圍，與 serializeScalePgm 對應
+ */
+export const serializeMapYaml = (info, imageName, mode = 'trinary') => {
+  const { position, orientation } = info.origin;
+  const origin = [position.x, position.y, quaternionToYaw(orientation)].map(value => Number(value.toFixed(6)));
+  const thresholds = mode === 'scale' ? { occupied: 1, free: 0 } : YAML_THRESHOLDS;
+  return [
+    `image: ${imageName}`,
+    ...(mode === 'trinary' ? [] : [`mode: ${mode}`]),
+    `resolution: ${Number(info.resolution.toFixed(6))}`,
+    `origin: [${origin.join(', ')}]`,
+    'negate: 0',
+    `occupied_thresh: ${thresholds.occupied}`,
+    `free_thresh: ${thresholds.free}`,
+    ''
+  ].join('\n');
+};
+
+const unquote = (value) => value.replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * 解析 map_server 的 YAML 描述檔（只支援其使用的平面鍵值與 origin 列表）
+ * @param {string} text
+ * @returns {{ image: string, resolution: number, origin: number[], negate: boolean, occupiedThresh: number, freeThresh: number, mode: string }}
+ * @throws {Error} 缺少必要欄位
+ */
+export const parseMapYaml = (text) => {
+  const fields = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.replace(/\s+#.*$/, '').match(/^\s*([A-Za-z_]+)\s*:\s*(.*?)\s*$/);
+    if (match) fields[match[1]] = match[2];
+  });
+
+  const resolution = parseFloat(fields.resolution);
+  const origin = (fields.origin || '').replace(/^\[|\]$/g, '').split(',').map(parseFloat);
+  if (!fields.image) throw new Error('YAML 缺少 image 欄位');
+  if (!(resolution > 0)) throw new Error('YAML 的 resolution 無效');
+  if (origin.length < 2 || origin.slice(0, 2).some(Number.isNaN)) throw new Error('YAML 的 origin 無效');
+
+  const mode = fields.mode ? unquote(fields.mode) : 'trinary';
+  if (!MAP_MODES.includes(mode)) throw new Error(`不支援的地圖模式: ${mode}`);
+
+  return {
+    image: unquote(fields.image),
+    resolution,
+    origin: [origin[0], origin[1], Number.isNaN(origin[2]) || origin[2] === undefined ? 0 : origin[2]],
+    negate: ['1', 'true'].includes(String(fields.negate).toLowerCase()),
+    occupiedThresh: fields.occupied_thresh !== undefined ? parseFloat(fields.occupied_thresh) : YAML_THRESHOLDS.occupied,
+    freeThresh: fields.free_thresh !== undefined ? parseFloat(fields.free_thresh) : YAML_THRESHOLDS.free,
+    mode
+  };
+};
+
+/**
+ * 解析 PGM 影像（P5 二進位或 P2 文字）
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ width: number, height: number, maxValue: number, pixels: number[] }} pixels 由上而下、由左而右
+ * @throws {Error} 不是 PGM 或資料不完整
+ */
+export const parsePgm = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let offset = 0;
+
+  // 標頭欄位以空白分隔，# 之後到行尾為註解
+  const readToken = () => {
+    let token = '';
+    while (offset < bytes.length) {
+      const char = String.fromCharCode(bytes[offset]);
+      if (char === '#' && !token) {
+        while (offset < bytes.length && bytes[offset] !== 0x0a) offset++;
+      } else if (/\s/.test(char)) {
+        offset++;
+        if (token) return token;
+      } else {
+        token += char;
+        offset++;
+      }
+    }
+    return token;
+  };
+
+  const magic = readToken();
+  if (magic !== 'P5' && magic !== 'P2') throw new Error('不是 PGM 影像');
+  const width = parseInt(readToken(), 10);
+  const height = parseInt(readToken(), 10);
+  const maxValue = parseInt(readToken(), 10);
+  if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) throw new Error('PGM 標頭無效');
+
+  const count = width * height;
+  const pixels = new Array(count);
+  if (magic === 'P2') {
+    for (let i = 0; i < count; i++) {
+      const value = parseInt(readToken(), 10);
+      if (Number.isNaN(value)) throw new Error('PGM 資料不完整');
+      pixels[i] = value;
+    }
+  } else {
+    // readToken 已跳過 maxValue 後的單一空白
+    const bytesPerPixel = maxValue > 255 ? 2 : 1;
+    if (bytes.length - offset < count * bytesPerPixel) throw new Error('PGM 資料不完整');
+    for (let i = 0; i < count; i++) {
+      pixels[i] = bytesPerPixel === 2
+        ? (bytes[offset + i * 2] << 8) | bytes[offset + i * 2 + 1]
+        : bytes[offset + i];
+    }
+  }
+
+  return { width, height, maxValue, pixels };
+};
+
+/**
+ * 依 map_server 的規則由 PGM 與 YAML 建立 OccupancyGrid
+ * @param {object} pgm - parsePgm 的結果
+ * @param {object} meta - parseMapYaml 的結果
+ * @returns {object} nav_msgs/OccupancyGrid
+ */
+export const createOccupancyGridFromImage = (pgm, meta) => {
+  const { width, height, maxValue, pixels } = pgm;
+  const data = new Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      const pixel = pixels[y * width + x];
+      let value;
+      if (meta.mode === 'raw') {
+        value = pixel;
+      } else {
+        const occupancy = meta.negate ? pixel / maxValue : (maxValue - pixel) / maxValue;
+        if (occupancy > meta.occupiedThresh) {
+          value = 100;
+        } else if (occupancy < meta.freeThresh) {
+          value = 0;
+        } else if (meta.mode === 'scale') {
+          value = Math.round((99 * (occupancy - meta.freeThresh)) / (meta.occupiedThresh - meta.freeThresh));
+        } else {
+          value = -1;
+        }
+      }
+      data[row + x] = value;
+    }
+  }
+
+  return {
+    header: { frame_id: 'map' },
+    info: {
+      resolution: meta.resolution,
+      width,
+      height,
+      origin: {
+        position: { x: meta.origin[0], y: meta.origin[1], z: 0 },
+        orientation: yawToQuaternion(meta.origin[2])
+      }
+    },
+    data
+  };
+};
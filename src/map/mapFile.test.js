@@ -0,0 +1,90 @@
+import {
+  createOccupancyGridFromImage,
+  parseMapYaml,
+  parsePgm,
+  serializeMapYaml,
+  serializePgm,
+  serializeScalePgm
+} from './mapFile';
+
+const grid = {
+  header: { frame_id: 'map' },
+  info: {
+    resolution: 0.05,
+    width: 3,
+    height: 2,
+    origin: { position: { x: -1.5, y: -2, z: 0 }, orientation: { x: 0, y: 0, z: Math.sin(0.25), w: Math.cos(0.25) } }
+  },
+  // row 0（底部）：自由、佔據、未知；row 1：介於門檻之間、自由、佔據
+  data: [0, 100, -1, 50, 10, 80]
+};
+
+const encode = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+test('writes a map_saver style PGM with the top row first', () => {
+  const bytes = serializePgm(grid);
+  const pgm = parsePgm(bytes);
+  expect(pgm).toMatchObject({ width: 3, height: 2, maxValue: 255 });
+  expect(pgm.pixels).toEqual([205, 254, 0, 254, 0, 205]);
+});
+
+test('writes the YAML metadata', () => {
+  const yaml = serializeMapYaml(grid.info, 'lab.pgm');
+  expect(yaml).toContain('image: lab.pgm');
+  expect(yaml).toContain('resolution: 0.05');
+  expect(yaml).toContain('origin: [-1.5, -2, 0.5]');
+  expect(yaml).toContain('occupied_thresh: 0.65');
+  expect(yaml).toContain('free_thresh: 0.196');
+});
+
+test('writes scale mode masks for costmap filters', () => {
+  const mask = { ...grid, data: [0, 100, -1, 50, 20, 0] };
+  expect(parsePgm(serializeScalePgm(mask)).pixels).toEqual([127, 204, 255, 255, 0, 255]);
+  const yaml = serializeMapYaml(grid.info, 'speed.pgm', 'scale');
+  expect(yaml).toContain('mode: scale');
+  expect(yaml).toContain('occupied_thresh: 1');
+  expect(yaml).toContain('free_thresh: 0');
+  expect(parseMapYaml(yaml).mode).toBe('scale');
+});
+
+test('round-trips a grid through PGM and YAML', () => {
+  const meta = parseMapYaml(serializeMapYaml(grid.info, 'lab.pgm'));
+  const loaded = createOccupancyGridFromImage(parsePgm(serializePgm(grid)), meta);
+  expect(loaded.info.width).toBe(3);
+  expect(loaded.info.origin.position).toEqual({ x: -1.5, y: -2, z: 0 });
+  expect(loaded.info.origin.orientation.z).toBeCloseTo(Math.sin(0.25));
+  expect(loaded.data).toEqual([0, 100, -1, -1, 0, 100]);
+});
+
+test('parses ASCII PGM with comments and map_server YAML options', () => {
+  const pgm = parsePgm(encode('P2\n# comment\n2 1\n# another\n100\n0 100\n'));
+  expect(pgm).toEqual({ width: 2, height: 1, maxValue: 100, pixels: [0, 100] });
+
+  const meta = parseMapYaml([
+    'image: "maps/room.pgm"  # relative path',
+    'resolution: 0.1',
+    'origin: [1.0, 2.0, 0.0]',
+    'negate: 1',
+    'occupied_thresh: 0.65',
+    'free_thresh: 0.196',
+    'mode: scale'
+  ].join('\n'));
+  expect(meta).toEqual({
+    image: 'maps/room.pgm',
+    resolution: 0.1,
+    origin: [1, 2, 0],
+    negate: true,
+    occupiedThresh: 0.65,
+    freeThresh: 0.196,
+    mode: 'scale'
+  });
+  // negate 時亮的像素為佔據
+  expect(createOccupancyGridFromImage(pgm, meta).data).toEqual([0, 100]);
+});
+
+test('rejects invalid files', () => {
+  expect(() => parsePgm(encode('P6\n1 1\n255\n'))).toThrow('不是 PGM 影像');
+  expect(() => parsePgm(encode('P5\n2 2\n255\n\u0000'))).toThrow('PGM 資料不完整');
+  expect(() => parseMapYaml('resolution: 0.05\norigin: [0, 0, 0]')).toThrow('image');
+  expect(() => parseMapYaml('image: a.pgm\nresolution: 0.05\norigin: [0, 0, 0]\nmode: other')).toThrow('不支援的地圖模式');
+});
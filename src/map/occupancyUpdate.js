@@ -0,0 +1,45 @@
+// 地圖增量更新 - 將 map_msgs/OccupancyGridUpdate 套用到已儲存的柵格
+
+/**
+ * 將更新區塊寫入柵格（直接修改 grid.data，避免大地圖每次更新都複製整個陣列）
+ * 超出柵格範圍的部分會被裁掉
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @param {object} update - map_msgs/OccupancyGridUpdate
+ * @returns {{ x: number, y: number, width: number, height: number }|null} 實際寫入的區域，沒有重疊或資料不完整時為 null
+ */
+export const applyOccupancyGridUpdate = (grid, update) => {
+  if (!grid || !grid.data || !update || !update.data) return null;
+  const { width: gridWidth, height: gridHeight } = grid.info;
+  const { x, y, width, height, data } = update;
+  if (data.length < width * height) return null;
+
+  const colStart = Math.max(0, x);
+  const rowStart = Math.max(0, y);
+  const colEnd = Math.min(gridWidth, x + width);
+  const rowEnd = Math.min(gridHeight, y + height);
+  if (colEnd <= colStart || rowEnd <= rowStart) return null;
+
+  for (let row = rowStart; row < rowEnd; row++) {
+    const source = (row - y) * width;
+    const target = row * gridWidth;
+    for (let col = colStart; col < colEnd; col++) {
+      grid.data[target + col] = data[source + col - x];
+    }
+  }
+
+  return { x: colStart, y: rowStart, width: colEnd - colStart, height: rowEnd - rowStart };
+};
+
+/**
+ * 取出柵格的矩形區域，格式與 OccupancyGrid 相同，可直接點陣化
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region
+ */
+export const getGridRegion = (grid, region) => {
+  const data = [];
+  for (let row = region.y; row < region.y + region.height; row++) {
+    const start = row * grid.info.width + region.x;
+    for (let i = 0; i < region.width; i++) data.push(grid.data[start + i]);
+  }
+  return { info: { width: region.width, height: region.height }, data };
+};
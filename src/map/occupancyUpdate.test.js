@@ -0,0 +1,36 @@
+import { applyOccupancyGridUpdate, getGridRegion } from './occupancyUpdate';
+
+const createGrid = () => ({ info: { width: 4, height: 3 }, data: new Array(12).fill(-1) });
+
+test('patches only the updated region in place', () => {
+  const grid = createGrid();
+  const data = grid.data;
+  const region = applyOccupancyGridUpdate(grid, { x: 1, y: 1, width: 2, height: 2, data: [0, 100, 50, 0] });
+
+  expect(region).toEqual({ x: 1, y: 1, width: 2, height: 2 });
+  expect(grid.data).toBe(data);
+  expect(grid.data).toEqual([
+    -1, -1, -1, -1,
+    -1, 0, 100, -1,
+    -1, 50, 0, -1
+  ]);
+});
+
+test('clips updates that extend past the grid', () => {
+  const grid = createGrid();
+  const region = applyOccupancyGridUpdate(grid, { x: 3, y: -1, width: 2, height: 2, data: [1, 2, 3, 4] });
+
+  expect(region).toEqual({ x: 3, y: 0, width: 1, height: 1 });
+  expect(grid.data[3]).toBe(3);
+  expect(applyOccupancyGridUpdate(grid, { x: 5, y: 0, width: 1, height: 1, data: [0] })).toBeNull();
+  expect(applyOccupancyGridUpdate(grid, { x: 0, y: 0, width: 2, height: 2, data: [0] })).toBeNull();
+  expect(applyOccupancyGridUpdate(null, { x: 0, y: 0, width: 1, height: 1, data: [0] })).toBeNull();
+});
+
+test('extracts a region for re-rasterizing', () => {
+  const grid = { info: { width: 3, height: 2 }, data: [0, 1, 2, 3, 4, 5] };
+  expect(getGridRegion(grid, { x: 1, y: 0, width: 2, height: 2 })).toEqual({
+    info: { width: 2, height: 2 },
+    data: [1, 2, 4, 5]
+  });
+});
@@ -0,0 +1,86 @@
+// 規劃路徑 - nav_msgs/Path 轉換到 map 座標系與剩餘長度計算
+
+export const DEFAULT_PATH_OPTIONS = {
+  globalTopic: '/move_base/NavfnROS/plan',
+  localTopic: '/move_base/DWAPlannerROS/local_plan'
+};
+
+const STORAGE_KEY = 'amr_path_options';
+
+/**
+ * 將 nav_msgs/Path 轉為 map 座標系的點
+ * @param {object} path - nav_msgs/Path
+ * @param {{ x: number, y: number, yaw: number }} [frame] - 路徑框架在 map 座標系的位姿，省略時視為 map 本身
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export const pathToPoints = (path, frame = { x: 0, y: 0, yaw: 0 }) => {
+  if (!path || !path.poses) return [];
+  const cos = Math.cos(frame.yaw);
+  const sin = Math.sin(frame.yaw);
+  return path.poses
+    .filter(stamped => stamped.pose && stamped.pose.position)
+    .map(({ pose: { position } }) => ({
+      x: frame.x + position.x * cos - position.y * sin,
+      y: frame.y + position.x * sin + position.y * cos
+    }));
+};
+
+/**
+ * 折線總長度（公尺）
+ * @param {Array<{ x: number, y: number }>} points
+ */
+export const pathLength = (points) => {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+};
+
+/**
+ * 由機器人在路徑上的最近投影點到終點的剩餘長度（公尺）
+ * 規劃器更新較慢時機器人已走過的部分不計入；加上機器人到投影點的偏離距離
+ * @param {Array<{ x: number, y: number }>} points
+ * @param {{ x: number, y: number }} position
+ * @returns {number|null} 路徑為空時為 null
+ */
+export const remainingPathLength = (points, position) => {
+  if (!points.length) return null;
+  if (points.length === 1) return Math.hypot(points[0].x - position.x, points[0].y - position.y);
+
+  let best = { distance: Infinity, segment: 0, t: 0 };
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+      ? Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.y - a.y) * dy) / lengthSquared))
+      : 0;
+    const distance = Math.hypot(a.x + t * dx - position.x, a.y + t * dy - position.y);
+    if (distance < best.distance) best = { distance, segment: i, t };
+  }
+
+  const a = points[best.segment];
+  const b = points[best.segment + 1];
+  const restOfSegment = (1 - best.t) * Math.hypot(b.x - a.x, b.y - a.y);
+  return best.distance + restOfSegment + pathLength(points.slice(best.segment + 1));
+};
+
+export const loadPathOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_PATH_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_PATH_OPTIONS };
+  }
+};
+
+export const savePathOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存路徑設定');
+  }
+};
@@ -0,0 +1,27 @@
+import { pathLength, pathToPoints, remainingPathLength } from './paths';
+
+const pose = (x, y) => ({ pose: { position: { x, y, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } } });
+
+test('transforms path poses into the map frame', () => {
+  const path = { header: { frame_id: 'odom' }, poses: [pose(0, 0), pose(1, 0)] };
+  const points = pathToPoints(path, { x: 2, y: 1, yaw: Math.PI / 2 });
+  expect(points[0]).toEqual({ x: 2, y: 1 });
+  expect(points[1].x).toBeCloseTo(2);
+  expect(points[1].y).toBeCloseTo(2);
+  expect(pathToPoints(null)).toEqual([]);
+});
+
+test('measures the polyline length', () => {
+  expect(pathLength([{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 4 }])).toBeCloseTo(7);
+  expect(pathLength([{ x: 1, y: 1 }])).toBe(0);
+});
+
+test('measures the remaining length from the closest point on the path', () => {
+  const points = [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 4 }];
+  expect(remainingPathLength(points, { x: 0, y: 0 })).toBeCloseTo(7);
+  // 已走過 2 m，偏離路徑 0.5 m
+  expect(remainingPathLength(points, { x: 2, y: 0.5 })).toBeCloseTo(5.5);
+  expect(remainingPathLength(points, { x: 3, y: 4 })).toBeCloseTo(0);
+  expect(remainingPathLength([], { x: 0, y: 0 })).toBeNull();
+  expect(remainingPathLength([{ x: 3, y: 4 }], { x: 0, y: 0 })).toBeCloseTo(5);
+});
@@ -0,0 +1,121 @@
+// 柵格點陣化 - OccupancyGrid 一次轉為全解析度點陣圖，平移縮放時只轉換點陣圖
+import { gridToWorld } from './transform';
+
+const UNKNOWN_COLOR = [0, 0, 0, 0];
+const FREE_COLOR = [255, 255, 255, 255];
+const OCCUPIED_COLOR = [0, 0, 0, 255];
+const UNCERTAIN_COLOR = [209, 213, 219, 255];
+
+/**
+ * 佔據柵格的顏色：自由為白、佔據為黑、介於之間為灰，未知為透明
+ * @param {number} value - OccupancyGrid 值（-1 或 0..100）
+ * @returns {[number, number, number, number]} RGBA（0..255）
+ */
+export const occupancyColor = (value) => {
+  if (value === -1) return UNKNOWN_COLOR;
+  if (value >= 0 && value < 25) return FREE_COLOR;
+  if (value >= 65) return OCCUPIED_COLOR;
+  return UNCERTAIN_COLOR;
+};
+
+/**
+ * 將柵格轉為 RGBA 像素；像素列與柵格列相同（row 0 在第一列），翻轉交由繪製轉換處理
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @param {function} colorFor - (value) => [r, g, b, a]
+ * @returns {Uint8ClampedArray} 長度為 width * height * 4
+ */
+export const gridToRgba = (grid, colorFor) => {
+  const { width, height } = grid.info;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  // 柵格值只有少數幾種，快取顏色避免每格重新計算
+  const palette = new Map();
+  for (let i = 0; i < width * height; i++) {
+    const value = grid.data[i];
+    let color = palette.get(value);
+    if (!color) {
+      color = colorFor(value);
+      palette.set(value, color);
+    }
+    pixels.set(color, i * 4);
+  }
+  return pixels;
+};
+
+/**
+ * 建立離屏點陣圖，每則訊息只轉換一次
+ * @param {object} grid - nav_msgs/OccupancyGrid
+ * @param {function} colorFor - (value) => [r, g, b, a]
+ * @returns {HTMLCanvasElement|null}
+ */
+export const createGridBitmap = (grid, colorFor) => {
+  if (!grid || !grid.data || grid.data.length === 0) return null;
+  const { width, height } = grid.info;
+  const bitmap = document.createElement('canvas');
+  bitmap.width = width;
+  bitmap.height = height;
+  const bitmapCtx = bitmap.getContext('2d');
+  if (!bitmapCtx) return null;
+  bitmapCtx.putImageData(new ImageData(gridToRgba(grid, colorFor), width, height), 0, 0);
+  return bitmap;
+};
+
+/**
+ * 只重新點陣化變動的區域並寫回點陣圖
+ * @param {HTMLCanvasElement} bitmap - createGridBitmap 的結果
+ * @param {object} region - 與 OccupancyGrid 相同格式的區域（見 getGridRegion）
+ * @param {number} x - 區域左下角的柵格欄
+ * @param {number} y - 區域左下角的柵格列
+ * @param {function} colorFor - (value) => [r, g, b, a]
+ */
+export const patchGridBitmap = (bitmap, region, x, y, colorFor) => {
+  const bitmapCtx = bitmap && bitmap.getContext('2d');
+  if (!bitmapCtx) return;
+  const { width, height } = region.info;
+  bitmapCtx.putImageData(new ImageData(gridToRgba(region, colorFor), width, height), x, y);
+};
+
+/**
+ * 柵格座標到畫布座標的仿射矩陣，供 ctx.setTransform 直接繪製點陣圖
+ * 柵格使用自己的原點與解析度，並可位於其他框架（如區域代價地圖的 odom）
+ * @param {object} info - OccupancyGrid.info
+ * @param {{ x: number, y: number, yaw: number }|undefined} frame - 柵格框架在固定框架中的位姿，省略時視為固定框架
+ * @param {function} worldToScreen - 目前視圖的固定框架 → 畫布轉換
+ * @returns {[number, number, number, number, number, number]} [a, b, c, d, e, f]
+ */
+export const gridToScreenMatrix = (info, frame, worldToScreen) => {
+  const { x = 0, y = 0, yaw = 0 } = frame || {};
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  const toScreen = (cell) => {
+    const point = gridToWorld(info, cell);
+    return worldToScreen({ x: x + point.x * cos - point.y * sin, y: y + point.x * sin + point.y * cos });
+  };
+
+  const origin = toScreen({ col: 0, row: 0 });
+  const colAxis = toScreen({ col: 1, row: 0 });
+  const rowAxis = toScreen({ col: 0, row: 1 });
+  return [
+    colAxis.x - origin.x,
+    colAxis.y - origin.y,
+    rowAxis.x - origin.x,
+    rowAxis.y - origin.y,
+    origin.x,
+    origin.y
+  ];
+};
+
+/**
+ * 以仿射矩陣繪製點陣圖（不平滑，保留柵格邊界）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} bitmap
+ * @param {Array<number>} matrix - gridToScreenMatrix 的結果
+ * @param {number} [opacity]
+ */
+export const drawGridBitmap = (ctx, bitmap, matrix, opacity = 1) => {
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.imageSmoothingEnabled = false;
+  ctx.setTransform(...matrix);
+  ctx.drawImage(bitmap, 0, 0);
+  ctx.restore();
+};
@@ -0,0 +1,62 @@
+import { gridToRgba, gridToScreenMatrix, occupancyColor } from './raster';
+import { createViewTransform } from './transform';
+
+test('keeps the free / uncertain / occupied thresholds and leaves unknown cells transparent', () => {
+  expect(occupancyColor(0)).toEqual([255, 255, 255, 255]);
+  expect(occupancyColor(24)).toEqual([255, 255, 255, 255]);
+  expect(occupancyColor(50)).toEqual([209, 213, 219, 255]);
+  expect(occupancyColor(65)).toEqual([0, 0, 0, 255]);
+  expect(occupancyColor(-1)[3]).toBe(0);
+});
+
+test('rasterizes every cell at full resolution', () => {
+  const pixels = gridToRgba({ info: { width: 2, height: 2 }, data: [0, 100, -1, 50] }, occupancyColor);
+  expect(pixels).toHaveLength(16);
+  expect(Array.from(pixels.slice(4, 8))).toEqual([0, 0, 0, 255]);
+  expect(Array.from(pixels.slice(12, 16))).toEqual([209, 213, 219, 255]);
+});
+
+test('maps the map bitmap onto its own view', () => {
+  const info = {
+    resolution: 0.1,
+    width: 100,
+    height: 80,
+    origin: { position: { x: -5, y: -4 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+  };
+  const view = createViewTransform({ info, canvasWidth: 500, canvasHeight: 400, zoom: 2, offset: { x: 10, y: -5 } });
+  const [a, b, c, d, e, f] = gridToScreenMatrix(info, undefined, view.worldToScreen);
+  const corner = view.gridToScreen({ col: 0, row: 0 });
+  expect(a).toBeCloseTo(view.scale);
+  expect(b).toBeCloseTo(0);
+  expect(c).toBeCloseTo(0);
+  expect(d).toBeCloseTo(-view.scale);
+  expect(e).toBeCloseTo(corner.x);
+  expect(f).toBeCloseTo(corner.y);
+});
+
+test('places a costmap with its own origin and resolution on the map view', () => {
+  const mapInfo = {
+    resolution: 0.1,
+    width: 100,
+    height: 100,
+    origin: { position: { x: -5, y: -5 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+  };
+  const view = createViewTransform({ info: mapInfo, canvasWidth: 500, canvasHeight: 500 });
+  const localInfo = {
+    resolution: 0.05,
+    width: 60,
+    height: 60,
+    origin: { position: { x: 1, y: 2 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+  };
+
+  // odom 相對 map 平移 (0.5, 0)
+  const [a, b, c, d, e, f] = gridToScreenMatrix(localInfo, { x: 0.5, y: 0, yaw: 0 }, view.worldToScreen);
+  const corner = view.worldToScreen({ x: 1.5, y: 2 });
+  expect(e).toBeCloseTo(corner.x);
+  expect(f).toBeCloseTo(corner.y);
+  expect(a).toBeCloseTo(view.pixelsPerMeter * 0.05);
+  expect(b).toBeCloseTo(0);
+  expect(c).toBeCloseTo(0);
+  // 柵格列向上，畫布 y 向下
+  expect(d).toBeCloseTo(-view.pixelsPerMeter * 0.05);
+});
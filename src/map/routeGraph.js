@@ -0,0 +1,183 @@
+// 路線圖 - 站點與中繼節點以有向加權邊連接，前往站點時沿最短路徑行駛
+//
+// 節點以鍵識別：站點為 'station:<id>'、中繼節點為 'node:<id>'，座標皆為 map 座標系（公尺）。
+// 邊的權重未設定時為兩端點的直線距離。
+
+export const EMPTY_ROUTE_GRAPH = { nodes: [], edges: [] };
+
+export const stationNodeKey = (id) => `station:${id}`;
+export const routeNodeKey = (id) => `node:${id}`;
+
+const toNumber = (value, fallback = 0) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * 正規化路線圖（匯入或讀取場地設定時使用），捨棄缺少端點的邊
+ * @param {object} raw
+ */
+export const normalizeRouteGraph = (raw) => {
+  if (!raw || typeof raw !== 'object') return { ...EMPTY_ROUTE_GRAPH };
+  const nodes = Array.isArray(raw.nodes)
+    ? raw.nodes.map((node, index) => ({
+      id: node.id ?? Date.now() + index,
+      x: toNumber(node.x),
+      y: toNumber(node.y)
+    }))
+    : [];
+  const edges = Array.isArray(raw.edges)
+    ? raw.edges
+      .filter(edge => edge && typeof edge.from === 'string' && typeof edge.to === 'string' && edge.from !== edge.to)
+      .map((edge, index) => {
+        const weight = toNumber(edge.weight, NaN);
+        return {
+          id: edge.id ?? Date.now() + index,
+          from: edge.from,
+          to: edge.to,
+          weight: weight > 0 ? weight : null
+        };
+      })
+    : [];
+  return { nodes, edges };
+};
+
+/**
+ * 所有節點的位置
+ * @param {Array} stations
+ * @param {object} graph
+ * @returns {Map<string, { x: number, y: number, yaw?: number, name: string, station?: object }>}
+ */
+export const getRouteNodePositions = (stations, graph) => {
+  const positions = new Map();
+  stations.forEach(station => {
+    positions.set(stationNodeKey(station.id), { x: station.x, y: station.y, yaw: station.yaw || 0, name: station.name, station });
+  });
+  graph.nodes.forEach((node, index) => {
+    positions.set(routeNodeKey(node.id), { x: node.x, y: node.y, name: `N${index + 1}` });
+  });
+  return positions;
+};
+
+/**
+ * 邊的權重：有設定時使用設定值，否則為直線距離
+ * @returns {number|null} 端點不存在時為 null
+ */
+export const getEdgeWeight = (edge, positions) => {
+  const from = positions.get(edge.from);
+  const to = positions.get(edge.to);
+  if (!from || !to) return null;
+  return edge.weight ?? Math.hypot(to.x - from.x, to.y - from.y);
+};
+
+/**
+ * 以 Dijkstra 演算法尋找最短路徑
+ * @param {object} graph
+ * @param {Map} positions - getRouteNodePositions 的結果
+ * @param {string} from - 起點鍵
+ * @param {string} to - 終點鍵
+ * @returns {{ keys: string[], cost: number }|null} 無法到達時為 null
+ */
+export const findShortestRoute = (graph, positions, from, to) => {
+  if (!positions.has(from) || !positions.has(to)) return null;
+
+  const outgoing = new Map();
+  graph.edges.forEach(edge => {
+    const weight = getEdgeWeight(edge, positions);
+    if (weight === null) return;
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push({ to: edge.to, weight });
+  });
+
+  const cost = new Map([[from, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  // 節點數量不多，每次線性找出未拜訪中代價最小的節點
+  const closest = () => {
+    let best = null;
+    cost.forEach((value, key) => {
+      if (!visited.has(key) && (best === null || value < cost.get(best))) best = key;
+    });
+    return best;
+  };
+
+  let current = from;
+  while (current !== null && current !== to) {
+    visited.add(current);
+    const base = cost.get(current);
+    for (const { to: next, weight } of outgoing.get(current) || []) {
+      if (!cost.has(next) || base + weight < cost.get(next)) {
+        cost.set(next, base + weight);
+        previous.set(next, current);
+      }
+    }
+    current = closest();
+  }
+  if (current === null) return null;
+
+  const keys = [to];
+  while (keys[0] !== from) keys.unshift(previous.get(keys[0]));
+  return { keys, cost: cost.get(to) };
+};
+
+/**
+ * 距離指定位置最近、且有邊連出的節點
+ * @param {object} graph
+ * @param {Map} positions
+ * @param {{ x: number, y: number }} point
+ * @returns {string|null}
+ */
+export const findNearestRouteNode = (graph, positions, point) => {
+  const connected = new Set(graph.edges.map(edge => edge.from));
+  let best = null;
+  let bestDistance = Infinity;
+  connected.forEach(key => {
+    const position = positions.get(key);
+    if (!position) return;
+    const distance = Math.hypot(position.x - point.x, position.y - point.y);
+    if (distance < bestDistance) {
+      best = key;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * 規劃由機器人位置到目標節點的路線：先到最近的節點，再沿最短路徑前進
+ * 中繼點的朝向指向下一個節點，終點使用站點的朝向
+ * @param {object} graph
+ * @param {Map} positions
+ * @param {{ x: number, y: number }} start - 機器人位置
+ * @param {string} target - 目標節點鍵
+ * @returns {{ keys: string[], goals: Array<{ x: number, y: number, yaw: number, label: string }> }|null}
+ */
+export const planRoute = (graph, positions, start, target) => {
+  const entry = findNearestRouteNode(graph, positions, start);
+  if (!entry) return null;
+  const route = entry === target ? { keys: [target] } : findShortestRoute(graph, positions, entry, target);
+  if (!route) return null;
+
+  const goals = route.keys.map((key, index) => {
+    const position = positions.get(key);
+    const next = positions.get(route.keys[index + 1]);
+    return {
+      x: position.x,
+      y: position.y,
+      yaw: next ? Math.atan2(next.y - position.y, next.x - position.x) : position.yaw || 0,
+      label: position.name
+    };
+  });
+  return { keys: route.keys, goals };
+};
+
+/**
+ * 刪除節點與所有連到它的邊（站點刪除時也需呼叫）
+ * @param {object} graph
+ * @param {string} key
+ */
+export const removeRouteNode = (graph, key) => ({
+  nodes: graph.nodes.filter(node => routeNodeKey(node.id) !== key),
+  edges: graph.edges.filter(edge => edge.from !== key && edge.to !== key)
+});
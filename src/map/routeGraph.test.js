@@ -0,0 +1,75 @@
+import {
+  findShortestRoute,
+  getRouteNodePositions,
+  normalizeRouteGraph,
+  planRoute,
+  removeRouteNode,
+  routeNodeKey,
+  stationNodeKey
+} from './routeGraph';
+
+const stations = [
+  { id: 1, name: '充電站', x: 0, y: 0, yaw: 0 },
+  { id: 2, name: '工作站A', x: 4, y: 0, yaw: Math.PI / 2 }
+];
+
+// 充電站 → N1 → 工作站A 為較短的單向通道，N2 為繞行的雙向通道
+const graph = {
+  nodes: [{ id: 10, x: 2, y: 0 }, { id: 11, x: 2, y: 2 }],
+  edges: [
+    { id: 1, from: stationNodeKey(1), to: routeNodeKey(10), weight: null },
+    { id: 2, from: routeNodeKey(10), to: stationNodeKey(2), weight: null },
+    { id: 3, from: stationNodeKey(2), to: routeNodeKey(11), weight: null },
+    { id: 4, from: routeNodeKey(11), to: stationNodeKey(1), weight: null },
+    { id: 5, from: stationNodeKey(1), to: routeNodeKey(11), weight: null },
+    { id: 6, from: routeNodeKey(11), to: stationNodeKey(2), weight: null }
+  ]
+};
+
+const positions = getRouteNodePositions(stations, graph);
+
+test('finds the shortest path along directed edges', () => {
+  expect(findShortestRoute(graph, positions, stationNodeKey(1), stationNodeKey(2)))
+    .toEqual({ keys: [stationNodeKey(1), routeNodeKey(10), stationNodeKey(2)], cost: 4 });
+  // 單向通道不能逆行，回程必須繞行 N2
+  expect(findShortestRoute(graph, positions, stationNodeKey(2), stationNodeKey(1)).keys)
+    .toEqual([stationNodeKey(2), routeNodeKey(11), stationNodeKey(1)]);
+  expect(findShortestRoute(graph, positions, routeNodeKey(10), routeNodeKey(11)).keys)
+    .toEqual([routeNodeKey(10), stationNodeKey(2), routeNodeKey(11)]);
+});
+
+test('uses explicit edge weights and reports unreachable nodes', () => {
+  const weighted = {
+    ...graph,
+    edges: graph.edges.map(edge => (edge.id === 2 ? { ...edge, weight: 10 } : edge))
+  };
+  expect(findShortestRoute(weighted, positions, stationNodeKey(1), stationNodeKey(2)).keys)
+    .toEqual([stationNodeKey(1), routeNodeKey(11), stationNodeKey(2)]);
+  const isolated = { ...graph, edges: graph.edges.slice(0, 1) };
+  expect(findShortestRoute(isolated, positions, stationNodeKey(1), stationNodeKey(2))).toBeNull();
+});
+
+test('plans a route from the nearest node with headings toward the next node', () => {
+  const route = planRoute(graph, positions, { x: 0.2, y: -0.1 }, stationNodeKey(2));
+  expect(route.keys).toEqual([stationNodeKey(1), routeNodeKey(10), stationNodeKey(2)]);
+  expect(route.goals.map(goal => goal.label)).toEqual(['充電站', 'N1', '工作站A']);
+  expect(route.goals[0].yaw).toBeCloseTo(0);
+  // 終點使用站點朝向
+  expect(route.goals[2].yaw).toBeCloseTo(Math.PI / 2);
+  expect(planRoute({ nodes: [], edges: [] }, positions, { x: 0, y: 0 }, stationNodeKey(2))).toBeNull();
+});
+
+test('removes nodes with their edges and normalizes stored graphs', () => {
+  const removed = removeRouteNode(graph, routeNodeKey(11));
+  expect(removed.nodes).toHaveLength(1);
+  expect(removed.edges.map(edge => edge.id)).toEqual([1, 2]);
+
+  const normalized = normalizeRouteGraph({
+    nodes: [{ id: 3, x: '1.5', y: 2 }],
+    edges: [{ from: 'node:3', to: 'station:1', weight: '2.5' }, { from: 'node:3', to: 'node:3' }, { from: 1, to: 2 }]
+  });
+  expect(normalized.nodes).toEqual([{ id: 3, x: 1.5, y: 2 }]);
+  expect(normalized.edges).toHaveLength(1);
+  expect(normalized.edges[0]).toMatchObject({ from: 'node:3', to: 'station:1', weight: 2.5 });
+  expect(normalizeRouteGraph(undefined)).toEqual({ nodes: [], edges: [] });
+});
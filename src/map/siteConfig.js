@@ -0,0 +1,203 @@
+// 場地設定 - 站點、航點、巡邏路線、禁行 / 限速區、路線圖與視圖設定的儲存與 JSON 匯入匯出
+//
+// 設定以地圖特徵（解析度與原點）為鍵儲存在 localStorage，座標皆為 map 座標系（公尺）。
+// 場地名稱只是顯示與匯出檔名用的標籤，不同地圖即使同名也不會互相覆寫。
+import { normalizeZone } from './zones';
+import { EMPTY_ROUTE_GRAPH, normalizeRouteGraph } from './routeGraph';
+import { DEFAULT_PATROL_OPTIONS, PATROL_MODES } from '../ros/patrol';
+
+export const SITE_CONFIG_VERSION = 1;
+export const SITE_CONFIG_FORMAT = 'amr-site-config';
+
+const STORAGE_PREFIX = 'amr_site_config:';
+const LAST_SITE_KEY = 'amr_site_last_map';
+
+export const DEFAULT_SITE_NAME = 'default';
+
+const STATION_COLORS = {
+  charging: 'bg-green-500',
+  work: 'bg-blue-500'
+};
+
+const toNumber = (value, fallback = 0) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// 地圖特徵，用於載入時檢查設定是否屬於目前地圖
+export const getMapSignature = (info) => {
+  if (!info) return null;
+  return {
+    width: info.width,
+    height: info.height,
+    resolution: info.resolution,
+    origin: {
+      x: info.origin.position.x,
+      y: info.origin.position.y
+    }
+  };
+};
+
+/**
+ * 場地設定的儲存鍵，由地圖特徵產生
+ * @param {object|null} signature - getMapSignature 的結果
+ * @returns {string|null} 沒有地圖時為 null
+ */
+export const getSiteKey = (signature) => {
+  if (!signature) return null;
+  const { resolution, origin } = signature;
+  return `${resolution.toFixed(4)}@${origin.x.toFixed(3)},${origin.y.toFixed(3)}`;
+};
+
+// 解析度或原點不同時，公尺座標就不再對應同一個位置
+export const isSameMap = (signature, info) => {
+  if (!signature || !info) return true;
+  return Math.abs(signature.resolution - info.resolution) < 1e-6 &&
+    Math.abs(signature.origin.x - info.origin.position.x) < 1e-3 &&
+    Math.abs(signature.origin.y - info.origin.position.y) < 1e-3;
+};
+
+const normalizeStation = (station, index) => {
+  const type = STATION_COLORS[station.type] ? station.type : 'work';
+  return {
+    id: station.id ?? Date.now() + index,
+    name: String(station.name || `站點 ${index + 1}`),
+    x: toNumber(station.x),
+    y: toNumber(station.y),
+    yaw: toNumber(station.yaw),
+    type,
+    color: STATION_COLORS[type]
+  };
+};
+
+const normalizeWaypoint = (waypoint, index) => ({
+  id: waypoint.id ?? Date.now() + index,
+  x: toNumber(waypoint.x),
+  y: toNumber(waypoint.y),
+  order: index + 1
+});
+
+const normalizePatrol = (patrol) => {
+  const raw = patrol && typeof patrol === 'object' ? patrol : {};
+  return {
+    mode: Object.values(PATROL_MODES).includes(raw.mode) ? raw.mode : DEFAULT_PATROL_OPTIONS.mode,
+    dwellTime: Math.max(0, toNumber(raw.dwellTime, DEFAULT_PATROL_OPTIONS.dwellTime)),
+    maxRetries: Math.max(0, Math.round(toNumber(raw.maxRetries, DEFAULT_PATROL_OPTIONS.maxRetries))),
+    onFailure: raw.onFailure === 'stop' ? 'stop' : 'skip'
+  };
+};
+
+/**
+ * 建立場地設定物件
+ * @param {object} site
+ * @param {string} site.name - 場地名稱
+ * @param {object} [site.mapInfo] - 目前地圖的 OccupancyGrid.info
+ * @param {Array} site.stations
+ * @param {Array} site.waypoints
+ * @param {Array} [site.zones] - 禁行區與限速區
+ * @param {object} [site.routeGraph] - 路線圖 { nodes, edges }
+ * @param {object} site.patrol - 巡邏設定
+ * @param {object} site.view - { zoom, offset }
+ */
+export const createSiteConfig = ({ name, mapInfo, stations, waypoints, zones = [], routeGraph = EMPTY_ROUTE_GRAPH, patrol, view }) => ({
+  format: SITE_CONFIG_FORMAT,
+  version: SITE_CONFIG_VERSION,
+  name,
+  map: getMapSignature(mapInfo),
+  stations,
+  waypoints,
+  zones,
+  routeGraph,
+  patrol,
+  view,
+  savedAt: new Date().toISOString()
+});
+
+/**
+ * 驗證並正規化場地設定
+ * @param {object} raw - 已解析的 JSON
+ * @returns {object} 場地設定
+ * @throws {Error} 格式或版本不符
+ */
+export const normalizeSiteConfig = (raw) => {
+  if (!raw || typeof raw !== 'object' || raw.format !== SITE_CONFIG_FORMAT) {
+    throw new Error('不是有效的場地設定檔');
+  }
+  if (typeof raw.version !== 'number' || raw.version > SITE_CONFIG_VERSION) {
+    throw new Error(`不支援的設定檔版本: ${raw.version}`);
+  }
+
+  return {
+    format: SITE_CONFIG_FORMAT,
+    version: SITE_CONFIG_VERSION,
+    name: String(raw.name || DEFAULT_SITE_NAME),
+    map: raw.map || null,
+    stations: Array.isArray(raw.stations) ? raw.stations.map(normalizeStation) : [],
+    waypoints: Array.isArray(raw.waypoints) ? raw.waypoints.map(normalizeWaypoint) : [],
+    zones: Array.isArray(raw.zones) ? raw.zones.map(normalizeZone).filter(Boolean) : [],
+    routeGraph: normalizeRouteGraph(raw.routeGraph),
+    patrol: normalizePatrol(raw.patrol),
+    view: {
+      zoom: toNumber(raw.view && raw.view.zoom, 1),
+      offset: {
+        x: toNumber(raw.view && raw.view.offset && raw.view.offset.x),
+        y: toNumber(raw.view && raw.view.offset && raw.view.offset.y)
+      }
+    },
+    savedAt: raw.savedAt || null
+  };
+};
+
+export const parseSiteConfig = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error('設定檔不是有效的 JSON');
+  }
+  return normalizeSiteConfig(raw);
+};
+
+export const serializeSiteConfig = (config) => JSON.stringify(config, null, 2);
+
+/**
+ * 讀取指定地圖的場地設定
+ * @param {string|null} key - getSiteKey 的結果
+ * @returns {object|null} 尚未儲存過時為 null
+ */
+export const loadSiteConfig = (key) => {
+  if (!key) return null;
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + key);
+    return stored ? normalizeSiteConfig(JSON.parse(stored)) : null;
+  } catch (e) {
+    console.log('讀取場地設定失敗:', e);
+    return null;
+  }
+};
+
+/**
+ * 以設定中的地圖特徵為鍵儲存場地設定
+ * @returns {boolean} 沒有地圖或寫入失敗時為 false
+ */
+export const saveSiteConfig = (config) => {
+  const key = getSiteKey(config.map);
+  if (!key) return false;
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(config));
+    localStorage.setItem(LAST_SITE_KEY, key);
+    return true;
+  } catch (e) {
+    console.log('儲存場地設定失敗:', e);
+    return false;
+  }
+};
+
+// 上次儲存的地圖鍵，啟動時尚未收到地圖前用來還原設定
+export const getLastSiteKey = () => {
+  try {
+    return localStorage.getItem(LAST_SITE_KEY);
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,114 @@
+import {
+  createSiteConfig,
+  getLastSiteKey,
+  getMapSignature,
+  getSiteKey,
+  isSameMap,
+  loadSiteConfig,
+  parseSiteConfig,
+  saveSiteConfig,
+  serializeSiteConfig,
+  SITE_CONFIG_VERSION
+} from './siteConfig';
+
+const mapInfo = {
+  width: 100,
+  height: 80,
+  resolution: 0.05,
+  origin: { position: { x: -2.5, y: -2, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+};
+
+const site = {
+  name: 'warehouse',
+  mapInfo,
+  stations: [{ id: 1, name: '充電站', x: 0, y: 0, yaw: 0, type: 'charging', color: 'bg-green-500' }],
+  waypoints: [{ id: 5, x: 1, y: 2, order: 1 }],
+  routeGraph: {
+    nodes: [{ id: 9, x: 0.5, y: 0.5 }],
+    edges: [{ id: 3, from: 'station:1', to: 'node:9', weight: null }]
+  },
+  zones: [{ id: 7, name: '貨架區', type: 'speed', speedLimit: 30, points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }] }],
+  patrol: { mode: 'once', dwellTime: 0, maxRetries: 2, onFailure: 'stop' },
+  view: { zoom: 2, offset: { x: 10, y: -5 } }
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('round-trips through the JSON export format', () => {
+  const config = parseSiteConfig(serializeSiteConfig(createSiteConfig(site)));
+  expect(config.version).toBe(SITE_CONFIG_VERSION);
+  expect(config.name).toBe('warehouse');
+  expect(config.stations).toEqual(site.stations);
+  expect(config.waypoints).toEqual(site.waypoints);
+  expect(config.zones).toEqual(site.zones);
+  expect(config.routeGraph).toEqual(site.routeGraph);
+  expect(config.patrol).toEqual(site.patrol);
+  expect(config.view).toEqual(site.view);
+  expect(isSameMap(config.map, mapInfo)).toBe(true);
+});
+
+test('rejects foreign files and newer versions', () => {
+  expect(() => parseSiteConfig('not json')).toThrow('設定檔不是有效的 JSON');
+  expect(() => parseSiteConfig('{"stations": []}')).toThrow('不是有效的場地設定檔');
+  expect(() => parseSiteConfig(JSON.stringify({ format: 'amr-site-config', version: SITE_CONFIG_VERSION + 1 })))
+    .toThrow('不支援的設定檔版本');
+});
+
+test('normalizes loosely typed entries', () => {
+  const config = parseSiteConfig(JSON.stringify({
+    format: 'amr-site-config',
+    version: 1,
+    stations: [{ name: 'A', x: '1.5', y: 'oops', type: 'unknown' }],
+    waypoints: [{ x: 3, y: 4, order: 9 }],
+    zones: [
+      { type: 'speed', speedLimit: '250', points: [{ x: '1', y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }] },
+      { type: 'keepout', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }
+    ]
+  }));
+  expect(config.stations[0]).toMatchObject({ name: 'A', x: 1.5, y: 0, yaw: 0, type: 'work', color: 'bg-blue-500' });
+  expect(config.waypoints[0].order).toBe(1);
+  // 限速限制在 1..100%，頂點不足的區域會被捨棄
+  expect(config.zones).toHaveLength(1);
+  expect(config.zones[0]).toMatchObject({ type: 'speed', speedLimit: 100, points: [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }] });
+  expect(config.view).toEqual({ zoom: 1, offset: { x: 0, y: 0 } });
+});
+
+test('falls back to default patrol options for invalid values', () => {
+  const config = parseSiteConfig(JSON.stringify({
+    format: 'amr-site-config',
+    version: 1,
+    patrol: { mode: 'zigzag', dwellTime: -3, maxRetries: '2.6', onFailure: 'explode' }
+  }));
+  expect(config.patrol).toEqual({ mode: 'loop', dwellTime: 0, maxRetries: 3, onFailure: 'skip' });
+  expect(parseSiteConfig(JSON.stringify({ format: 'amr-site-config', version: 1 })).patrol)
+    .toEqual({ mode: 'loop', dwellTime: 3, maxRetries: 1, onFailure: 'skip' });
+});
+
+test('stores configurations per map, not per site name', () => {
+  const otherMap = { ...mapInfo, origin: { position: { x: 4, y: 1 } } };
+  const warehouseKey = getSiteKey(getMapSignature(mapInfo));
+  const otherKey = getSiteKey(getMapSignature(otherMap));
+  expect(warehouseKey).not.toBe(otherKey);
+
+  saveSiteConfig(createSiteConfig(site));
+  // 同名但不同地圖的設定不會覆寫原本的設定
+  saveSiteConfig(createSiteConfig({ ...site, mapInfo: otherMap, stations: [] }));
+
+  expect(getLastSiteKey()).toBe(otherKey);
+  expect(loadSiteConfig(warehouseKey).stations).toHaveLength(1);
+  expect(loadSiteConfig(otherKey).stations).toHaveLength(0);
+  expect(loadSiteConfig(getSiteKey(getMapSignature({ ...mapInfo, resolution: 0.1 })))).toBeNull();
+});
+
+test('does not store a configuration without a map', () => {
+  expect(saveSiteConfig(createSiteConfig({ ...site, mapInfo: null }))).toBe(false);
+  expect(getLastSiteKey()).toBeNull();
+  expect(loadSiteConfig(null)).toBeNull();
+});
+
+test('detects a different map origin', () => {
+  const moved = { ...mapInfo, origin: { position: { x: 0, y: 0 } } };
+  expect(isSameMap(createSiteConfig(site).map, moved)).toBe(false);
+});
@@ -0,0 +1,97 @@
+// 地圖座標轉換 - map 座標系（公尺）↔ 柵格（格）↔ 畫布（像素）
+//
+// 柵格座標沿用 nav_msgs/OccupancyGrid 的定義：col 向右、row 向上，
+// data[row * width + col] 即第 (col, row) 格；畫布座標 y 軸向下。
+
+// 由四元數取得平面偏航角
+export const quaternionToYaw = (q) => {
+  if (!q) return 0;
+  const { x = 0, y = 0, z = 0, w = 1 } = q;
+  return Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+};
+
+const getOrigin = (info) => {
+  const { position = { x: 0, y: 0 }, orientation } = info.origin || {};
+  return { x: position.x, y: position.y, yaw: quaternionToYaw(orientation) };
+};
+
+/**
+ * map 座標（公尺）轉柵格座標（可為小數）
+ * @param {object} info - OccupancyGrid.info
+ * @param {{ x: number, y: number }} point
+ */
+export const worldToGrid = (info, point) => {
+  const origin = getOrigin(info);
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  const cos = Math.cos(-origin.yaw);
+  const sin = Math.sin(-origin.yaw);
+  return {
+    col: (dx * cos - dy * sin) / info.resolution,
+    row: (dx * sin + dy * cos) / info.resolution
+  };
+};
+
+/**
+ * 柵格座標轉 map 座標（公尺）
+ * @param {object} info - OccupancyGrid.info
+ * @param {{ col: number, row: number }} cell
+ */
+export const gridToWorld = (info, cell) => {
+  const origin = getOrigin(info);
+  const lx = cell.col * info.resolution;
+  const ly = cell.row * info.resolution;
+  const cos = Math.cos(origin.yaw);
+  const sin = Math.sin(origin.yaw);
+  return {
+    x: origin.x + lx * cos - ly * sin,
+    y: origin.y + lx * sin + ly * cos
+  };
+};
+
+/**
+ * 建立目前視圖的轉換
+ * @param {object} options
+ * @param {object} options.info - OccupancyGrid.info
+ * @param {number} options.canvasWidth - 畫布寬度（像素）
+ * @param {number} options.canvasHeight - 畫布高度（像素）
+ * @param {number} [options.zoom] - 縮放倍率
+ * @param {{ x: number, y: number }} [options.offset] - 平移量（像素）
+ */
+export const createViewTransform = ({ info, canvasWidth, canvasHeight, zoom = 1, offset = { x: 0, y: 0 } }) => {
+  const { width, height } = info;
+  const baseScale = Math.min(canvasWidth / width, canvasHeight / height) * 0.8;
+  // 每格的像素數
+  const scale = baseScale * zoom;
+  const left = canvasWidth / 2 - (width * scale) / 2 + offset.x;
+  const top = canvasHeight / 2 - (height * scale) / 2 + offset.y;
+  const originYaw = getOrigin(info).yaw;
+
+  const gridToScreen = (cell) => ({
+    x: left + cell.col * scale,
+    y: top + (height - cell.row) * scale
+  });
+
+  const screenToGrid = (point) => ({
+    col: (point.x - left) / scale,
+    row: height - (point.y - top) / scale
+  });
+
+  return {
+    scale,
+    left,
+    top,
+    pixelsPerMeter: scale / info.resolution,
+    // map 座標系的偏航角轉畫布上的單位方向向量（origin 旋轉時 x 軸不再水平）
+    directionToScreen: (yaw) => ({
+      x: Math.cos(yaw - originYaw),
+      y: -Math.sin(yaw - originYaw)
+    }),
+    // 畫布上的方向向量轉 map 座標系的偏航角
+    screenToYaw: (dx, dy) => Math.atan2(-dy, dx) + originYaw,
+    gridToScreen,
+    screenToGrid,
+    worldToScreen: (point) => gridToScreen(worldToGrid(info, point)),
+    screenToWorld: (point) => gridToWorld(info, screenToGrid(point))
+  };
+};
@@ -0,0 +1,50 @@
+import { createViewTransform, gridToWorld, quaternionToYaw, worldToGrid } from './transform';
+
+const info = {
+  width: 200,
+  height: 100,
+  resolution: 0.05,
+  origin: { position: { x: -5, y: -2.5, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+};
+
+test('converts between map meters and grid cells', () => {
+  expect(worldToGrid(info, { x: 0, y: 0 })).toEqual({ col: 100, row: 50 });
+  expect(gridToWorld(info, { col: 0, row: 0 })).toEqual({ x: -5, y: -2.5 });
+});
+
+test('handles a rotated map origin', () => {
+  const rotated = {
+    ...info,
+    origin: { position: { x: 1, y: 1 }, orientation: { x: 0, y: 0, z: Math.sin(Math.PI / 4), w: Math.cos(Math.PI / 4) } }
+  };
+  expect(quaternionToYaw(rotated.origin.orientation)).toBeCloseTo(Math.PI / 2);
+
+  const cell = worldToGrid(rotated, { x: 1, y: 2 });
+  expect(cell.col).toBeCloseTo(20);
+  expect(cell.row).toBeCloseTo(0);
+
+  const world = gridToWorld(rotated, cell);
+  expect(world.x).toBeCloseTo(1);
+  expect(world.y).toBeCloseTo(2);
+});
+
+test('screen round trip is stable across zoom and pan', () => {
+  [
+    { zoom: 1, offset: { x: 0, y: 0 } },
+    { zoom: 3.2, offset: { x: -140, y: 75 } }
+  ].forEach(({ zoom, offset }) => {
+    const view = createViewTransform({ info, canvasWidth: 800, canvasHeight: 400, zoom, offset });
+    const screen = view.worldToScreen({ x: 1.25, y: -0.75 });
+    const world = view.screenToWorld(screen);
+    expect(world.x).toBeCloseTo(1.25);
+    expect(world.y).toBeCloseTo(-0.75);
+  });
+});
+
+test('map y axis points up on screen', () => {
+  const view = createViewTransform({ info, canvasWidth: 800, canvasHeight: 400 });
+  const lower = view.worldToScreen({ x: 0, y: 0 });
+  const upper = view.worldToScreen({ x: 0, y: 1 });
+  expect(upper.y).toBeLessThan(lower.y);
+  expect(view.screenToYaw(0, -1)).toBeCloseTo(Math.PI / 2);
+});
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * 地圖繪製迴圈：兩層畫布疊放，由單一 requestAnimationFrame 迴圈在內容失效時重繪
+ * 靜態層（地圖與代價地圖點陣圖）只在內容或視圖改變時重繪；動態層（機器人、路徑等）另外重繪，
+ * 因此位姿更新不需要重新處理柵格。
+ * @param {object} options
+ * @param {object} options.baseCanvasRef - 靜態層畫布
+ * @param {object} options.overlayCanvasRef - 動態層畫布（接收指標事件，尺寸以它為準）
+ * @param {function} options.drawBase - (ctx, width, height)；函式改變時視為失效
+ * @param {function} options.drawOverlay - (ctx, width, height)；函式改變時視為失效
+ * @returns {{ invalidateBase: function, invalidateOverlay: function }} 不經過 React 狀態的資料（如 TF、地圖增量更新）改變時呼叫
+ */
+const useMapRenderer = ({ baseCanvasRef, overlayCanvasRef, drawBase, drawOverlay }) => {
+  const latest = useRef({});
+  latest.current = { drawBase, drawOverlay };
+  const dirtyRef = useRef({ base: true, overlay: true });
+
+  useEffect(() => {
+    dirtyRef.current.base = true;
+  }, [drawBase]);
+
+  useEffect(() => {
+    dirtyRef.current.overlay = true;
+  }, [drawOverlay]);
+
+  useEffect(() => {
+    let frame = null;
+    const dirty = dirtyRef.current;
+
+    const redraw = (canvas, draw) => {
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      draw(ctx, canvas.width, canvas.height);
+    };
+
+    const render = () => {
+      frame = requestAnimationFrame(render);
+      const base = baseCanvasRef.current;
+      const overlay = overlayCanvasRef.current;
+      if (!base || !overlay) return;
+
+      // 版面改變時同步兩層的像素尺寸（設定 width 會清空畫布）
+      const width = overlay.clientWidth || 800;
+      const height = overlay.clientHeight || 400;
+      if (overlay.width !== width || overlay.height !== height) {
+        [base, overlay].forEach(canvas => {
+          canvas.width = width;
+          canvas.height = height;
+        });
+        dirty.base = true;
+        dirty.overlay = true;
+      }
+
+      if (dirty.base) {
+        dirty.base = false;
+        redraw(base, latest.current.drawBase);
+      }
+      if (dirty.overlay) {
+        dirty.overlay = false;
+        redraw(overlay, latest.current.drawOverlay);
+      }
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => cancelAnimationFrame(frame);
+  }, [baseCanvasRef, overlayCanvasRef]);
+
+  const invalidateBase = useCallback(() => {
+    dirtyRef.current.base = true;
+  }, []);
+  const invalidateOverlay = useCallback(() => {
+    dirtyRef.current.overlay = true;
+  }, []);
+  return { invalidateBase, invalidateOverlay };
+};
+
+export default useMapRenderer;
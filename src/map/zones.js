@@ -0,0 +1,109 @@
+// 禁行區與限速區 - 以 map 座標（公尺）的多邊形描述，可點陣化為 Nav2 costmap filter 的遮罩
+//
+// 禁行區遮罩（KeepoutFilter）：區域內為佔據，其餘為自由。
+// 限速區遮罩（SpeedFilter，type 1 百分比）：區域內的值為最高速度的百分比，0 表示不限速。
+import { gridToWorld } from './transform';
+
+export const ZONE_TYPES = {
+  keepout: { label: '禁行區', fill: 'rgba(239, 68, 68, 0.3)', stroke: '#ef4444' },
+  speed: { label: '限速區', fill: 'rgba(245, 158, 11, 0.25)', stroke: '#f59e0b' }
+};
+
+export const DEFAULT_SPEED_LIMIT = 50;
+export const MIN_ZONE_POINTS = 3;
+
+const KEEPOUT_VALUE = 100;
+
+const toNumber = (value, fallback = 0) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+export const clampSpeedLimit = (value) => Math.min(100, Math.max(1, Math.round(toNumber(value, DEFAULT_SPEED_LIMIT))));
+
+/**
+ * 正規化區域（匯入或讀取場地設定時使用）
+ * @param {object} zone
+ * @param {number} index
+ * @returns {object|null} 頂點不足時為 null
+ */
+export const normalizeZone = (zone, index) => {
+  if (!zone || !Array.isArray(zone.points)) return null;
+  const points = zone.points.map(point => ({ x: toNumber(point && point.x), y: toNumber(point && point.y) }));
+  if (points.length < MIN_ZONE_POINTS) return null;
+  const type = ZONE_TYPES[zone.type] ? zone.type : 'keepout';
+  return {
+    id: zone.id ?? Date.now() + index,
+    name: String(zone.name || `${ZONE_TYPES[type].label} ${index + 1}`),
+    type,
+    points,
+    ...(type === 'speed' ? { speedLimit: clampSpeedLimit(zone.speedLimit) } : {})
+  };
+};
+
+/**
+ * 點是否位於多邊形內（奇偶規則）
+ * @param {{ x: number, y: number }} point
+ * @param {Array<{ x: number, y: number }>} polygon
+ */
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// 多邊形的外接矩形（公尺）
+const boundsOf = (points) => points.reduce((bounds, { x, y }) => ({
+  minX: Math.min(bounds.minX, x),
+  minY: Math.min(bounds.minY, y),
+  maxX: Math.max(bounds.maxX, x),
+  maxY: Math.max(bounds.maxY, y)
+}), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+/**
+ * 將指定類型的區域點陣化為與地圖相同解析度與原點的遮罩
+ * 以格子中心判斷是否在區域內；限速區重疊時取較低的速度
+ * @param {Array} zones
+ * @param {object} info - 目前地圖的 OccupancyGrid.info
+ * @param {string} type - ZONE_TYPES 的鍵
+ * @returns {object} nav_msgs/OccupancyGrid
+ */
+export const createZoneMask = (zones, info, type) => {
+  const { width, height } = info;
+  const data = new Array(width * height).fill(0);
+  const selected = zones
+    .filter(zone => zone.type === type)
+    .map(zone => ({ ...zone, bounds: boundsOf(zone.points) }));
+
+  if (selected.length) {
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const center = gridToWorld(info, { col: col + 0.5, row: row + 0.5 });
+        selected.forEach(zone => {
+          const { bounds } = zone;
+          if (center.x < bounds.minX || center.x > bounds.maxX || center.y < bounds.minY || center.y > bounds.maxY) return;
+          if (!isPointInPolygon(center, zone.points)) return;
+          const index = row * width + col;
+          if (type === 'keepout') {
+            data[index] = KEEPOUT_VALUE;
+          } else {
+            data[index] = data[index] ? Math.min(data[index], zone.speedLimit) : zone.speedLimit;
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    header: { frame_id: 'map' },
+    info: { ...info },
+    data
+  };
+};
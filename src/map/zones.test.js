@@ -0,0 +1,43 @@
+import { createZoneMask, isPointInPolygon, normalizeZone } from './zones';
+
+const info = {
+  width: 4,
+  height: 2,
+  resolution: 0.5,
+  origin: { position: { x: -1, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }
+};
+
+const square = (x0, y0, x1, y1) => [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+
+test('tests points against concave polygons', () => {
+  const lShape = [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+  expect(isPointInPolygon({ x: 0.5, y: 1.5 }, lShape)).toBe(true);
+  expect(isPointInPolygon({ x: 1.5, y: 1.5 }, lShape)).toBe(false);
+  expect(isPointInPolygon({ x: 1.5, y: 0.5 }, lShape)).toBe(true);
+});
+
+test('rasterizes keep-out zones at the map resolution and origin', () => {
+  const zones = [
+    { type: 'keepout', points: square(-1, 0, 0, 0.5) },
+    { type: 'speed', speedLimit: 40, points: square(0, 0, 1, 1) }
+  ];
+  const mask = createZoneMask(zones, info, 'keepout');
+  expect(mask.info).toEqual(info);
+  // row 0 的前兩格（x -1..0, y 0..0.5）
+  expect(mask.data).toEqual([100, 100, 0, 0, 0, 0, 0, 0]);
+});
+
+test('writes the lowest overlapping speed limit', () => {
+  const zones = [
+    { type: 'speed', speedLimit: 60, points: square(0, 0, 1, 1) },
+    { type: 'speed', speedLimit: 30, points: square(0.5, 0.5, 1, 1) }
+  ];
+  expect(createZoneMask(zones, info, 'speed').data).toEqual([0, 0, 60, 60, 0, 0, 60, 30]);
+});
+
+test('drops zones without enough points and defaults the type', () => {
+  expect(normalizeZone({ points: [{ x: 0, y: 0 }] }, 0)).toBeNull();
+  const zone = normalizeZone({ type: 'other', points: square(0, 0, 1, 1) }, 2);
+  expect(zone).toMatchObject({ type: 'keepout', name: '禁行區 3' });
+  expect(zone.speedLimit).toBeUndefined();
+});
@@ -0,0 +1,153 @@
+// 電池狀態 - 解析 sensor_msgs/BatteryState 與低電量自動返航策略
+
+// sensor_msgs/BatteryState power_supply_status
+export const POWER_SUPPLY_STATUS = {
+  UNKNOWN: 0,
+  CHARGING: 1,
+  DISCHARGING: 2,
+  NOT_CHARGING: 3,
+  FULL: 4
+};
+
+const POWER_SUPPLY_LABELS = {
+  [POWER_SUPPLY_STATUS.UNKNOWN]: '未知',
+  [POWER_SUPPLY_STATUS.CHARGING]: '充電中',
+  [POWER_SUPPLY_STATUS.DISCHARGING]: '放電中',
+  [POWER_SUPPLY_STATUS.NOT_CHARGING]: '未充電',
+  [POWER_SUPPLY_STATUS.FULL]: '已充滿'
+};
+
+export const getPowerSupplyLabel = (status) => POWER_SUPPLY_LABELS[status] || POWER_SUPPLY_LABELS[POWER_SUPPLY_STATUS.UNKNOWN];
+
+export const DEFAULT_BATTERY_OPTIONS = {
+  topic: '/battery_state',
+  lowThreshold: 20,    // 低於此百分比觸發
+  autoDock: true       // 觸發時暫停任務並返回充電站
+};
+
+// 回升超過門檻這麼多百分比（或開始充電）才重新啟用策略，避免在門檻附近反覆觸發
+export const LOW_BATTERY_HYSTERESIS = 5;
+
+const STORAGE_KEY = 'amr_battery_options';
+
+// rosbridge 會把 NaN 轉成 null
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * 將 BatteryState 訊息轉成介面使用的格式
+ * @param {object} message - sensor_msgs/BatteryState
+ * @returns {{ percentage: number|null, voltage: number|null, current: number|null, charge: number|null,
+ *   capacity: number|null, status: number, charging: boolean, remainingTime: number|null }}
+ *   percentage 為 0..100，remainingTime 為秒（放電時為剩餘運行時間，充電時為充滿所需時間）
+ */
+export const parseBatteryState = (message) => {
+  const voltage = toNumber(message.voltage);
+  const current = toNumber(message.current);
+  const capacity = toNumber(message.capacity) || toNumber(message.design_capacity);
+  let charge = toNumber(message.charge);
+  let percentage = toNumber(message.percentage);
+
+  if (percentage !== null) {
+    percentage *= 100;
+  } else if (charge !== null && capacity) {
+    percentage = (charge / capacity) * 100;
+  }
+  if (percentage !== null) percentage = Math.max(0, Math.min(100, percentage));
+  if (charge === null && capacity && percentage !== null) charge = (capacity * percentage) / 100;
+
+  let status = message.power_supply_status;
+  if (!(status in POWER_SUPPLY_LABELS)) status = POWER_SUPPLY_STATUS.UNKNOWN;
+  // 部分驅動不填狀態，依電流方向判斷（ROS 慣例：放電為負）
+  if (status === POWER_SUPPLY_STATUS.UNKNOWN && current !== null && current !== 0) {
+    status = current > 0 ? POWER_SUPPLY_STATUS.CHARGING : POWER_SUPPLY_STATUS.DISCHARGING;
+  }
+  const charging = status === POWER_SUPPLY_STATUS.CHARGING || status === POWER_SUPPLY_STATUS.FULL;
+
+  let remainingTime = null;
+  if (charge !== null && current !== null) {
+    if (status === POWER_SUPPLY_STATUS.CHARGING && current > 0 && capacity) {
+      remainingTime = (Math.max(0, capacity - charge) / current) * 3600;
+    } else if (!charging && current < 0) {
+      remainingTime = (charge / -current) * 3600;
+    }
+  }
+
+  return { percentage, voltage, current, charge, capacity, status, charging, remainingTime };
+};
+
+/**
+ * 將秒數格式化為「X 小時 Y 分」
+ */
+export const formatRemainingTime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--';
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours} 小時 ${minutes % 60} 分` : `${minutes} 分`;
+};
+
+/**
+ * 低電量策略：電量第一次低於門檻（且未充電）時回傳 true，之後需回升或開始充電才會再次觸發
+ */
+export const createLowBatteryPolicy = () => {
+  let triggered = false;
+
+  /**
+   * @param {object} battery - parseBatteryState 的結果
+   * @param {{ lowThreshold: number }} options
+   * @returns {boolean} 本次是否觸發
+   */
+  const update = (battery, { lowThreshold }) => {
+    if (!battery || battery.percentage === null) return false;
+
+    if (triggered) {
+      if (battery.charging || battery.percentage >= lowThreshold + LOW_BATTERY_HYSTERESIS) triggered = false;
+      return false;
+    }
+    if (battery.charging || battery.percentage >= lowThreshold) return false;
+
+    triggered = true;
+    return true;
+  };
+
+  return {
+    update,
+    reset: () => { triggered = false; },
+    isTriggered: () => triggered
+  };
+};
+
+/**
+ * 找出距離目前位置最近的充電站
+ * @param {Array<{ x: number, y: number, type: string }>} stations
+ * @param {{ x: number, y: number }} pose
+ */
+export const findNearestChargingStation = (stations, pose) => {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  stations.forEach((station) => {
+    if (station.type !== 'charging') return;
+    const distance = Math.hypot(station.x - pose.x, station.y - pose.y);
+    if (distance < nearestDistance) {
+      nearest = station;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+export const loadBatteryOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_BATTERY_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_BATTERY_OPTIONS };
+  }
+};
+
+export const saveBatteryOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存電池設定');
+  }
+};
@@ -0,0 +1,74 @@
+import {
+  createLowBatteryPolicy,
+  findNearestChargingStation,
+  formatRemainingTime,
+  parseBatteryState,
+  POWER_SUPPLY_STATUS
+} from './battery';
+
+test('parses percentage, charging state and remaining runtime', () => {
+  const battery = parseBatteryState({
+    voltage: 11.4,
+    current: -0.9,
+    charge: 0.9,
+    capacity: 1.8,
+    percentage: 0.5,
+    power_supply_status: POWER_SUPPLY_STATUS.DISCHARGING
+  });
+  expect(battery).toMatchObject({ percentage: 50, voltage: 11.4, charging: false });
+  expect(battery.remainingTime).toBeCloseTo(3600);
+  expect(formatRemainingTime(battery.remainingTime)).toBe('1 小時 0 分');
+});
+
+test('falls back to charge / capacity and the current direction when fields are missing', () => {
+  const battery = parseBatteryState({
+    voltage: 12.1,
+    current: 1.2,
+    charge: 1.2,
+    capacity: null,
+    design_capacity: 1.8,
+    percentage: null,
+    power_supply_status: POWER_SUPPLY_STATUS.UNKNOWN
+  });
+  expect(battery.percentage).toBeCloseTo(66.67, 1);
+  expect(battery.status).toBe(POWER_SUPPLY_STATUS.CHARGING);
+  expect(battery.charging).toBe(true);
+  // 充電時為充滿所需時間
+  expect(battery.remainingTime).toBeCloseTo(1800);
+});
+
+test('reports unknown values as null', () => {
+  const battery = parseBatteryState({ voltage: null, current: null, percentage: null, power_supply_status: 0 });
+  expect(battery).toMatchObject({ percentage: null, voltage: null, remainingTime: null, charging: false });
+  expect(formatRemainingTime(battery.remainingTime)).toBe('--');
+});
+
+test('low battery policy triggers once until the battery recovers', () => {
+  const policy = createLowBatteryPolicy();
+  const options = { lowThreshold: 20 };
+  const at = (percentage, charging = false) => policy.update({ percentage, charging }, options);
+
+  expect(at(25)).toBe(false);
+  expect(at(19.9)).toBe(true);
+  expect(at(19)).toBe(false);
+  expect(at(22)).toBe(false);
+  expect(at(18)).toBe(false);
+
+  // 充電後重新啟用
+  expect(at(18, true)).toBe(false);
+  expect(at(17)).toBe(true);
+
+  policy.reset();
+  expect(at(17, true)).toBe(false);
+  expect(at(17)).toBe(true);
+});
+
+test('finds the nearest charging station', () => {
+  const stations = [
+    { name: 'A', type: 'charging', x: 5, y: 0 },
+    { name: 'B', type: 'work', x: 0.5, y: 0 },
+    { name: 'C', type: 'charging', x: -2, y: 1 }
+  ];
+  expect(findNearestChargingStation(stations, { x: 0, y: 0 }).name).toBe('C');
+  expect(findNearestChargingStation(stations.filter(s => s.type === 'work'), { x: 0, y: 0 })).toBeNull();
+});
@@ -0,0 +1,225 @@
+// ROS 連線管理 - 單一 Ros 實例、連線逾時與指數退避自動重連
+//
+// 重新連線時沿用同一個 Ros 實例，已登記的訂閱與廣告由 ROSLIB 自動恢復，
+// 只有第一次連線（或更換 URL）才需要設置話題。
+
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  WAITING: 'waiting',          // 等待下一次重連
+  DISCONNECTED: 'disconnected' // 使用者主動斷開
+};
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.3,        // 延遲的隨機浮動比例
+  connectTimeout: 10000
+};
+
+/**
+ * 計算第 attempt 次重連前的等待時間（毫秒）
+ * @param {number} attempt - 從 1 開始
+ * @param {object} [options]
+ * @param {function} [random] - 0..1 的亂數來源
+ */
+export const computeBackoffDelay = (attempt, options = DEFAULT_RECONNECT_OPTIONS, random = Math.random) => {
+  const { initialDelay, maxDelay, factor, jitter } = { ...DEFAULT_RECONNECT_OPTIONS, ...options };
+  const base = Math.min(maxDelay, initialDelay * Math.pow(factor, Math.max(0, attempt - 1)));
+  const spread = base * jitter;
+  return Math.max(0, Math.round(base - spread + random() * spread * 2));
+};
+
+/**
+ * rosbridge URL 必須為 ws:// 或 wss://，否則 WebSocket 建構時即拋出例外而不會有 close 事件
+ * @param {string} url
+ */
+export const isValidRosUrl = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return (protocol === 'ws:' || protocol === 'wss:') && Boolean(host);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * 建立連線管理器
+ * @param {object} options
+ * @param {object} options.ROSLIB
+ * @param {object} [options.reconnect] - 覆寫 DEFAULT_RECONNECT_OPTIONS
+ * @param {function} [options.transportFor] - (url) => WebSocket 實作，未提供時使用瀏覽器內建
+ * @param {function} [options.onStateChange] - ({ state, attempt, nextRetryAt, url })
+ * @param {function} [options.onConnected] - (ros, { restored }) restored 表示同一實例重新連線
+ * @param {function} [options.onDisconnected] - (ros)
+ * @param {function} [options.onLog] - (type, message)
+ */
+export const createConnectionManager = ({
+  ROSLIB,
+  reconnect = {},
+  transportFor,
+  onStateChange,
+  onConnected,
+  onDisconnected,
+  onLog
+}) => {
+  const options = { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect };
+  let ros = null;
+  let url = null;
+  let state = CONNECTION_STATES.IDLE;
+  let attempt = 0;
+  let nextRetryAt = null;
+  let hasConnected = false;
+  let retryTimer = null;
+  let timeoutTimer = null;
+  let disposed = false;
+
+  const log = (type, message) => {
+    if (onLog) onLog(type, message);
+  };
+
+  const setState = (newState) => {
+    state = newState;
+    if (onStateChange) onStateChange({ state, attempt, nextRetryAt, url });
+  };
+
+  const clearTimers = () => {
+    if (retryTimer) clearTimeout(retryTimer);
+    if (timeoutTimer) clearTimeout(timeoutTimer);
+    retryTimer = null;
+    timeoutTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    if (disposed || state === CONNECTION_STATES.DISCONNECTED || retryTimer) return;
+    attempt += 1;
+    const delay = computeBackoffDelay(attempt, options);
+    nextRetryAt = Date.now() + delay;
+    log('warning', `${(delay / 1000).toFixed(1)} 秒後重新連接（第 ${attempt} 次）`);
+    setState(CONNECTION_STATES.WAITING);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      open();
+    }, delay);
+  };
+
+  const bindEvents = (instance) => {
+    instance.on('connection', () => {
+      if (instance !== ros) return;
+      clearTimers();
+      const restored = hasConnected;
+      hasConnected = true;
+      attempt = 0;
+      nextRetryAt = null;
+      setState(CONNECTION_STATES.CONNECTED);
+      if (onConnected) onConnected(instance, { restored });
+    });
+
+    instance.on('error', (error) => {
+      if (instance !== ros) return;
+      console.error('❌ ROS 連接錯誤:', error);
+    });
+
+    instance.on('close', () => {
+      if (instance !== ros) return;
+      if (timeoutTimer) {
+        clearTimeout(timeoutTimer);
+        timeoutTimer = null;
+      }
+      const wasConnected = state === CONNECTION_STATES.CONNECTED;
+      if (wasConnected && onDisconnected) onDisconnected(instance);
+      if (state === CONNECTION_STATES.DISCONNECTED) return;
+      if (wasConnected) log('warning', 'ROS 連接斷開');
+      scheduleReconnect();
+    });
+  };
+
+  // 開啟（或重新開啟）連線
+  const open = () => {
+    if (disposed) return;
+    nextRetryAt = null;
+    setState(CONNECTION_STATES.CONNECTING);
+
+    timeoutTimer = setTimeout(() => {
+      timeoutTimer = null;
+      log('error', '連接超時，請檢查 rosbridge 是否運行');
+      // 沒有 socket 時 close 不會觸發 close 事件，直接排程重連（已排程時不重複）
+      if (ros) ros.close();
+      scheduleReconnect();
+    }, options.connectTimeout);
+
+    try {
+      if (ros) {
+        ros.connect(url);
+      } else {
+        ros = new ROSLIB.Ros({ url, WebSocket: transportFor ? transportFor(url) : undefined });
+        bindEvents(ros);
+      }
+    } catch (error) {
+      log('error', `ROS 連接異常: ${error.message}`);
+      if (timeoutTimer) clearTimeout(timeoutTimer);
+      timeoutTimer = null;
+      scheduleReconnect();
+    }
+  };
+
+  /**
+   * 連線到指定 URL；已在等待重連時立即重試
+   * 由 transportFor 提供傳輸的 URL（例如內建模擬器）不檢查格式
+   * @param {string} newUrl
+   * @returns {boolean} URL 無效時為 false，目前的連線不受影響
+   */
+  const connect = (newUrl) => {
+    if (!(transportFor && transportFor(newUrl)) && !isValidRosUrl(newUrl)) {
+      log('error', `ROS URL 無效: ${newUrl}（須以 ws:// 或 wss:// 開頭）`);
+      return false;
+    }
+    clearTimers();
+    attempt = 0;
+
+    if (ros && newUrl !== url) {
+      // 更換 URL 需要新的 Ros 實例與重新設置話題
+      const oldRos = ros;
+      ros = null;
+      hasConnected = false;
+      oldRos.close();
+    }
+    if (ros && ros.isConnected) return true;
+
+    url = newUrl;
+    log('info', `嘗試連接到: ${url}`);
+    open();
+    return true;
+  };
+
+  // 主動斷開，不再自動重連
+  const disconnect = () => {
+    const wasConnected = state === CONNECTION_STATES.CONNECTED;
+    clearTimers();
+    attempt = 0;
+    nextRetryAt = null;
+    setState(CONNECTION_STATES.DISCONNECTED);
+    if (ros) {
+      ros.close();
+      if (wasConnected && onDisconnected) onDisconnected(ros);
+    }
+  };
+
+  const dispose = () => {
+    disposed = true;
+    clearTimers();
+    state = CONNECTION_STATES.DISCONNECTED;
+    if (ros) ros.close();
+    ros = null;
+  };
+
+  return {
+    connect,
+    disconnect,
+    dispose,
+    getRos: () => ros,
+    getState: () => ({ state, attempt, nextRetryAt, url })
+  };
+};
@@ -0,0 +1,156 @@
+import { computeBackoffDelay, createConnectionManager, CONNECTION_STATES } from './connection';
+
+// 可手動觸發事件的 Ros 替身
+const createFakeRoslib = () => {
+  const instances = [];
+  class Ros {
+    constructor({ url }) {
+      this.url = url;
+      this.listeners = {};
+      this.connectCalls = 1;
+      this.isConnected = false;
+      instances.push(this);
+    }
+    on(event, callback) { (this.listeners[event] = this.listeners[event] || []).push(callback); }
+    emit(event) { (this.listeners[event] || []).forEach(cb => cb()); }
+    connect() { this.connectCalls += 1; }
+    close() {
+      this.isConnected = false;
+      this.emit('close');
+    }
+    // 測試輔助
+    open() {
+      this.isConnected = true;
+      this.emit('connection');
+    }
+    drop() {
+      this.isConnected = false;
+      this.emit('close');
+    }
+  }
+  return { ROSLIB: { Ros }, instances };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('backoff grows exponentially, caps and applies jitter', () => {
+  const options = { initialDelay: 1000, maxDelay: 8000, factor: 2, jitter: 0.5 };
+  expect(computeBackoffDelay(1, options, () => 0.5)).toBe(1000);
+  expect(computeBackoffDelay(3, options, () => 0.5)).toBe(4000);
+  expect(computeBackoffDelay(10, options, () => 0.5)).toBe(8000);
+  expect(computeBackoffDelay(3, options, () => 0)).toBe(2000);
+  expect(computeBackoffDelay(3, options, () => 1)).toBe(6000);
+});
+
+test('reconnects the same Ros instance and reports it as restored', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const onConnected = jest.fn();
+  const states = [];
+  const manager = createConnectionManager({
+    ROSLIB,
+    reconnect: { jitter: 0 },
+    onConnected,
+    onStateChange: (info) => states.push(info.state)
+  });
+
+  manager.connect('ws://robot:9090');
+  instances[0].open();
+  expect(onConnected).toHaveBeenLastCalledWith(instances[0], { restored: false });
+
+  instances[0].drop();
+  expect(manager.getState()).toMatchObject({ state: CONNECTION_STATES.WAITING, attempt: 1 });
+
+  jest.advanceTimersByTime(1000);
+  expect(instances).toHaveLength(1);
+  expect(instances[0].connectCalls).toBe(2);
+
+  instances[0].open();
+  expect(onConnected).toHaveBeenLastCalledWith(instances[0], { restored: true });
+  expect(manager.getState().attempt).toBe(0);
+  expect(states).toContain(CONNECTION_STATES.CONNECTING);
+});
+
+test('times out a hanging attempt and backs off further', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const manager = createConnectionManager({
+    ROSLIB,
+    reconnect: { jitter: 0, connectTimeout: 5000 }
+  });
+
+  manager.connect('ws://robot:9090');
+  jest.advanceTimersByTime(5000);
+  expect(manager.getState()).toMatchObject({ state: CONNECTION_STATES.WAITING, attempt: 1 });
+
+  jest.advanceTimersByTime(1000 + 5000);
+  expect(manager.getState()).toMatchObject({ state: CONNECTION_STATES.WAITING, attempt: 2 });
+  expect(instances[0].connectCalls).toBe(2);
+});
+
+test('manual disconnect stops reconnecting', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const onDisconnected = jest.fn();
+  const manager = createConnectionManager({ ROSLIB, onDisconnected });
+
+  manager.connect('ws://robot:9090');
+  instances[0].open();
+  manager.disconnect();
+
+  expect(onDisconnected).toHaveBeenCalledTimes(1);
+  expect(manager.getState().state).toBe(CONNECTION_STATES.DISCONNECTED);
+  jest.advanceTimersByTime(60000);
+  expect(instances[0].connectCalls).toBe(1);
+});
+
+test('changing the url creates a new Ros instance', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const onConnected = jest.fn();
+  const manager = createConnectionManager({ ROSLIB, onConnected });
+
+  manager.connect('ws://a:9090');
+  instances[0].open();
+  manager.connect('ws://b:9090');
+  expect(instances).toHaveLength(2);
+
+  instances[1].open();
+  expect(onConnected).toHaveBeenLastCalledWith(instances[1], { restored: false });
+});
+
+test('rejects malformed urls without touching the connection', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const onLog = jest.fn();
+  const manager = createConnectionManager({ ROSLIB, onLog });
+
+  expect(manager.connect('robot:9090')).toBe(false);
+  expect(manager.connect('http://robot:9090')).toBe(false);
+  expect(instances).toHaveLength(0);
+  expect(manager.getState().state).toBe(CONNECTION_STATES.IDLE);
+  expect(onLog).toHaveBeenCalledWith('error', expect.stringContaining('URL 無效'));
+
+  // 由 transportFor 提供傳輸的 URL 不檢查格式
+  const simulated = createConnectionManager({ ROSLIB, transportFor: (url) => url.startsWith('sim://') ? class {} : undefined });
+  expect(simulated.connect('sim://turtlebot3')).toBe(true);
+  expect(instances).toHaveLength(1);
+});
+
+test('schedules a retry on timeout even when closing emits no close event', () => {
+  const { ROSLIB, instances } = createFakeRoslib();
+  const manager = createConnectionManager({
+    ROSLIB,
+    reconnect: { jitter: 0, connectTimeout: 5000 }
+  });
+
+  manager.connect('ws://robot:9090');
+  // 建構時失敗、沒有 socket 的 Ros：close 不發出事件
+  instances[0].close = () => {};
+  jest.advanceTimersByTime(5000);
+  expect(manager.getState()).toMatchObject({ state: CONNECTION_STATES.WAITING, attempt: 1 });
+
+  jest.advanceTimersByTime(1000);
+  expect(instances[0].connectCalls).toBe(2);
+});
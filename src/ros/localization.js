@@ -0,0 +1,127 @@
+// 定位（AMCL）- 初始位姿、粒子雲、位姿共變異數與定位信心
+import { yawToQuaternion } from './navigation';
+import { quaternionToYaw } from '../map/transform';
+
+export const DEFAULT_LOCALIZATION_OPTIONS = {
+  initialPoseTopic: '/initialpose',
+  particleCloudTopic: '/particlecloud',
+  amclPoseTopic: '/amcl_pose',
+  // 標準差超過門檻即視為定位信心下降
+  maxPositionStdDev: 0.3, // m
+  maxYawStdDev: 0.35 // rad（約 20°）
+};
+
+// 與 RViz 的 2D Pose Estimate 相同：x、y 標準差 0.5 m，yaw 標準差 π/12
+export const INITIAL_POSE_COVARIANCE = {
+  x: 0.25,
+  y: 0.25,
+  yaw: (Math.PI / 12) ** 2
+};
+
+export const LOCALIZATION_LEVELS = {
+  GOOD: 'good',
+  DEGRADED: 'degraded'
+};
+
+const STORAGE_KEY = 'amr_localization_options';
+
+// 6x6 共變異數（x, y, z, roll, pitch, yaw）的索引
+const COV_XX = 0;
+const COV_XY = 1;
+const COV_YY = 7;
+const COV_YAWYAW = 35;
+
+/**
+ * 建立 /initialpose 訊息（geometry_msgs/PoseWithCovarianceStamped）
+ * @param {{ x: number, y: number, yaw: number }} pose - 固定框架座標
+ * @param {string} [frameId]
+ * @param {object} [variance] - x、y（m²）與 yaw（rad²）的變異數
+ */
+export const createInitialPoseMessage = (pose, frameId = 'map', variance = INITIAL_POSE_COVARIANCE) => {
+  const covariance = new Array(36).fill(0);
+  covariance[COV_XX] = variance.x;
+  covariance[COV_YY] = variance.y;
+  covariance[COV_YAWYAW] = variance.yaw;
+  return {
+    header: { frame_id: frameId },
+    pose: {
+      pose: {
+        position: { x: pose.x, y: pose.y, z: 0 },
+        orientation: yawToQuaternion(pose.yaw)
+      },
+      covariance
+    }
+  };
+};
+
+/**
+ * 由位置共變異數計算不確定性橢圓（2x2 區塊的特徵值分解）
+ * @param {number[]} covariance - 6x6 共變異數
+ * @param {number} [sigma] - 以幾倍標準差為半軸
+ * @returns {{ major: number, minor: number, angle: number }} 半軸長（m）與長軸方向（rad）
+ */
+export const covarianceEllipse = (covariance, sigma = 2) => {
+  const a = covariance[COV_XX];
+  const b = covariance[COV_XY];
+  const c = covariance[COV_YY];
+  const mean = (a + c) / 2;
+  const spread = Math.hypot((a - c) / 2, b);
+  return {
+    major: sigma * Math.sqrt(Math.max(0, mean + spread)),
+    minor: sigma * Math.sqrt(Math.max(0, mean - spread)),
+    angle: 0.5 * Math.atan2(2 * b, a - c)
+  };
+};
+
+/**
+ * 評估定位信心
+ * @param {number[]} covariance - 6x6 共變異數
+ * @param {object} options - maxPositionStdDev、maxYawStdDev
+ * @returns {{ level: string, positionStdDev: number, yawStdDev: number }} positionStdDev 為橢圓長軸方向的標準差
+ */
+export const assessLocalization = (covariance, options) => {
+  const positionStdDev = covarianceEllipse(covariance, 1).major;
+  const yawStdDev = Math.sqrt(Math.max(0, covariance[COV_YAWYAW]));
+  const degraded = positionStdDev > options.maxPositionStdDev || yawStdDev > options.maxYawStdDev;
+  return {
+    level: degraded ? LOCALIZATION_LEVELS.DEGRADED : LOCALIZATION_LEVELS.GOOD,
+    positionStdDev,
+    yawStdDev
+  };
+};
+
+/**
+ * 將 geometry_msgs/PoseArray 轉為 map 座標系的位姿
+ * @param {object} poseArray - geometry_msgs/PoseArray
+ * @param {{ x: number, y: number, yaw: number }} [frame] - 訊息框架在 map 座標系的位姿，省略時視為 map 本身
+ * @returns {Array<{ x: number, y: number, yaw: number }>}
+ */
+export const poseArrayToPoses = (poseArray, frame = { x: 0, y: 0, yaw: 0 }) => {
+  if (!poseArray || !poseArray.poses) return [];
+  const cos = Math.cos(frame.yaw);
+  const sin = Math.sin(frame.yaw);
+  return poseArray.poses
+    .filter(pose => pose && pose.position)
+    .map(({ position, orientation }) => ({
+      x: frame.x + position.x * cos - position.y * sin,
+      y: frame.y + position.x * sin + position.y * cos,
+      yaw: frame.yaw + (orientation ? quaternionToYaw(orientation) : 0)
+    }));
+};
+
+export const loadLocalizationOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_LOCALIZATION_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_LOCALIZATION_OPTIONS };
+  }
+};
+
+export const saveLocalizationOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存定位設定');
+  }
+};
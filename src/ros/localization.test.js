@@ -0,0 +1,66 @@
+import {
+  assessLocalization,
+  covarianceEllipse,
+  createInitialPoseMessage,
+  DEFAULT_LOCALIZATION_OPTIONS,
+  INITIAL_POSE_COVARIANCE,
+  LOCALIZATION_LEVELS,
+  poseArrayToPoses
+} from './localization';
+
+const covariance = (xx, xy, yy, yawyaw = 0) => {
+  const values = new Array(36).fill(0);
+  values[0] = xx;
+  values[1] = xy;
+  values[6] = xy;
+  values[7] = yy;
+  values[35] = yawyaw;
+  return values;
+};
+
+test('builds an /initialpose message with the RViz default covariance', () => {
+  const message = createInitialPoseMessage({ x: 1, y: -2, yaw: Math.PI / 2 });
+  expect(message.header.frame_id).toBe('map');
+  expect(message.pose.pose.position).toEqual({ x: 1, y: -2, z: 0 });
+  expect(message.pose.pose.orientation.z).toBeCloseTo(Math.SQRT1_2);
+  expect(message.pose.covariance).toHaveLength(36);
+  expect(message.pose.covariance[0]).toBe(INITIAL_POSE_COVARIANCE.x);
+  expect(message.pose.covariance[35]).toBe(INITIAL_POSE_COVARIANCE.yaw);
+});
+
+test('computes the uncertainty ellipse from the position covariance', () => {
+  const aligned = covarianceEllipse(covariance(0.04, 0, 0.01));
+  expect(aligned.major).toBeCloseTo(0.4);
+  expect(aligned.minor).toBeCloseTo(0.2);
+  expect(aligned.angle).toBeCloseTo(0);
+
+  // 沿 45° 方向拉長
+  const diagonal = covarianceEllipse(covariance(0.05, 0.03, 0.05), 1);
+  expect(diagonal.major).toBeCloseTo(Math.sqrt(0.08));
+  expect(diagonal.minor).toBeCloseTo(Math.sqrt(0.02));
+  expect(diagonal.angle).toBeCloseTo(Math.PI / 4);
+});
+
+test('flags degraded localization when either deviation exceeds its limit', () => {
+  const good = assessLocalization(covariance(0.01, 0, 0.01, 0.01), DEFAULT_LOCALIZATION_OPTIONS);
+  expect(good.level).toBe(LOCALIZATION_LEVELS.GOOD);
+  expect(good.positionStdDev).toBeCloseTo(0.1);
+  expect(good.yawStdDev).toBeCloseTo(0.1);
+
+  expect(assessLocalization(covariance(0.25, 0, 0.01), DEFAULT_LOCALIZATION_OPTIONS).level)
+    .toBe(LOCALIZATION_LEVELS.DEGRADED);
+  expect(assessLocalization(covariance(0.01, 0, 0.01, 0.5), DEFAULT_LOCALIZATION_OPTIONS).level)
+    .toBe(LOCALIZATION_LEVELS.DEGRADED);
+});
+
+test('transforms particle cloud poses into the map frame', () => {
+  const cloud = {
+    header: { frame_id: 'odom' },
+    poses: [{ position: { x: 1, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } }]
+  };
+  const [pose] = poseArrayToPoses(cloud, { x: 1, y: 1, yaw: Math.PI / 2 });
+  expect(pose.x).toBeCloseTo(1);
+  expect(pose.y).toBeCloseTo(2);
+  expect(pose.yaw).toBeCloseTo(Math.PI / 2);
+  expect(poseArrayToPoses(null)).toEqual([]);
+});
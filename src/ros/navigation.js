@@ -0,0 +1,207 @@
+// move_base 動作客戶端 - 透過 rosbridge 的 actionlib 話題發送與追蹤導航目標
+import { quaternionToYaw } from '../map/transform';
+
+// actionlib_msgs/GoalStatus 狀態碼
+export const GOAL_STATUS = {
+  PENDING: 0,
+  ACTIVE: 1,
+  PREEMPTED: 2,
+  SUCCEEDED: 3,
+  ABORTED: 4,
+  REJECTED: 5,
+  PREEMPTING: 6,
+  RECALLING: 7,
+  RECALLED: 8,
+  LOST: 9
+};
+
+const STATUS_LABELS = {
+  [GOAL_STATUS.PENDING]: '等待中',
+  [GOAL_STATUS.ACTIVE]: '導航中',
+  [GOAL_STATUS.PREEMPTED]: '已取消',
+  [GOAL_STATUS.SUCCEEDED]: '已到達目標',
+  [GOAL_STATUS.ABORTED]: '導航失敗',
+  [GOAL_STATUS.REJECTED]: '目標被拒絕',
+  [GOAL_STATUS.PREEMPTING]: '取消中',
+  [GOAL_STATUS.RECALLING]: '撤回中',
+  [GOAL_STATUS.RECALLED]: '已撤回',
+  [GOAL_STATUS.LOST]: '目標遺失'
+};
+
+export const getGoalStatusLabel = (status) => STATUS_LABELS[status] || '未知狀態';
+
+// 是否為終止狀態（不會再有後續更新）
+export const isTerminalStatus = (status) => [
+  GOAL_STATUS.PREEMPTED,
+  GOAL_STATUS.SUCCEEDED,
+  GOAL_STATUS.ABORTED,
+  GOAL_STATUS.REJECTED,
+  GOAL_STATUS.RECALLED,
+  GOAL_STATUS.LOST
+].includes(status);
+
+const nowStamp = () => {
+  const ms = Date.now();
+  return { secs: Math.floor(ms / 1000), nsecs: (ms % 1000) * 1e6 };
+};
+
+// 平面偏航角轉四元數
+export const yawToQuaternion = (yaw = 0) => ({
+  x: 0,
+  y: 0,
+  z: Math.sin(yaw / 2),
+  w: Math.cos(yaw / 2)
+});
+
+/**
+ * 建立 move_base 導航客戶端
+ * @param {object} options
+ * @param {object} options.ROSLIB - ROSLIB 實作
+ * @param {object} options.ros - 已連接的 ROS 實例
+ * @param {string} [options.actionName] - 動作伺服器名稱
+ * @param {string} [options.frameId] - 目標座標系
+ * @param {function} [options.onStatus] - 狀態變化回調 (status, goal, text)
+ * @param {function} [options.onFeedback] - 回饋回調 ({ x, y, remaining }, goal)
+ */
+export const createNavigationClient = ({
+  ROSLIB,
+  ros,
+  actionName = '/move_base',
+  frameId = 'map',
+  onStatus,
+  onFeedback
+}) => {
+  let activeGoal = null;
+  let lastStatus = null;
+  let goalCounter = 0;
+
+  const goalTopic = new ROSLIB.Topic({
+    ros,
+    name: `${actionName}/goal`,
+    messageType: 'move_base_msgs/MoveBaseActionGoal'
+  });
+
+  const cancelTopic = new ROSLIB.Topic({
+    ros,
+    name: `${actionName}/cancel`,
+    messageType: 'actionlib_msgs/GoalID'
+  });
+
+  const statusTopic = new ROSLIB.Topic({
+    ros,
+    name: `${actionName}/status`,
+    messageType: 'actionlib_msgs/GoalStatusArray'
+  });
+
+  const feedbackTopic = new ROSLIB.Topic({
+    ros,
+    name: `${actionName}/feedback`,
+    messageType: 'move_base_msgs/MoveBaseActionFeedback'
+  });
+
+  const resultTopic = new ROSLIB.Topic({
+    ros,
+    name: `${actionName}/result`,
+    messageType: 'move_base_msgs/MoveBaseActionResult'
+  });
+
+  const updateStatus = (status, text = '') => {
+    if (!activeGoal || status === lastStatus) return;
+    lastStatus = status;
+    const goal = activeGoal;
+    if (isTerminalStatus(status)) activeGoal = null;
+    if (onStatus) onStatus(status, goal, text);
+  };
+
+  const handleStatusArray = (message) => {
+    if (!activeGoal || !message.status_list) return;
+    const entry = message.status_list.find(s => s.goal_id && s.goal_id.id === activeGoal.id);
+    if (entry) updateStatus(entry.status, entry.text);
+  };
+
+  const handleFeedback = (message) => {
+    if (!activeGoal || !message.status || message.status.goal_id.id !== activeGoal.id) return;
+    const basePose = message.feedback && message.feedback.base_position;
+    if (!basePose) return;
+
+    const { x, y } = basePose.pose.position;
+    const remaining = Math.hypot(activeGoal.x - x, activeGoal.y - y);
+    if (onFeedback) onFeedback({ x, y, remaining }, activeGoal);
+  };
+
+  const handleResult = (message) => {
+    if (!activeGoal || !message.status || message.status.goal_id.id !== activeGoal.id) return;
+    updateStatus(message.status.status, message.status.text);
+  };
+
+  statusTopic.subscribe(handleStatusArray);
+  feedbackTopic.subscribe(handleFeedback);
+  resultTopic.subscribe(handleResult);
+
+  /**
+   * 發送導航目標（map 座標系，公尺 / 弧度）
+   * @param {{ x: number, y: number, yaw?: number, orientation?: object, label?: string }} pose - orientation 四元數優先於 yaw
+   * @returns {object|null} 目標資訊，含 yaw 與 orientation；未連線而無法送出時為 null
+   */
+  const sendGoal = (pose) => {
+    if (activeGoal) cancel();
+
+    const stamp = nowStamp();
+    goalCounter += 1;
+    const yaw = pose.orientation ? quaternionToYaw(pose.orientation) : pose.yaw || 0;
+    const goal = {
+      id: `amr_ui_goal_${stamp.secs}_${goalCounter}`,
+      x: pose.x,
+      y: pose.y,
+      yaw,
+      orientation: pose.orientation || yawToQuaternion(yaw),
+      label: pose.label || ''
+    };
+
+    // publish 明確回傳 false 表示訊息被丟棄，追蹤它只會永遠停在 PENDING
+    const sent = goalTopic.publish(new ROSLIB.Message({
+      header: { stamp, frame_id: '' },
+      goal_id: { stamp, id: goal.id },
+      goal: {
+        target_pose: {
+          header: { stamp, frame_id: frameId },
+          pose: {
+            position: { x: goal.x, y: goal.y, z: 0 },
+            orientation: goal.orientation
+          }
+        }
+      }
+    }));
+    if (sent === false) return null;
+
+    activeGoal = goal;
+    lastStatus = null;
+    updateStatus(GOAL_STATUS.PENDING);
+    return goal;
+  };
+
+  // 取消目前目標；沒有追蹤中的目標時取消伺服器上的所有目標
+  const cancel = () => {
+    const goal = activeGoal;
+    cancelTopic.publish(new ROSLIB.Message({
+      stamp: { secs: 0, nsecs: 0 },
+      id: goal ? goal.id : ''
+    }));
+    if (goal) updateStatus(GOAL_STATUS.PREEMPTED, '使用者取消');
+    return goal;
+  };
+
+  const dispose = () => {
+    statusTopic.unsubscribe();
+    feedbackTopic.unsubscribe();
+    resultTopic.unsubscribe();
+    activeGoal = null;
+  };
+
+  return {
+    sendGoal,
+    cancel,
+    dispose,
+    getActiveGoal: () => activeGoal
+  };
+};
@@ -0,0 +1,98 @@
+import { createNavigationClient, GOAL_STATUS } from './navigation';
+
+// 簡易 ROSLIB 替身：記錄發布訊息並允許手動推送訂閱訊息
+const createFakeRoslib = () => {
+  const topics = {};
+  class Topic {
+    constructor({ name }) {
+      this.name = name;
+      this.published = [];
+      this.callbacks = [];
+      topics[name] = this;
+    }
+    publish(message) {
+      this.published.push(message);
+      return this.connected;
+    }
+    subscribe(callback) { this.callbacks.push(callback); }
+    unsubscribe() { this.callbacks = []; }
+    emit(message) { this.callbacks.forEach(cb => cb(message)); }
+  }
+  class Message {
+    constructor(data) { Object.assign(this, data); }
+  }
+  return { ROSLIB: { Topic, Message }, topics };
+};
+
+test('publishes a MoveBaseActionGoal and reports status transitions', () => {
+  const { ROSLIB, topics } = createFakeRoslib();
+  const onStatus = jest.fn();
+  const client = createNavigationClient({ ROSLIB, ros: {}, onStatus });
+
+  const goal = client.sendGoal({ x: 1.5, y: -2 });
+  const sent = topics['/move_base/goal'].published[0];
+  expect(sent.goal_id.id).toBe(goal.id);
+  expect(sent.goal.target_pose.header.frame_id).toBe('map');
+  expect(sent.goal.target_pose.pose.position).toEqual({ x: 1.5, y: -2, z: 0 });
+  expect(onStatus).toHaveBeenLastCalledWith(GOAL_STATUS.PENDING, goal, '');
+
+  topics['/move_base/status'].emit({ status_list: [{ goal_id: { id: goal.id }, status: GOAL_STATUS.ACTIVE, text: '' }] });
+  topics['/move_base/status'].emit({ status_list: [{ goal_id: { id: 'other' }, status: GOAL_STATUS.ABORTED, text: '' }] });
+  expect(onStatus).toHaveBeenLastCalledWith(GOAL_STATUS.ACTIVE, goal, '');
+
+  topics['/move_base/result'].emit({ status: { goal_id: { id: goal.id }, status: GOAL_STATUS.SUCCEEDED, text: '' } });
+  expect(onStatus).toHaveBeenLastCalledWith(GOAL_STATUS.SUCCEEDED, goal, '');
+  expect(client.getActiveGoal()).toBeNull();
+});
+
+test('reports remaining distance from feedback', () => {
+  const { ROSLIB, topics } = createFakeRoslib();
+  const onFeedback = jest.fn();
+  const client = createNavigationClient({ ROSLIB, ros: {}, onFeedback });
+
+  const goal = client.sendGoal({ x: 3, y: 4 });
+  topics['/move_base/feedback'].emit({
+    status: { goal_id: { id: goal.id } },
+    feedback: { base_position: { pose: { position: { x: 0, y: 0 } } } }
+  });
+  expect(onFeedback).toHaveBeenCalledWith({ x: 0, y: 0, remaining: 5 }, goal);
+});
+
+test('cancel publishes the active goal id', () => {
+  const { ROSLIB, topics } = createFakeRoslib();
+  const onStatus = jest.fn();
+  const client = createNavigationClient({ ROSLIB, ros: {}, onStatus });
+
+  const goal = client.sendGoal({ x: 0, y: 0 });
+  client.cancel();
+  expect(topics['/move_base/cancel'].published[0].id).toBe(goal.id);
+  expect(onStatus).toHaveBeenLastCalledWith(GOAL_STATUS.PREEMPTED, goal, '使用者取消');
+  expect(client.getActiveGoal()).toBeNull();
+});
+
+test('sends the goal heading as a quaternion', () => {
+  const { ROSLIB, topics } = createFakeRoslib();
+  const client = createNavigationClient({ ROSLIB, ros: {} });
+
+  const goal = client.sendGoal({ x: 1, y: 1, yaw: Math.PI / 2 });
+  const { orientation } = topics['/move_base/goal'].published[0].goal.target_pose.pose;
+  expect(orientation.z).toBeCloseTo(Math.SQRT1_2);
+  expect(orientation.w).toBeCloseTo(Math.SQRT1_2);
+  expect(goal.orientation).toBe(orientation);
+
+  // 直接給四元數時由四元數推得 yaw
+  const turned = client.sendGoal({ x: 1, y: 1, orientation: { x: 0, y: 0, z: 1, w: 0 } });
+  expect(turned.yaw).toBeCloseTo(Math.PI);
+  expect(topics['/move_base/goal'].published[1].goal.target_pose.pose.orientation).toEqual({ x: 0, y: 0, z: 1, w: 0 });
+});
+
+test('does not track a goal that could not be sent', () => {
+  const { ROSLIB, topics } = createFakeRoslib();
+  const onStatus = jest.fn();
+  const client = createNavigationClient({ ROSLIB, ros: {}, onStatus });
+  topics['/move_base/goal'].connected = false;
+
+  expect(client.sendGoal({ x: 1, y: 1 })).toBeNull();
+  expect(client.getActiveGoal()).toBeNull();
+  expect(onStatus).not.toHaveBeenCalled();
+});
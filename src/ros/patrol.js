@@ -0,0 +1,212 @@
+// 巡邏執行器 - 依序將航點作為導航目標發送，並依結果推進
+import { GOAL_STATUS } from './navigation';
+
+export const PATROL_MODES = {
+  LOOP: 'loop',
+  ONCE: 'once',
+  PING_PONG: 'pingpong'
+};
+
+export const PATROL_MODE_LABELS = {
+  [PATROL_MODES.LOOP]: '循環',
+  [PATROL_MODES.ONCE]: '單趟',
+  [PATROL_MODES.PING_PONG]: '往返'
+};
+
+export const PATROL_STATES = {
+  IDLE: 'idle',
+  NAVIGATING: 'navigating',
+  DWELLING: 'dwelling',
+  PAUSED: 'paused'
+};
+
+export const DEFAULT_PATROL_OPTIONS = {
+  mode: PATROL_MODES.LOOP,
+  dwellTime: 3,        // 每個航點停留秒數
+  maxRetries: 1,       // 失敗後重試次數
+  onFailure: 'skip'    // 重試用盡後: 'skip' 跳過航點 / 'stop' 停止巡邏
+};
+
+/**
+ * 計算下一個航點索引
+ * @returns {{ index: number, direction: number } | null} null 表示巡邏結束
+ */
+export const getNextWaypointIndex = (index, direction, count, mode) => {
+  if (count <= 1) {
+    return mode === PATROL_MODES.LOOP ? { index: 0, direction } : null;
+  }
+
+  if (mode === PATROL_MODES.PING_PONG) {
+    let nextDirection = direction;
+    if (index + direction >= count || index + direction < 0) nextDirection = -direction;
+    return { index: index + nextDirection, direction: nextDirection };
+  }
+
+  if (index + 1 < count) return { index: index + 1, direction };
+  return mode === PATROL_MODES.LOOP ? { index: 0, direction } : null;
+};
+
+/**
+ * 建立巡邏執行器
+ * @param {object} handlers
+ * @param {function} handlers.sendGoal - (waypoint, index) => 已發送的目標 { id }
+ * @param {function} handlers.cancelGoal - 取消目前目標
+ * @param {function} [handlers.onProgress] - 進度回調 ({ state, index, lap, retries })
+ * @param {function} [handlers.onLog] - 日誌回調 (type, message)
+ */
+export const createPatrolExecutor = ({ sendGoal, cancelGoal, onProgress, onLog }) => {
+  let waypoints = [];
+  let options = { ...DEFAULT_PATROL_OPTIONS };
+  let state = PATROL_STATES.IDLE;
+  let index = 0;
+  let direction = 1;
+  let lap = 1;
+  let retries = 0;
+  let goalId = null;
+  let dwellTimer = null;
+
+  const log = (type, message) => {
+    if (onLog) onLog(type, message);
+  };
+
+  const emit = () => {
+    if (onProgress) onProgress({ state, index, lap, retries });
+  };
+
+  const clearDwell = () => {
+    if (dwellTimer) {
+      clearTimeout(dwellTimer);
+      dwellTimer = null;
+    }
+  };
+
+  const navigateToCurrent = () => {
+    const goal = sendGoal(waypoints[index], index);
+    if (!goal) {
+      log('error', '無法發送巡邏目標，巡邏停止');
+      stop();
+      return;
+    }
+    goalId = goal.id;
+    state = PATROL_STATES.NAVIGATING;
+    emit();
+  };
+
+  const advance = () => {
+    const next = getNextWaypointIndex(index, direction, waypoints.length, options.mode);
+    if (!next) {
+      log('success', '巡邏完成');
+      stop();
+      return;
+    }
+    if (options.mode === PATROL_MODES.LOOP && next.index === 0) lap += 1;
+    if (options.mode === PATROL_MODES.PING_PONG && next.index === 0 && index !== 0) lap += 1;
+
+    index = next.index;
+    direction = next.direction;
+    retries = 0;
+    navigateToCurrent();
+  };
+
+  const start = (newWaypoints, newOptions = {}) => {
+    if (!newWaypoints || newWaypoints.length === 0) {
+      log('error', '沒有設定航點，無法開始巡邏');
+      return false;
+    }
+    clearDwell();
+    waypoints = [...newWaypoints];
+    options = { ...options, ...newOptions };
+    index = 0;
+    direction = 1;
+    lap = 1;
+    retries = 0;
+    log('info', `開始${PATROL_MODE_LABELS[options.mode]}巡邏，共 ${waypoints.length} 個航點`);
+    navigateToCurrent();
+    return true;
+  };
+
+  const stop = () => {
+    clearDwell();
+    const wasNavigating = state === PATROL_STATES.NAVIGATING;
+    state = PATROL_STATES.IDLE;
+    goalId = null;
+    if (wasNavigating) cancelGoal();
+    emit();
+  };
+
+  const pause = () => {
+    if (state !== PATROL_STATES.NAVIGATING && state !== PATROL_STATES.DWELLING) return;
+    clearDwell();
+    const wasNavigating = state === PATROL_STATES.NAVIGATING;
+    state = PATROL_STATES.PAUSED;
+    goalId = null;
+    if (wasNavigating) cancelGoal();
+    log('warning', `巡邏暫停於航點 ${index + 1}`);
+    emit();
+  };
+
+  const resume = () => {
+    if (state !== PATROL_STATES.PAUSED) return;
+    log('info', `巡邏繼續，前往航點 ${index + 1}`);
+    navigateToCurrent();
+  };
+
+  /**
+   * 導航目標結束時呼叫
+   * @param {string} id - 目標 ID
+   * @param {number} status - actionlib 狀態碼
+   */
+  const handleGoalResult = (id, status) => {
+    if (state !== PATROL_STATES.NAVIGATING || id !== goalId) return;
+    goalId = null;
+
+    if (status === GOAL_STATUS.SUCCEEDED) {
+      log('success', `到達航點 ${index + 1}`);
+      if (options.dwellTime > 0) {
+        state = PATROL_STATES.DWELLING;
+        emit();
+        dwellTimer = setTimeout(() => {
+          dwellTimer = null;
+          advance();
+        }, options.dwellTime * 1000);
+      } else {
+        advance();
+      }
+      return;
+    }
+
+    // 目標被外部取消（例如手動發送其他目標）視為暫停
+    if (status === GOAL_STATUS.PREEMPTED || status === GOAL_STATUS.RECALLED) {
+      state = PATROL_STATES.PAUSED;
+      log('warning', `巡邏目標被取消，巡邏暫停於航點 ${index + 1}`);
+      emit();
+      return;
+    }
+
+    if (retries < options.maxRetries) {
+      retries += 1;
+      log('warning', `航點 ${index + 1} 導航失敗，重試 (${retries}/${options.maxRetries})`);
+      navigateToCurrent();
+      return;
+    }
+
+    if (options.onFailure === 'skip') {
+      log('warning', `航點 ${index + 1} 無法到達，跳過`);
+      advance();
+    } else {
+      log('error', `航點 ${index + 1} 無法到達，巡邏停止`);
+      stop();
+    }
+  };
+
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    handleGoalResult,
+    setOptions: (newOptions) => { options = { ...options, ...newOptions }; },
+    getState: () => state,
+    isActive: () => state !== PATROL_STATES.IDLE
+  };
+};
@@ -0,0 +1,94 @@
+import { GOAL_STATUS } from './navigation';
+import { createPatrolExecutor, getNextWaypointIndex, PATROL_MODES, PATROL_STATES } from './patrol';
+
+const waypoints = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+const createHarness = () => {
+  const sent = [];
+  const handlers = {
+    sendGoal: jest.fn((waypoint) => {
+      const goal = { id: `goal_${sent.length}` };
+      sent.push({ waypoint, goal });
+      return goal;
+    }),
+    cancelGoal: jest.fn(),
+    onProgress: jest.fn()
+  };
+  const executor = createPatrolExecutor(handlers);
+  const lastGoalId = () => sent[sent.length - 1].goal.id;
+  const lastWaypoint = () => sent[sent.length - 1].waypoint;
+  return { executor, handlers, sent, lastGoalId, lastWaypoint };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('computes next index for each patrol mode', () => {
+  expect(getNextWaypointIndex(2, 1, 3, PATROL_MODES.LOOP)).toEqual({ index: 0, direction: 1 });
+  expect(getNextWaypointIndex(2, 1, 3, PATROL_MODES.ONCE)).toBeNull();
+  expect(getNextWaypointIndex(2, 1, 3, PATROL_MODES.PING_PONG)).toEqual({ index: 1, direction: -1 });
+  expect(getNextWaypointIndex(0, -1, 3, PATROL_MODES.PING_PONG)).toEqual({ index: 1, direction: 1 });
+});
+
+test('advances after the dwell time on success', () => {
+  const { executor, lastGoalId, lastWaypoint } = createHarness();
+  executor.start(waypoints, { mode: PATROL_MODES.LOOP, dwellTime: 2 });
+  expect(lastWaypoint()).toBe(waypoints[0]);
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+  expect(executor.getState()).toBe(PATROL_STATES.DWELLING);
+
+  jest.advanceTimersByTime(2000);
+  expect(executor.getState()).toBe(PATROL_STATES.NAVIGATING);
+  expect(lastWaypoint()).toBe(waypoints[1]);
+});
+
+test('finishes a single pass after the last waypoint', () => {
+  const { executor, lastGoalId } = createHarness();
+  executor.start(waypoints, { mode: PATROL_MODES.ONCE, dwellTime: 0 });
+  waypoints.forEach(() => executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED));
+  expect(executor.getState()).toBe(PATROL_STATES.IDLE);
+});
+
+test('retries a failed goal then skips it', () => {
+  const { executor, sent, lastGoalId, lastWaypoint } = createHarness();
+  executor.start(waypoints, { dwellTime: 0, maxRetries: 1, onFailure: 'skip' });
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.ABORTED);
+  expect(sent).toHaveLength(2);
+  expect(lastWaypoint()).toBe(waypoints[0]);
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.ABORTED);
+  expect(lastWaypoint()).toBe(waypoints[1]);
+});
+
+test('stops when retries are exhausted and the policy is stop', () => {
+  const { executor, lastGoalId } = createHarness();
+  executor.start(waypoints, { dwellTime: 0, maxRetries: 0, onFailure: 'stop' });
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.ABORTED);
+  expect(executor.getState()).toBe(PATROL_STATES.IDLE);
+});
+
+test('pause cancels the goal and resume re-sends the current waypoint', () => {
+  const { executor, handlers, lastGoalId, lastWaypoint } = createHarness();
+  executor.start(waypoints, { dwellTime: 0 });
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+
+  const pausedGoal = lastGoalId();
+  executor.pause();
+  expect(handlers.cancelGoal).toHaveBeenCalled();
+  expect(executor.getState()).toBe(PATROL_STATES.PAUSED);
+
+  // 取消後到達的結果不應推進巡邏
+  executor.handleGoalResult(pausedGoal, GOAL_STATUS.PREEMPTED);
+  expect(executor.getState()).toBe(PATROL_STATES.PAUSED);
+
+  executor.resume();
+  expect(lastWaypoint()).toBe(waypoints[1]);
+  expect(executor.getState()).toBe(PATROL_STATES.NAVIGATING);
+});
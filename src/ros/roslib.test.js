@@ -0,0 +1,293 @@
+// public/roslib.min.js 的 rosbridge 協定測試
+const ROSLIB = require('../../public/roslib.min.js');
+
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  // 測試輔助
+  open() {
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  ops(op) {
+    return this.sent.filter(m => m.op === op);
+  }
+}
+FakeWebSocket.instances = [];
+
+const connect = () => {
+  const ros = new ROSLIB.Ros({ url: 'ws://robot:9090', WebSocket: FakeWebSocket });
+  const socket = FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  socket.open();
+  return { ros, socket };
+};
+
+beforeEach(() => {
+  FakeWebSocket.instances = [];
+});
+
+test('exposes itself on window for the app', () => {
+  expect(window.ROSLIB).toBe(ROSLIB);
+});
+
+test('queues operations until the socket opens', () => {
+  const ros = new ROSLIB.Ros({ url: 'ws://robot:9090', WebSocket: FakeWebSocket });
+  const socket = FakeWebSocket.instances[0];
+  const onConnection = jest.fn();
+  ros.on('connection', onConnection);
+
+  new ROSLIB.Topic({ ros, name: '/odom', messageType: 'nav_msgs/Odometry' }).subscribe(() => {});
+  expect(socket.sent).toHaveLength(0);
+
+  socket.open();
+  expect(onConnection).toHaveBeenCalled();
+  expect(socket.ops('subscribe')).toHaveLength(1);
+});
+
+test('dispatches publish messages by topic without piling up handlers', () => {
+  const { ros, socket } = connect();
+  const odom = new ROSLIB.Topic({ ros, name: '/odom', messageType: 'nav_msgs/Odometry' });
+  const map = new ROSLIB.Topic({ ros, name: '/map', messageType: 'nav_msgs/OccupancyGrid' });
+  const odomCallback = jest.fn();
+  const mapCallback = jest.fn();
+
+  odom.subscribe(odomCallback);
+  map.subscribe(mapCallback);
+  odom.unsubscribe(odomCallback);
+  odom.subscribe(odomCallback);
+
+  socket.receive({ op: 'publish', topic: '/odom', msg: { seq: 1 } });
+  expect(odomCallback).toHaveBeenCalledTimes(1);
+  expect(odomCallback).toHaveBeenCalledWith({ seq: 1 });
+  expect(mapCallback).not.toHaveBeenCalled();
+});
+
+test('unsubscribe removes a single callback and only sends the op when none remain', () => {
+  const { ros, socket } = connect();
+  const topic = new ROSLIB.Topic({ ros, name: '/scan', messageType: 'sensor_msgs/LaserScan' });
+  const first = jest.fn();
+  const second = jest.fn();
+
+  topic.subscribe(first);
+  topic.subscribe(second);
+  expect(socket.ops('subscribe')).toHaveLength(1);
+
+  topic.unsubscribe(first);
+  expect(socket.ops('unsubscribe')).toHaveLength(0);
+  socket.receive({ op: 'publish', topic: '/scan', msg: {} });
+  expect(first).not.toHaveBeenCalled();
+  expect(second).toHaveBeenCalledTimes(1);
+
+  topic.unsubscribe(second);
+  expect(socket.ops('unsubscribe')).toEqual([
+    { op: 'unsubscribe', id: socket.ops('subscribe')[0].id, topic: '/scan' }
+  ]);
+  socket.receive({ op: 'publish', topic: '/scan', msg: {} });
+  expect(second).toHaveBeenCalledTimes(1);
+});
+
+test('keeps subscriptions of separate Topic instances independent', () => {
+  const { ros, socket } = connect();
+  const a = new ROSLIB.Topic({ ros, name: '/tf', messageType: 'tf2_msgs/TFMessage' });
+  const b = new ROSLIB.Topic({ ros, name: '/tf', messageType: 'tf2_msgs/TFMessage' });
+  const callbackA = jest.fn();
+  const callbackB = jest.fn();
+
+  a.subscribe(callbackA);
+  b.subscribe(callbackB);
+  a.unsubscribe();
+
+  socket.receive({ op: 'publish', topic: '/tf', msg: {} });
+  expect(callbackA).not.toHaveBeenCalled();
+  expect(callbackB).toHaveBeenCalledTimes(1);
+});
+
+test('sends throttle_rate and queue_length with subscribe', () => {
+  const { ros, socket } = connect();
+  new ROSLIB.Topic({
+    ros,
+    name: '/map',
+    messageType: 'nav_msgs/OccupancyGrid',
+    throttle_rate: 1000,
+    queue_length: 1
+  }).subscribe(() => {});
+
+  expect(socket.ops('subscribe')[0]).toMatchObject({
+    topic: '/map',
+    type: 'nav_msgs/OccupancyGrid',
+    throttle_rate: 1000,
+    queue_length: 1
+  });
+});
+
+test('advertises once before publishing', () => {
+  const { ros, socket } = connect();
+  const topic = new ROSLIB.Topic({ ros, name: '/cmd_vel', messageType: 'geometry_msgs/Twist' });
+  topic.publish({ linear: { x: 1 } });
+  topic.publish({ linear: { x: 0 } });
+
+  expect(socket.ops('advertise')).toHaveLength(1);
+  expect(socket.ops('publish').map(m => m.msg.linear.x)).toEqual([1, 0]);
+});
+
+test('routes service responses by request id and reports failures', () => {
+  const { ros, socket } = connect();
+  const service = new ROSLIB.Service({ ros, name: '/add', serviceType: 'rospy_tutorials/AddTwoInts' });
+  const success = jest.fn();
+  const failure = jest.fn();
+  const otherSuccess = jest.fn();
+
+  service.callService({ a: 1, b: 2 }, success, failure);
+  service.callService({ a: 5, b: 5 }, otherSuccess);
+  const [first, second] = socket.ops('call_service');
+
+  socket.receive({ op: 'service_response', service: '/add', id: second.id, values: { sum: 10 }, result: true });
+  socket.receive({ op: 'service_response', service: '/add', id: first.id, values: 'service failed', result: false });
+
+  expect(otherSuccess).toHaveBeenCalledWith(expect.objectContaining({ sum: 10 }));
+  expect(success).not.toHaveBeenCalled();
+  expect(failure).toHaveBeenCalledWith('service failed');
+});
+
+test('answers calls to an advertised service', () => {
+  const { ros, socket } = connect();
+  const service = new ROSLIB.Service({ ros, name: '/ui/ping', serviceType: 'std_srvs/Trigger' });
+  service.advertise((request, response) => {
+    response.success = true;
+    response.message = 'pong';
+    return true;
+  });
+  expect(socket.ops('advertise_service')).toEqual([
+    { op: 'advertise_service', type: 'std_srvs/Trigger', service: '/ui/ping' }
+  ]);
+
+  socket.receive({ op: 'call_service', service: '/ui/ping', id: 'req1', args: {} });
+  expect(socket.ops('service_response')[0]).toMatchObject({
+    service: '/ui/ping',
+    id: 'req1',
+    values: { success: true, message: 'pong' },
+    result: true
+  });
+
+  service.unadvertise();
+  expect(socket.ops('unadvertise_service')).toHaveLength(1);
+});
+
+test('emits status messages and sets the status level', () => {
+  const { ros, socket } = connect();
+  const onStatus = jest.fn();
+  ros.on('status', onStatus);
+
+  ros.setStatusLevel('warning');
+  socket.receive({ op: 'status', level: 'error', msg: 'unknown topic', id: 'subscribe:/x:1' });
+
+  expect(socket.ops('set_level')).toEqual([{ op: 'set_level', level: 'warning' }]);
+  expect(onStatus).toHaveBeenCalledWith(expect.objectContaining({ level: 'error', msg: 'unknown topic' }));
+  expect(() => ros.setStatusLevel('loud')).toThrow();
+});
+
+test('re-subscribes and re-advertises on the same Ros after a reconnect', () => {
+  const { ros, socket } = connect();
+  const odom = new ROSLIB.Topic({ ros, name: '/odom', messageType: 'nav_msgs/Odometry' });
+  const cmdVel = new ROSLIB.Topic({ ros, name: '/cmd_vel', messageType: 'geometry_msgs/Twist' });
+  const scan = new ROSLIB.Topic({ ros, name: '/scan', messageType: 'sensor_msgs/LaserScan' });
+  const callback = jest.fn();
+  odom.subscribe(callback);
+  scan.subscribe(() => {});
+  scan.unsubscribe();
+  cmdVel.advertise();
+
+  socket.onclose();
+  cmdVel.publish({ linear: { x: 1 } });
+  ros.connect();
+  const next = FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  expect(next).not.toBe(socket);
+  next.open();
+
+  expect(next.ops('subscribe').map(m => m.topic)).toEqual(['/odom']);
+  expect(next.ops('advertise').map(m => m.topic)).toEqual(['/cmd_vel']);
+  // 斷線期間的發布不應在重新連線後補送
+  expect(next.ops('publish')).toHaveLength(0);
+
+  next.receive({ op: 'publish', topic: '/odom', msg: {} });
+  expect(callback).toHaveBeenCalledTimes(1);
+});
+
+test('emits close and stops sending after the socket closes', () => {
+  const { ros, socket } = connect();
+  const onClose = jest.fn();
+  ros.on('close', onClose);
+
+  socket.onclose();
+  expect(onClose).toHaveBeenCalled();
+  expect(ros.isConnected).toBe(false);
+
+  new ROSLIB.Topic({ ros, name: '/cmd_vel', messageType: 'geometry_msgs/Twist' }).publish({});
+  expect(socket.ops('publish')).toHaveLength(0);
+});
+
+test('fails pending service calls when the connection closes', () => {
+  const { ros, socket } = connect();
+  const service = new ROSLIB.Service({ ros, name: '/slam/start', serviceType: 'std_srvs/Trigger' });
+  const success = jest.fn();
+  const failure = jest.fn();
+
+  service.callService({}, success, failure);
+  const [call] = socket.ops('call_service');
+  socket.onclose();
+  expect(failure).toHaveBeenCalledWith('連線已關閉');
+
+  socket.receive({ op: 'service_response', id: call.id, values: {}, result: true });
+  expect(success).not.toHaveBeenCalled();
+  expect(failure).toHaveBeenCalledTimes(1);
+});
+
+test('fails and drops queued service calls on close before the socket opens', () => {
+  const ros = new ROSLIB.Ros({ url: 'ws://robot:9090', WebSocket: FakeWebSocket });
+  const failure = jest.fn();
+  new ROSLIB.Service({ ros, name: '/map_saver/save_map', serviceType: 'std_srvs/Trigger' }).callService({}, () => {}, failure);
+
+  ros.close();
+  expect(failure).toHaveBeenCalledTimes(1);
+
+  ros.connect();
+  const socket = FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  socket.open();
+  expect(socket.ops('call_service')).toHaveLength(0);
+});
+
+test('fails service calls pending on a socket replaced by connect', () => {
+  const { ros, socket } = connect();
+  const failure = jest.fn();
+  new ROSLIB.Service({ ros, name: '/static_map', serviceType: 'nav_msgs/GetMap' }).callService({}, () => {}, failure);
+
+  ros.connect();
+  expect(socket.closed).toBe(true);
+  expect(failure).toHaveBeenCalledWith('連線已重新建立');
+});
+
+test('publish reports whether the message was sent', () => {
+  const { ros, socket } = connect();
+  const topic = new ROSLIB.Topic({ ros, name: '/move_base/goal', messageType: 'move_base_msgs/MoveBaseActionGoal' });
+  expect(topic.publish({})).toBe(true);
+
+  socket.onclose();
+  expect(topic.publish({})).toBe(false);
+  expect(socket.ops('publish')).toHaveLength(1);
+});
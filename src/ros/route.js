@@ -0,0 +1,91 @@
+// 路線執行器 - 將路線圖規劃出的節點依序作為導航目標發送，任一段失敗或被取消即停止
+import { GOAL_STATUS } from './navigation';
+
+/**
+ * 建立路線執行器
+ * @param {object} handlers
+ * @param {function} handlers.sendGoal - (goal, index) => 已發送的目標 { id }
+ * @param {function} handlers.cancelGoal - 取消目前目標
+ * @param {function} [handlers.onProgress] - 進度回調 ({ active, index, count })
+ * @param {function} [handlers.onLog] - 日誌回調 (type, message)
+ */
+export const createRouteExecutor = ({ sendGoal, cancelGoal, onProgress, onLog }) => {
+  let goals = [];
+  let index = 0;
+  let goalId = null;
+
+  const log = (type, message) => {
+    if (onLog) onLog(type, message);
+  };
+
+  const emit = () => {
+    if (onProgress) onProgress({ active: goalId !== null, index, count: goals.length });
+  };
+
+  const finish = () => {
+    goalId = null;
+    goals = [];
+    index = 0;
+    emit();
+  };
+
+  const navigateToCurrent = () => {
+    const goal = sendGoal(goals[index], index);
+    if (!goal) {
+      log('error', '無法發送路線目標，路線停止');
+      finish();
+      return;
+    }
+    goalId = goal.id;
+    emit();
+  };
+
+  /**
+   * 開始沿路線行駛
+   * @param {Array<{ x: number, y: number, yaw: number, label: string }>} newGoals
+   */
+  const start = (newGoals) => {
+    if (!newGoals || newGoals.length === 0) return false;
+    // 新目標會同步搶占進行中的目標，先清除舊目標 ID，避免其 PREEMPTED 結果結束新路線
+    goalId = null;
+    goals = [...newGoals];
+    index = 0;
+    navigateToCurrent();
+    return true;
+  };
+
+  const stop = () => {
+    const wasActive = goalId !== null;
+    finish();
+    if (wasActive) cancelGoal();
+  };
+
+  /**
+   * 導航目標結束時呼叫
+   * @param {string} id - 目標 ID
+   * @param {number} status - actionlib 狀態碼
+   */
+  const handleGoalResult = (id, status) => {
+    if (goalId === null || id !== goalId) return;
+
+    if (status !== GOAL_STATUS.SUCCEEDED) {
+      log('warning', `路線在前往 ${goals[index].label} 時中斷`);
+      finish();
+      return;
+    }
+    if (index + 1 >= goals.length) {
+      log('success', `路線完成，已到達 ${goals[index].label}`);
+      finish();
+      return;
+    }
+    index += 1;
+    navigateToCurrent();
+  };
+
+  return {
+    start,
+    stop,
+    handleGoalResult,
+    isActive: () => goalId !== null
+  };
+};
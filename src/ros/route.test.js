@@ -0,0 +1,77 @@
+import { GOAL_STATUS } from './navigation';
+import { createRouteExecutor } from './route';
+
+const goals = [
+  { x: 0, y: 0, yaw: 0, label: 'N1' },
+  { x: 1, y: 0, yaw: 0, label: 'N2' },
+  { x: 1, y: 1, yaw: 0, label: '工作站A' }
+];
+
+const createHarness = () => {
+  const sent = [];
+  const handlers = {
+    sendGoal: jest.fn((goal) => {
+      const sentGoal = { id: `goal_${sent.length}` };
+      sent.push({ goal, sentGoal });
+      return sentGoal;
+    }),
+    cancelGoal: jest.fn(),
+    onProgress: jest.fn(),
+    onLog: jest.fn()
+  };
+  const executor = createRouteExecutor(handlers);
+  const lastGoalId = () => sent[sent.length - 1].sentGoal.id;
+  return { executor, handlers, sent, lastGoalId };
+};
+
+test('drives the route as a chain of goals', () => {
+  const { executor, handlers, sent, lastGoalId } = createHarness();
+  executor.start(goals);
+  expect(sent[0].goal).toBe(goals[0]);
+
+  executor.handleGoalResult('other', GOAL_STATUS.SUCCEEDED);
+  expect(sent).toHaveLength(1);
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+  expect(sent.map(entry => entry.goal)).toEqual(goals);
+  expect(handlers.onProgress).toHaveBeenLastCalledWith({ active: true, index: 2, count: 3 });
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+  expect(executor.isActive()).toBe(false);
+  expect(handlers.onLog).toHaveBeenLastCalledWith('success', '路線完成，已到達 工作站A');
+});
+
+test('stops when a leg fails or is cancelled', () => {
+  const { executor, handlers, sent, lastGoalId } = createHarness();
+  executor.start(goals);
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.ABORTED);
+  expect(executor.isActive()).toBe(false);
+  expect(sent).toHaveLength(1);
+  expect(handlers.onLog).toHaveBeenLastCalledWith('warning', '路線在前往 N1 時中斷');
+
+  executor.start(goals);
+  executor.stop();
+  expect(handlers.cancelGoal).toHaveBeenCalledTimes(1);
+  expect(executor.start([])).toBe(false);
+});
+
+test('starting a new route while one is active replaces it', () => {
+  const { executor, handlers, sent, lastGoalId } = createHarness();
+  // 與導航客戶端相同：發送新目標時同步回報舊目標被搶占
+  handlers.sendGoal.mockImplementation((goal) => {
+    if (sent.length) executor.handleGoalResult(lastGoalId(), GOAL_STATUS.PREEMPTED);
+    const sentGoal = { id: `goal_${sent.length}` };
+    sent.push({ goal, sentGoal });
+    return sentGoal;
+  });
+  const other = [{ x: 5, y: 5, yaw: 0, label: '充電站' }];
+
+  executor.start(goals);
+  executor.start(other);
+  expect(executor.isActive()).toBe(true);
+
+  executor.handleGoalResult(lastGoalId(), GOAL_STATUS.SUCCEEDED);
+  expect(executor.isActive()).toBe(false);
+  expect(handlers.onLog).toHaveBeenLastCalledWith('success', '路線完成，已到達 充電站');
+});
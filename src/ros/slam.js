@@ -0,0 +1,195 @@
+// SLAM 控制 - 透過可設定的服務啟動、停止建圖並儲存地圖
+//
+// 啟動與停止使用 std_srvs/Trigger：gmapping 與 cartographer 本身沒有這類服務，
+// 由機器人端的啟動 hook（例如包裝 roslaunch 的節點）提供；留空時只在介面上開始計時。
+// ROS1 的 map_server 只有 map_saver 指令而沒有儲存服務，gmapping 存圖同樣需要機器人端以
+// std_srvs/Trigger 包裝 map_saver，檔名由機器人端決定。
+
+// ros：支援該服務類型的 ROS 版本，預設組合必須與其 SLAM 套件的版本一致
+export const SAVE_MAP_SERVICE_TYPES = {
+  'std_srvs/Trigger': { label: '機器人端 hook（std_srvs/Trigger，檔名由機器人端決定）', ros: [1, 2] },
+  'nav2_msgs/SaveMap': { label: 'Nav2 map_saver（nav2_msgs/SaveMap，僅 ROS2）', ros: [2] },
+  'slam_toolbox/SaveMap': { label: 'slam_toolbox（SaveMap）', ros: [1, 2] },
+  'cartographer_ros_msgs/WriteState': { label: 'cartographer（WriteState）', ros: [1, 2] }
+};
+
+export const SLAM_PRESETS = {
+  gmapping: {
+    label: 'gmapping',
+    ros: 1,
+    startService: '/slam_gmapping/start',
+    stopService: '/slam_gmapping/stop',
+    saveService: '/slam_gmapping/save_map',
+    saveServiceType: 'std_srvs/Trigger'
+  },
+  cartographer: {
+    label: 'Cartographer',
+    ros: 1,
+    startService: '/cartographer/start',
+    stopService: '/cartographer/stop',
+    saveService: '/write_state',
+    saveServiceType: 'cartographer_ros_msgs/WriteState'
+  },
+  slam_toolbox: {
+    label: 'slam_toolbox',
+    ros: 1,
+    startService: '/slam_toolbox/start',
+    stopService: '/slam_toolbox/stop',
+    saveService: '/slam_toolbox/save_map',
+    saveServiceType: 'slam_toolbox/SaveMap'
+  }
+};
+
+const STORAGE_KEY = 'amr_slam_options';
+const TRIGGER_TYPE = 'std_srvs/Trigger';
+// 服務沒有回應時視為失敗（毫秒），儲存大型地圖可能需要數秒
+export const SLAM_SERVICE_TIMEOUT = 15000;
+
+/**
+ * 套用預設組合，保留其他欄位
+ * @param {object} options
+ * @param {string} preset - SLAM_PRESETS 的鍵
+ */
+export const applySlamPreset = (options, preset) => {
+  if (!SLAM_PRESETS[preset]) return options;
+  const { label, ros, ...services } = SLAM_PRESETS[preset];
+  return { ...options, ...services, preset };
+};
+
+export const DEFAULT_SLAM_OPTIONS = applySlamPreset({}, 'gmapping');
+
+// 地圖名稱用於檔名，不允許空白與路徑以外的特殊字元
+export const isValidMapName = (name) => /^[\w\-./]+$/.test(name) && !name.includes('..');
+
+// std_srvs/Trigger 的請求為空，無法帶入地圖名稱
+export const saveServiceTakesName = (type) => type !== TRIGGER_TYPE;
+
+/**
+ * 依儲存服務類型建立請求
+ * @param {string} type - SAVE_MAP_SERVICE_TYPES 的鍵
+ * @param {string} name - 地圖名稱（不含副檔名）
+ */
+export const buildSaveMapRequest = (type, name) => {
+  switch (type) {
+    case 'slam_toolbox/SaveMap':
+      return { name: { data: name } };
+    case 'cartographer_ros_msgs/WriteState':
+      return { filename: `${name}.pbstream`, include_unfinished_submaps: true };
+    case TRIGGER_TYPE:
+      return {};
+    case 'nav2_msgs/SaveMap':
+    default:
+      return {
+        map_topic: 'map',
+        map_url: name,
+        image_format: 'pgm',
+        map_mode: 'trinary',
+        free_thresh: 0.25,
+        occupied_thresh: 0.65
+      };
+  }
+};
+
+/**
+ * 解讀各種服務回應的成功與否
+ * @param {string} type - 服務類型
+ * @param {object} response
+ * @returns {{ success: boolean, message: string }}
+ */
+export const parseServiceResponse = (type, response = {}) => {
+  switch (type) {
+    case 'slam_toolbox/SaveMap':
+      // slam_toolbox 的 result：0 成功、1 沒有收到地圖、255 未定義錯誤
+      return { success: response.result === 0, message: response.result === 1 ? '沒有收到地圖' : '' };
+    case 'cartographer_ros_msgs/WriteState': {
+      const status = response.status || {};
+      return { success: status.code === 0, message: status.message || '' };
+    }
+    case 'nav2_msgs/SaveMap':
+      return { success: response.result === true, message: '' };
+    default:
+      return { success: response.success !== false, message: response.message || '' };
+  }
+};
+
+/**
+ * 建圖進度：已探索（非未知）的面積
+ * @param {object|null} grid - nav_msgs/OccupancyGrid
+ * @returns {{ knownCells: number, totalCells: number, area: number }} area 單位為平方公尺
+ */
+export const computeMappingProgress = (grid) => {
+  if (!grid || !grid.data) return { knownCells: 0, totalCells: 0, area: 0 };
+  let knownCells = 0;
+  for (let i = 0; i < grid.data.length; i++) {
+    if (grid.data[i] !== -1) knownCells++;
+  }
+  const { resolution } = grid.info;
+  return { knownCells, totalCells: grid.data.length, area: knownCells * resolution * resolution };
+};
+
+/**
+ * 經過時間顯示為 m:ss 或 h:mm:ss
+ * @param {number} seconds
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * 建立 SLAM 服務客戶端，所有方法回傳 Promise，失敗時以 Error 拒絕
+ * @param {object} options
+ * @param {object} options.ROSLIB - ROSLIB 實作
+ * @param {object} options.ros - 已連接的 ROS 實例
+ * @param {number} [options.timeout] - 服務逾時（毫秒）
+ */
+export const createSlamClient = ({ ROSLIB, ros, timeout = SLAM_SERVICE_TIMEOUT }) => {
+  const call = (name, serviceType, request) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${name} 沒有回應`)), timeout);
+    const settle = (fn, value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+    const service = new ROSLIB.Service({ ros, name, serviceType });
+    service.callService(request, (response) => {
+      const { success, message } = parseServiceResponse(serviceType, response);
+      if (success) {
+        settle(resolve, message);
+      } else {
+        settle(reject, new Error(message || `${name} 回報失敗`));
+      }
+    }, (error) => settle(reject, new Error(typeof error === 'string' ? error : `${name} 呼叫失敗`)));
+  });
+
+  const trigger = (name) => (name ? call(name, TRIGGER_TYPE, {}) : Promise.resolve(''));
+
+  return {
+    start: (options) => trigger(options.startService),
+    stop: (options) => trigger(options.stopService),
+    saveMap: (options, name) => {
+      if (saveServiceTakesName(options.saveServiceType) && !isValidMapName(name)) return Promise.reject(new Error(`地圖名稱無效: ${name}`));
+      if (!options.saveService) return Promise.reject(new Error('未設定儲存地圖服務'));
+      return call(options.saveService, options.saveServiceType, buildSaveMapRequest(options.saveServiceType, name));
+    }
+  };
+};
+
+export const loadSlamOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_SLAM_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_SLAM_OPTIONS };
+  }
+};
+
+export const saveSlamOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存 SLAM 設定');
+  }
+};
@@ -0,0 +1,126 @@
+import {
+  applySlamPreset,
+  buildSaveMapRequest,
+  computeMappingProgress,
+  createSlamClient,
+  DEFAULT_SLAM_OPTIONS,
+  formatDuration,
+  isValidMapName,
+  parseServiceResponse,
+  SAVE_MAP_SERVICE_TYPES,
+  saveServiceTakesName,
+  SLAM_PRESETS
+} from './slam';
+
+// 簡易 ROSLIB 替身：依服務名稱回應預先設定的結果
+const createFakeRoslib = (responses) => {
+  const calls = [];
+  class Service {
+    constructor({ name, serviceType }) {
+      this.name = name;
+      this.serviceType = serviceType;
+    }
+    callService(request, callback, failedCallback) {
+      calls.push({ name: this.name, serviceType: this.serviceType, request });
+      const response = responses[this.name];
+      if (response === undefined) {
+        failedCallback('Service does not exist');
+      } else if (response !== null) {
+        callback(response);
+      }
+    }
+  }
+  return { ROSLIB: { Service }, calls };
+};
+
+test('starts and stops SLAM through Trigger hooks', async () => {
+  const { ROSLIB, calls } = createFakeRoslib({
+    '/slam_gmapping/start': { success: true, message: 'started' },
+    '/slam_gmapping/stop': { success: false, message: 'not running' }
+  });
+  const client = createSlamClient({ ROSLIB, ros: {} });
+
+  await expect(client.start(DEFAULT_SLAM_OPTIONS)).resolves.toBe('started');
+  await expect(client.stop(DEFAULT_SLAM_OPTIONS)).rejects.toThrow('not running');
+  expect(calls[0]).toEqual({ name: '/slam_gmapping/start', serviceType: 'std_srvs/Trigger', request: {} });
+
+  // 未設定服務時不呼叫
+  await expect(client.start({ ...DEFAULT_SLAM_OPTIONS, startService: '' })).resolves.toBe('');
+  expect(calls).toHaveLength(2);
+});
+
+test('saves the map with the request shape of the configured service', async () => {
+  const { ROSLIB, calls } = createFakeRoslib({
+    '/slam_toolbox/save_map': { result: 0 }
+  });
+  const client = createSlamClient({ ROSLIB, ros: {} });
+  const options = applySlamPreset(DEFAULT_SLAM_OPTIONS, 'slam_toolbox');
+
+  await client.saveMap(options, 'lab_1f');
+  expect(calls[0]).toEqual({
+    name: '/slam_toolbox/save_map',
+    serviceType: 'slam_toolbox/SaveMap',
+    request: { name: { data: 'lab_1f' } }
+  });
+  await expect(client.saveMap(options, 'bad name')).rejects.toThrow('地圖名稱無效');
+  await expect(client.saveMap(DEFAULT_SLAM_OPTIONS, 'lab')).rejects.toThrow('Service does not exist');
+});
+
+test('saves through a Trigger hook without a map name', async () => {
+  const { ROSLIB, calls } = createFakeRoslib({
+    '/slam_gmapping/save_map': { success: true, message: 'saved' }
+  });
+  const client = createSlamClient({ ROSLIB, ros: {} });
+
+  await expect(client.saveMap(DEFAULT_SLAM_OPTIONS, '')).resolves.toBe('saved');
+  expect(calls[0]).toEqual({ name: '/slam_gmapping/save_map', serviceType: 'std_srvs/Trigger', request: {} });
+  expect(saveServiceTakesName(DEFAULT_SLAM_OPTIONS.saveServiceType)).toBe(false);
+});
+
+test('rejects when a service does not answer in time', async () => {
+  jest.useFakeTimers();
+  try {
+    const { ROSLIB } = createFakeRoslib({ '/slam_gmapping/start': null });
+    const client = createSlamClient({ ROSLIB, ros: {}, timeout: 1000 });
+    const result = client.start(DEFAULT_SLAM_OPTIONS);
+
+    jest.advanceTimersByTime(1000);
+    await expect(result).rejects.toThrow('/slam_gmapping/start 沒有回應');
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('builds and reads the supported save services', () => {
+  expect(buildSaveMapRequest('nav2_msgs/SaveMap', 'maps/lab')).toMatchObject({ map_url: 'maps/lab', image_format: 'pgm' });
+  expect(buildSaveMapRequest('cartographer_ros_msgs/WriteState', 'lab').filename).toBe('lab.pbstream');
+  expect(parseServiceResponse('nav2_msgs/SaveMap', { result: true }).success).toBe(true);
+  expect(parseServiceResponse('slam_toolbox/SaveMap', { result: 1 })).toEqual({ success: false, message: '沒有收到地圖' });
+  expect(parseServiceResponse('cartographer_ros_msgs/WriteState', { status: { code: 2, message: 'busy' } }))
+    .toEqual({ success: false, message: 'busy' });
+});
+
+test('applies presets and validates map names', () => {
+  const options = applySlamPreset({ ...DEFAULT_SLAM_OPTIONS, startService: '/custom' }, 'cartographer');
+  expect(options).toMatchObject({ preset: 'cartographer', saveService: '/write_state', startService: '/cartographer/start' });
+  expect(options.label).toBeUndefined();
+  expect(options.ros).toBeUndefined();
+
+  // 預設組合的儲存服務必須存在於同一個 ROS 版本
+  Object.values(SLAM_PRESETS).forEach(preset => {
+    expect(SAVE_MAP_SERVICE_TYPES[preset.saveServiceType].ros).toContain(preset.ros);
+  });
+  expect(SLAM_PRESETS.gmapping.ros).toBe(1);
+  expect(applySlamPreset(options, 'unknown')).toBe(options);
+  expect(isValidMapName('maps/lab-1f_v2')).toBe(true);
+  expect(isValidMapName('../etc')).toBe(false);
+  expect(isValidMapName('')).toBe(false);
+});
+
+test('measures explored area and formats the session duration', () => {
+  const grid = { info: { resolution: 0.5 }, data: [-1, 0, 100, -1, 50, -1] };
+  expect(computeMappingProgress(grid)).toEqual({ knownCells: 3, totalCells: 6, area: 0.75 });
+  expect(computeMappingProgress(null).area).toBe(0);
+  expect(formatDuration(65)).toBe('1:05');
+  expect(formatDuration(3725)).toBe('1:02:05');
+});
@@ -0,0 +1,189 @@
+// TF 座標轉換 - 訂閱 /tf 與 /tf_static，快取座標框架樹並查詢任意兩框架間的轉換
+import { quaternionToYaw } from '../map/transform';
+
+export const DEFAULT_TF_OPTIONS = {
+  fixedFrame: 'map',
+  baseFrame: 'base_footprint',
+  staleTimeout: 1.0 // 秒，超過此時間沒有更新視為過期
+};
+
+const STORAGE_KEY = 'amr_tf_options';
+
+const IDENTITY = {
+  translation: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0, w: 1 }
+};
+
+// 框架名稱去掉 tf1 時代的前置斜線
+export const normalizeFrameId = (frameId) => (frameId || '').replace(/^\/+/, '');
+
+const multiplyQuaternions = (a, b) => ({
+  x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+  y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+  z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+  w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+});
+
+const rotateVector = (q, v) => {
+  const p = multiplyQuaternions(multiplyQuaternions(q, { x: v.x, y: v.y, z: v.z, w: 0 }), { x: -q.x, y: -q.y, z: -q.z, w: q.w });
+  return { x: p.x, y: p.y, z: p.z };
+};
+
+/**
+ * 轉換組合：先套用 b 再套用 a（a ∘ b）
+ */
+export const composeTransforms = (a, b) => {
+  const rotated = rotateVector(a.rotation, b.translation);
+  return {
+    translation: {
+      x: a.translation.x + rotated.x,
+      y: a.translation.y + rotated.y,
+      z: a.translation.z + rotated.z
+    },
+    rotation: multiplyQuaternions(a.rotation, b.rotation)
+  };
+};
+
+export const invertTransform = (t) => {
+  const inverseRotation = { x: -t.rotation.x, y: -t.rotation.y, z: -t.rotation.z, w: t.rotation.w };
+  const translation = rotateVector(inverseRotation, t.translation);
+  return {
+    translation: { x: -translation.x, y: -translation.y, z: -translation.z },
+    rotation: inverseRotation
+  };
+};
+
+/**
+ * 建立座標框架樹快取
+ * @param {object} [options]
+ * @param {function} [options.now] - 目前時間（毫秒），以接收時間判斷是否過期，不受機器人時鐘偏差影響
+ */
+export const createTfTree = ({ now = Date.now } = {}) => {
+  // child → { parent, transform, isStatic, receivedAt }
+  const frames = new Map();
+
+  /**
+   * @param {Array<object>} transforms - geometry_msgs/TransformStamped
+   * @param {boolean} [isStatic]
+   */
+  const update = (transforms, isStatic = false) => {
+    const receivedAt = now();
+    (transforms || []).forEach((stamped) => {
+      const child = normalizeFrameId(stamped.child_frame_id);
+      const parent = normalizeFrameId(stamped.header && stamped.header.frame_id);
+      if (!child || !parent || child === parent) return;
+      frames.set(child, {
+        parent,
+        transform: {
+          translation: { ...IDENTITY.translation, ...stamped.transform.translation },
+          rotation: { ...IDENTITY.rotation, ...stamped.transform.rotation }
+        },
+        isStatic,
+        receivedAt
+      });
+    });
+  };
+
+  // 由 frame 往上到根，回傳路徑上的框架（含自己）
+  const pathToRoot = (frame) => {
+    const path = [frame];
+    const visited = new Set(path);
+    let current = frame;
+    while (frames.has(current)) {
+      current = frames.get(current).parent;
+      if (visited.has(current)) break; // 避免錯誤資料造成的循環
+      visited.add(current);
+      path.push(current);
+    }
+    return path;
+  };
+
+  // frame 在 ancestor 座標系下的轉換，並回傳途經動態轉換中最舊的接收時間
+  const chainTransform = (path, ancestor) => {
+    let transform = IDENTITY;
+    let oldest = Infinity;
+    for (let i = 0; i < path.length && path[i] !== ancestor; i++) {
+      const link = frames.get(path[i]);
+      transform = composeTransforms(link.transform, transform);
+      if (!link.isStatic) oldest = Math.min(oldest, link.receivedAt);
+    }
+    return { transform, oldest };
+  };
+
+  /**
+   * 查詢 source 框架在 target 框架中的位姿
+   * @returns {{ translation, rotation, yaw: number, age: number }|null} age 為秒；全為靜態轉換時為 0
+   */
+  const lookup = (target, source) => {
+    const targetFrame = normalizeFrameId(target);
+    const sourceFrame = normalizeFrameId(source);
+    const sourcePath = pathToRoot(sourceFrame);
+    const targetPath = pathToRoot(targetFrame);
+    const common = sourcePath.find(frame => targetPath.includes(frame));
+    if (common === undefined) return null;
+
+    const fromSource = chainTransform(sourcePath, common);
+    const fromTarget = chainTransform(targetPath, common);
+    const transform = composeTransforms(invertTransform(fromTarget.transform), fromSource.transform);
+    const oldest = Math.min(fromSource.oldest, fromTarget.oldest);
+
+    return {
+      ...transform,
+      yaw: quaternionToYaw(transform.rotation),
+      age: oldest === Infinity ? 0 : (now() - oldest) / 1000
+    };
+  };
+
+  return {
+    update,
+    lookup,
+    clear: () => frames.clear(),
+    getFrames: () => [...new Set([...frames.keys(), ...[...frames.values()].map(link => link.parent)])].sort()
+  };
+};
+
+/**
+ * 訂閱 /tf 與 /tf_static 並寫入框架樹
+ * @param {object} options
+ * @param {function} [options.onUpdate] - 每則訊息寫入後呼叫
+ * @returns {{ dispose: function }}
+ */
+export const createTfListener = ({ ROSLIB, ros, tree, onUpdate }) => {
+  const tfTopic = new ROSLIB.Topic({ ros, name: '/tf', messageType: 'tf2_msgs/TFMessage' });
+  const staticTopic = new ROSLIB.Topic({ ros, name: '/tf_static', messageType: 'tf2_msgs/TFMessage' });
+
+  const handleTf = (message) => {
+    tree.update(message.transforms, false);
+    if (onUpdate) onUpdate();
+  };
+  const handleStatic = (message) => {
+    tree.update(message.transforms, true);
+    if (onUpdate) onUpdate();
+  };
+  tfTopic.subscribe(handleTf);
+  staticTopic.subscribe(handleStatic);
+
+  return {
+    dispose: () => {
+      tfTopic.unsubscribe(handleTf);
+      staticTopic.unsubscribe(handleStatic);
+    }
+  };
+};
+
+export const loadTfOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_TF_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_TF_OPTIONS };
+  }
+};
+
+export const saveTfOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存 TF 設定');
+  }
+};
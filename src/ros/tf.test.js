@@ -0,0 +1,89 @@
+import { yawToQuaternion } from './navigation';
+import { createTfTree, createTfListener } from './tf';
+
+const stamped = (parent, child, x, y, yaw) => ({
+  header: { frame_id: parent },
+  child_frame_id: child,
+  transform: { translation: { x, y, z: 0 }, rotation: yawToQuaternion(yaw) }
+});
+
+test('chains transforms from the map frame down to the robot base', () => {
+  const tree = createTfTree({ now: () => 0 });
+  tree.update([stamped('map', 'odom', 1, 0, Math.PI / 2)]);
+  tree.update([stamped('odom', 'base_footprint', 2, 0, 0)]);
+
+  const pose = tree.lookup('map', 'base_footprint');
+  expect(pose.translation.x).toBeCloseTo(1);
+  expect(pose.translation.y).toBeCloseTo(2);
+  expect(pose.yaw).toBeCloseTo(Math.PI / 2);
+});
+
+test('looks up across branches through the common ancestor', () => {
+  const tree = createTfTree({ now: () => 0 });
+  tree.update([
+    stamped('odom', 'base_footprint', 1, 1, Math.PI),
+    stamped('map', 'odom', 0, 0, 0)
+  ]);
+  tree.update([stamped('/base_footprint', 'base_scan', 0.5, 0, 0)], true);
+
+  const scanInMap = tree.lookup('map', 'base_scan');
+  expect(scanInMap.translation.x).toBeCloseTo(0.5);
+  expect(scanInMap.translation.y).toBeCloseTo(1);
+
+  // 反方向：map 原點在雷射框架中的位置
+  const mapInScan = tree.lookup('base_scan', 'map');
+  expect(mapInScan.translation.x).toBeCloseTo(0.5);
+  expect(mapInScan.translation.y).toBeCloseTo(1);
+  expect(tree.getFrames()).toEqual(['base_footprint', 'base_scan', 'map', 'odom']);
+});
+
+test('returns null for disconnected frames', () => {
+  const tree = createTfTree();
+  tree.update([stamped('odom', 'base_footprint', 0, 0, 0)]);
+  expect(tree.lookup('map', 'base_footprint')).toBeNull();
+  expect(tree.lookup('map', 'odom')).toBeNull();
+});
+
+test('reports the age of the oldest dynamic link and ignores static ones', () => {
+  let time = 1000;
+  const tree = createTfTree({ now: () => time });
+  tree.update([stamped('map', 'odom', 0, 0, 0)]);
+  time = 1500;
+  tree.update([stamped('odom', 'base_footprint', 0, 0, 0)]);
+  tree.update([stamped('base_footprint', 'base_link', 0, 0, 0)], true);
+
+  time = 2000;
+  expect(tree.lookup('map', 'base_footprint').age).toBeCloseTo(1);
+  expect(tree.lookup('base_footprint', 'base_link').age).toBe(0);
+});
+
+test('feeds /tf and /tf_static messages into the tree', () => {
+  const topics = {};
+  const ROSLIB = {
+    Topic: class {
+      constructor({ name }) {
+        this.name = name;
+        topics[name] = this;
+      }
+
+      subscribe(callback) {
+        this.callback = callback;
+      }
+
+      unsubscribe(callback) {
+        if (callback === this.callback) this.callback = null;
+      }
+    }
+  };
+  const tree = createTfTree();
+  const onUpdate = jest.fn();
+  const listener = createTfListener({ ROSLIB, ros: {}, tree, onUpdate });
+
+  topics['/tf'].callback({ transforms: [stamped('map', 'odom', 1, 0, 0)] });
+  topics['/tf_static'].callback({ transforms: [stamped('odom', 'base_footprint', 1, 0, 0)] });
+  expect(tree.lookup('map', 'base_footprint').translation.x).toBeCloseTo(2);
+  expect(onUpdate).toHaveBeenCalledTimes(2);
+
+  listener.dispose();
+  expect(topics['/tf'].callback).toBeNull();
+});
@@ -0,0 +1,87 @@
+// 模擬器定位 - 模擬 AMCL 的估計位姿與粒子雲
+//
+// 模擬器沒有定位誤差，估計位姿即為真實位姿；只模擬不確定性：設定初始位姿後以訊息中的共變異數重新撒粒子，
+// 機器人移動時逐漸收斂。
+import { yawToQuaternion } from '../ros/navigation';
+
+// 收斂後的變異數（x、y 為 m²，yaw 為 rad²）
+const CONVERGED_VARIANCE = { x: 0.0025, y: 0.0025, yaw: 0.003 };
+// 每次移動中的更新，變異數乘上此係數
+const CONVERGENCE_RATE = 0.85;
+const PARTICLE_COUNT = 100;
+
+// Box-Muller 常態分佈取樣
+const gaussian = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * 建立模擬 AMCL
+ * @param {object} [options]
+ * @param {function} [options.random] - 0..1 亂數來源
+ */
+export const createSimulatedAmcl = ({ random = Math.random } = {}) => {
+  let variance = { ...CONVERGED_VARIANCE };
+
+  /**
+   * 套用 /initialpose 的共變異數（geometry_msgs/PoseWithCovarianceStamped）
+   */
+  const setInitialPose = (message) => {
+    const covariance = message.pose && message.pose.covariance;
+    if (!covariance) return;
+    variance = {
+      x: Math.max(CONVERGED_VARIANCE.x, covariance[0]),
+      y: Math.max(CONVERGED_VARIANCE.y, covariance[7]),
+      yaw: Math.max(CONVERGED_VARIANCE.yaw, covariance[35])
+    };
+  };
+
+  /**
+   * 濾波器更新：AMCL 只在機器人移動時更新，不動時不確定性維持不變
+   * @param {boolean} moving
+   */
+  const update = (moving) => {
+    if (!moving) return;
+    Object.keys(variance).forEach(key => {
+      variance[key] = Math.max(CONVERGED_VARIANCE[key], variance[key] * CONVERGENCE_RATE);
+    });
+  };
+
+  const poseMessage = ({ x, y, yaw }, header) => {
+    const covariance = new Array(36).fill(0);
+    covariance[0] = variance.x;
+    covariance[7] = variance.y;
+    covariance[35] = variance.yaw;
+    return {
+      header,
+      pose: {
+        pose: { position: { x, y, z: 0 }, orientation: yawToQuaternion(yaw) },
+        covariance
+      }
+    };
+  };
+
+  const particleCloudMessage = ({ x, y, yaw }, header) => {
+    const poses = [];
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      poses.push({
+        position: {
+          x: x + gaussian(random) * Math.sqrt(variance.x),
+          y: y + gaussian(random) * Math.sqrt(variance.y),
+          z: 0
+        },
+        orientation: yawToQuaternion(yaw + gaussian(random) * Math.sqrt(variance.yaw))
+      });
+    }
+    return { header, poses };
+  };
+
+  return {
+    setInitialPose,
+    update,
+    poseMessage,
+    particleCloudMessage,
+    getVariance: () => ({ ...variance })
+  };
+};
@@ -0,0 +1,98 @@
+// 模擬器代價地圖 - 以 costmap_2d 的膨脹公式由靜態地圖產生全域代價地圖，區域代價地圖為機器人周圍的視窗
+import { COSTMAP_VALUES } from '../map/costmap';
+
+// TurtleBot3 Burger 的預設膨脹參數
+export const INFLATION = {
+  inscribedRadius: 0.105, // m
+  inflationRadius: 0.5,   // m
+  costScalingFactor: 3.0
+};
+
+const LETHAL_THRESHOLD = 65;
+
+// costmap_2d：膨脹代價 252 * exp(-factor * (d - inscribed))，再由 1..252 對應到 OccupancyGrid 的 1..98
+const inflatedCost = (distance, { inscribedRadius, costScalingFactor }) => {
+  if (distance <= inscribedRadius) return COSTMAP_VALUES.INSCRIBED;
+  const cost = 252 * Math.exp(-costScalingFactor * (distance - inscribedRadius));
+  return cost < 1 ? COSTMAP_VALUES.FREE : Math.max(1, Math.round(1 + (97 * (cost - 1)) / 251));
+};
+
+/**
+ * 由靜態地圖產生膨脹後的代價地圖
+ * @param {object} map - nav_msgs/OccupancyGrid
+ * @param {object} [inflation]
+ */
+export const createInflatedCostmap = (map, inflation = INFLATION) => {
+  const { width, height, resolution } = map.info;
+  const data = map.data.map(value => (value >= LETHAL_THRESHOLD ? COSTMAP_VALUES.LETHAL : COSTMAP_VALUES.FREE));
+  const radiusCells = Math.ceil(inflation.inflationRadius / resolution);
+
+  // 預先計算膨脹核心
+  const kernel = [];
+  for (let dr = -radiusCells; dr <= radiusCells; dr++) {
+    for (let dc = -radiusCells; dc <= radiusCells; dc++) {
+      const distance = Math.hypot(dc, dr) * resolution;
+      if ((dc || dr) && distance <= inflation.inflationRadius) {
+        kernel.push({ dc, dr, cost: inflatedCost(distance, inflation) });
+      }
+    }
+  }
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (map.data[row * width + col] < LETHAL_THRESHOLD) continue;
+      kernel.forEach(({ dc, dr, cost }) => {
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || c >= width || r < 0 || r >= height) return;
+        const index = r * width + c;
+        if (data[index] < cost) data[index] = cost;
+      });
+    }
+  }
+
+  return { header: { ...map.header }, info: { ...map.info }, data };
+};
+
+/**
+ * 擷取以 center 為中心、邊長 size（公尺）的區域代價地圖，原點對齊柵格
+ * @param {object} costmap - createInflatedCostmap 的結果（原點無旋轉）
+ * @param {{ x: number, y: number }} center
+ * @param {number} size
+ * @param {object} header - 輸出訊息標頭
+ */
+export const cropCostmap = (costmap, center, size, header) => {
+  const { resolution, width, height, origin } = costmap.info;
+  const cells = Math.round(size / resolution);
+  const colStart = Math.round((center.x - origin.position.x) / resolution - cells / 2);
+  const rowStart = Math.round((center.y - origin.position.y) / resolution - cells / 2);
+  const data = new Array(cells * cells).fill(COSTMAP_VALUES.UNKNOWN);
+
+  for (let r = 0; r < cells; r++) {
+    const row = rowStart + r;
+    if (row < 0 || row >= height) continue;
+    for (let c = 0; c < cells; c++) {
+      const col = colStart + c;
+      if (col < 0 || col >= width) continue;
+      data[r * cells + c] = costmap.data[row * width + col];
+    }
+  }
+
+  return {
+    header,
+    info: {
+      ...costmap.info,
+      width: cells,
+      height: cells,
+      origin: {
+        position: {
+          x: origin.position.x + colStart * resolution,
+          y: origin.position.y + rowStart * resolution,
+          z: 0
+        },
+        orientation: { x: 0, y: 0, z: 0, w: 1 }
+      }
+    },
+    data
+  };
+};
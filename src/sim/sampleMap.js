@@ -0,0 +1,59 @@
+// 模擬器範例地圖 - 10m x 8m 的房間，含內牆與障礙物
+
+const FREE = 0;
+const OCCUPIED = 100;
+
+export const SAMPLE_MAP_INFO = {
+  resolution: 0.05,
+  width: 200,
+  height: 160,
+  origin: {
+    position: { x: -5, y: -4, z: 0 },
+    orientation: { x: 0, y: 0, z: 0, w: 1 }
+  }
+};
+
+// 以 map 座標（公尺）描述的矩形障礙物：[xMin, yMin, xMax, yMax]
+const OBSTACLES = [
+  // 外牆
+  [-5, -4, 5, -3.9],
+  [-5, 3.9, 5, 4],
+  [-5, -4, -4.9, 4],
+  [4.9, -4, 5, 4],
+  // 內牆（上方留門）
+  [-2.05, -4, -1.95, -1],
+  // 障礙物
+  [-3.5, 1.5, -2.5, 2.5],
+  [3.1, -2.9, 3.9, -2.1],
+  [2.5, 2, 3, 3.5]
+];
+
+/**
+ * 產生範例 nav_msgs/OccupancyGrid
+ * @param {object} [header] - 訊息標頭
+ */
+export const createSampleMap = (header = { frame_id: 'map' }) => {
+  const { width, height, resolution, origin } = SAMPLE_MAP_INFO;
+  const data = new Array(width * height).fill(FREE);
+
+  OBSTACLES.forEach(([xMin, yMin, xMax, yMax]) => {
+    const colMin = Math.max(0, Math.floor((xMin - origin.position.x) / resolution));
+    const colMax = Math.min(width - 1, Math.ceil((xMax - origin.position.x) / resolution) - 1);
+    const rowMin = Math.max(0, Math.floor((yMin - origin.position.y) / resolution));
+    const rowMax = Math.min(height - 1, Math.ceil((yMax - origin.position.y) / resolution) - 1);
+    for (let row = rowMin; row <= rowMax; row++) {
+      for (let col = colMin; col <= colMax; col++) {
+        data[row * width + col] = OCCUPIED;
+      }
+    }
+  });
+
+  return {
+    header,
+    info: {
+      map_load_time: header.stamp || { secs: 0, nsecs: 0 },
+      ...SAMPLE_MAP_INFO
+    },
+    data
+  };
+};
@@ -0,0 +1,450 @@
+// 瀏覽器內 TurtleBot 模擬器 - 以 WebSocket 介面提供 rosbridge v2 協定
+//
+// 連線 URL 使用 sim:// 時，ROSLIB.Ros 以 SimulatorWebSocket 取代瀏覽器的 WebSocket，
+// 介面其餘部分不需要區分真實機器人或模擬器。
+import { yawToQuaternion } from '../ros/navigation';
+import { POWER_SUPPLY_STATUS } from '../ros/battery';
+import { quaternionToYaw } from '../map/transform';
+import { DEFAULT_PATH_OPTIONS } from '../map/paths';
+import { DEFAULT_COSTMAP_OPTIONS } from '../map/costmap';
+import { createInflatedCostmap, cropCostmap } from './costmaps';
+import { createSampleMap } from './sampleMap';
+import { createSimulatedSlam } from './slam';
+import { createSimulatedAmcl } from './amcl';
+import { DEFAULT_LOCALIZATION_OPTIONS } from '../ros/localization';
+import { createTurtleBot, SCAN_CONFIG } from './turtlebot';
+
+// TurtleBot3 LiPo 3S 1800mAh
+const BATTERY = {
+  capacity: 1.8,     // Ah
+  minVoltage: 9.9,
+  maxVoltage: 12.6,
+  idleCurrent: 0.5,  // A
+  driveCurrent: 2.0, // 每 m/s 額外電流
+  turnCurrent: 0.2   // 每 rad/s 額外電流
+};
+
+export const SIMULATOR_URL = 'sim://turtlebot3';
+
+export const isSimulatorUrl = (url) => typeof url === 'string' && url.startsWith('sim://');
+
+// 模擬頻率（Hz）
+const SIM_RATE = 20;
+// 每隔幾個模擬步發布一次
+const SLOW_TOPIC_DIVIDER = 4;
+const BATTERY_TOPIC_DIVIDER = SIM_RATE;
+const CONNECT_DELAY = 100;
+// 模擬規劃器：路徑取樣間距與區域路徑長度（公尺）
+const PLAN_STEP = 0.1;
+const LOCAL_PLAN_LENGTH = 0.6;
+// 區域代價地圖邊長（公尺）
+const LOCAL_COSTMAP_SIZE = 3;
+
+const nowStamp = () => {
+  const ms = Date.now();
+  return { secs: Math.floor(ms / 1000), nsecs: (ms % 1000) * 1e6 };
+};
+
+const header = (frameId) => ({ seq: 0, stamp: nowStamp(), frame_id: frameId });
+
+/**
+ * 建立模擬世界：機器人模型、話題訂閱與 rosbridge 操作處理
+ */
+export const createSimulatorWorld = () => {
+  const map = createSampleMap(header('map'));
+  const robot = createTurtleBot({ map });
+  const amcl = createSimulatedAmcl();
+  // socket → { topics: { [topic]: { ids: Set, throttle, lastSent } } }
+  const clients = new Map();
+  const services = {};
+  let timer = null;
+  let tick = 0;
+  let reportedGoalId = null;
+  let globalCostmap = null;
+  // 建圖結果在停止後仍保留為 /map，直到下次開始建圖
+  let slam = null;
+  let slamRunning = false;
+  const battery = { charge: BATTERY.capacity, current: -BATTERY.idleCurrent };
+
+  const send = (socket, message) => socket.deliver(message);
+
+  const publish = (topic, msg) => {
+    const now = Date.now();
+    clients.forEach((client, socket) => {
+      const subscription = client.topics[topic];
+      if (!subscription || now - subscription.lastSent < subscription.throttle) return;
+      subscription.lastSent = now;
+      send(socket, { op: 'publish', topic, msg });
+    });
+  };
+
+  const odometryMessage = () => {
+    const { x, y, yaw, v, w } = robot.getState();
+    return {
+      header: header('odom'),
+      child_frame_id: 'base_footprint',
+      pose: {
+        pose: { position: { x, y, z: 0 }, orientation: yawToQuaternion(yaw) },
+        covariance: new Array(36).fill(0)
+      },
+      twist: {
+        twist: { linear: { x: v, y: 0, z: 0 }, angular: { x: 0, y: 0, z: w } },
+        covariance: new Array(36).fill(0)
+      }
+    };
+  };
+
+  const scanMessage = () => ({
+    header: header('base_scan'),
+    angle_min: SCAN_CONFIG.angleMin,
+    angle_max: SCAN_CONFIG.angleMin + SCAN_CONFIG.angleIncrement * (SCAN_CONFIG.count - 1),
+    angle_increment: SCAN_CONFIG.angleIncrement,
+    time_increment: 0,
+    scan_time: SLOW_TOPIC_DIVIDER / SIM_RATE,
+    range_min: SCAN_CONFIG.rangeMin,
+    range_max: SCAN_CONFIG.rangeMax,
+    ranges: robot.scan(),
+    intensities: []
+  });
+
+  const updateBattery = (dt) => {
+    const { v, w } = robot.getState();
+    battery.current = -(BATTERY.idleCurrent + BATTERY.driveCurrent * Math.abs(v) + BATTERY.turnCurrent * Math.abs(w));
+    battery.charge = Math.max(0, battery.charge + (battery.current * dt) / 3600);
+  };
+
+  const batteryMessage = () => {
+    const percentage = battery.charge / BATTERY.capacity;
+    return {
+      header: header('base_link'),
+      voltage: BATTERY.minVoltage + (BATTERY.maxVoltage - BATTERY.minVoltage) * percentage,
+      current: battery.current,
+      charge: battery.charge,
+      capacity: BATTERY.capacity,
+      design_capacity: BATTERY.capacity,
+      percentage,
+      power_supply_status: POWER_SUPPLY_STATUS.DISCHARGING,
+      present: true
+    };
+  };
+
+  const transformStamped = (parent, child, x, y, yaw) => ({
+    header: header(parent),
+    child_frame_id: child,
+    transform: { translation: { x, y, z: 0 }, rotation: yawToQuaternion(yaw) }
+  });
+
+  // 模擬器沒有定位誤差，map → odom 固定為單位轉換
+  const tfMessage = () => {
+    const { x, y, yaw } = robot.getState();
+    return {
+      transforms: [
+        transformStamped('map', 'odom', 0, 0, 0),
+        transformStamped('odom', 'base_footprint', x, y, yaw)
+      ]
+    };
+  };
+
+  // 雷射位於機器人中心，與 scan() 的計算一致
+  const staticTfMessage = () => ({
+    transforms: [
+      transformStamped('base_footprint', 'base_link', 0, 0, 0),
+      transformStamped('base_link', 'base_scan', 0, 0, 0)
+    ]
+  });
+
+  // 全域代價地圖只在第一次訂閱時計算
+  const getGlobalCostmap = () => {
+    if (!globalCostmap) globalCostmap = createInflatedCostmap(map);
+    return globalCostmap;
+  };
+
+  // map → odom 為單位轉換，視窗可直接以 map 座標擷取
+  const localCostmapMessage = () => cropCostmap(getGlobalCostmap(), robot.getState(), LOCAL_COSTMAP_SIZE, header('odom'));
+
+  const hasSubscribers = (topic) => [...clients.values()].some(client => client.topics[topic]);
+
+  const goalStatus = (goal) => ({
+    goal_id: { stamp: nowStamp(), id: goal.id },
+    status: goal.status,
+    text: goal.text
+  });
+
+  // 模擬器的機器人直線前往目標，規劃路徑即為機器人到目標的線段
+  const planMessage = (frameId, from, to, maxLength = Infinity) => {
+    const length = Math.min(Math.hypot(to.x - from.x, to.y - from.y), maxLength);
+    const heading = Math.atan2(to.y - from.y, to.x - from.x);
+    const count = Math.max(1, Math.ceil(length / PLAN_STEP));
+    const poses = [];
+    for (let i = 0; i <= count; i++) {
+      const distance = (length * i) / count;
+      poses.push({
+        header: header(frameId),
+        pose: {
+          position: { x: from.x + distance * Math.cos(heading), y: from.y + distance * Math.sin(heading), z: 0 },
+          orientation: yawToQuaternion(heading)
+        }
+      });
+    }
+    return { header: header(frameId), poses };
+  };
+
+  const publishPlans = (goal) => {
+    const state = robot.getState();
+    // map → odom 為單位轉換，區域路徑以 odom 發布以符合 move_base 的慣例
+    publish(DEFAULT_PATH_OPTIONS.globalTopic, planMessage('map', state, goal));
+    publish(DEFAULT_PATH_OPTIONS.localTopic, planMessage('odom', state, goal, LOCAL_PLAN_LENGTH));
+  };
+
+  const publishNavigation = () => {
+    const goal = robot.getGoal();
+    if (!goal) return;
+
+    publish('/move_base/status', { header: header(''), status_list: [goalStatus(goal)] });
+
+    if (!goal.finished) {
+      publishPlans(goal);
+      const { x, y, yaw } = robot.getState();
+      publish('/move_base/feedback', {
+        header: header(''),
+        status: goalStatus(goal),
+        feedback: {
+          base_position: {
+            header: header('map'),
+            pose: { position: { x, y, z: 0 }, orientation: yawToQuaternion(yaw) }
+          }
+        }
+      });
+    }
+  };
+
+  const publishLocalization = () => {
+    const state = robot.getState();
+    amcl.update(Math.abs(state.v) > 0.01 || Math.abs(state.w) > 0.01);
+    publish(DEFAULT_LOCALIZATION_OPTIONS.amclPoseTopic, amcl.poseMessage(state, header('map')));
+    if (hasSubscribers(DEFAULT_LOCALIZATION_OPTIONS.particleCloudTopic)) {
+      publish(DEFAULT_LOCALIZATION_OPTIONS.particleCloudTopic, amcl.particleCloudMessage(state, header('map')));
+    }
+  };
+
+  const publishResultIfFinished = () => {
+    const goal = robot.getGoal();
+    if (!goal || !goal.finished || reportedGoalId === goal.id) return;
+    reportedGoalId = goal.id;
+    publish('/move_base/result', { header: header(''), status: goalStatus(goal), result: {} });
+  };
+
+  const stepOnce = (dt = 1 / SIM_RATE) => {
+    robot.step(dt);
+    updateBattery(dt);
+    tick += 1;
+    publish('/odom', odometryMessage());
+    publish('/tf', tfMessage());
+    publishResultIfFinished();
+    if (tick % SLOW_TOPIC_DIVIDER === 0) {
+      const scan = scanMessage();
+      publish('/scan', scan);
+      publishLocalization();
+      if (slamRunning) {
+        const update = slam.integrateScan(robot.getState(), scan);
+        if (update) publish('/map_updates', update);
+      }
+      if (hasSubscribers(DEFAULT_COSTMAP_OPTIONS.localTopic)) publish(DEFAULT_COSTMAP_OPTIONS.localTopic, localCostmapMessage());
+      publishNavigation();
+    }
+    if (tick % BATTERY_TOPIC_DIVIDER === 0) publish('/battery_state', batteryMessage());
+  };
+
+  const startGoal = (id, pose) => {
+    robot.setGoal(id, {
+      x: pose.position.x,
+      y: pose.position.y,
+      yaw: quaternionToYaw(pose.orientation)
+    });
+    publishNavigation();
+  };
+
+  const handlePublish = (message) => {
+    const { topic, msg } = message;
+    switch (topic) {
+      case '/cmd_vel':
+        robot.setCmdVel(msg.linear ? msg.linear.x : 0, msg.angular ? msg.angular.z : 0);
+        break;
+      case '/move_base/goal':
+        startGoal(msg.goal_id.id, msg.goal.target_pose.pose);
+        break;
+      case '/move_base_simple/goal':
+        startGoal(`sim_goal_${Date.now()}`, msg.pose);
+        break;
+      case '/move_base/cancel':
+        robot.cancelGoal(msg.id);
+        break;
+      case DEFAULT_LOCALIZATION_OPTIONS.initialPoseTopic:
+        amcl.setInitialPose(msg);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // 模擬 gmapping 的機器人端 hook（std_srvs/Trigger）：啟動、停止與以 map_saver 存圖
+  services['/slam_gmapping/start'] = () => {
+    if (slamRunning) return { success: false, message: 'SLAM 已在執行' };
+    slam = createSimulatedSlam(map.info, header('map'));
+    slamRunning = true;
+    publish('/map', slam.grid);
+    return { success: true, message: '模擬 SLAM 已啟動' };
+  };
+
+  services['/slam_gmapping/stop'] = () => {
+    if (!slamRunning) return { success: false, message: 'SLAM 未執行' };
+    slamRunning = false;
+    return { success: true, message: '模擬 SLAM 已停止' };
+  };
+
+  services['/slam_gmapping/save_map'] = () => {
+    if (!slam) return { success: false, message: '尚未建圖' };
+    return { success: true, message: '已儲存為 map.pgm / map.yaml' };
+  };
+
+  const handleCallService = (socket, message) => {
+    const handler = services[message.service];
+    const respond = (values, result) => send(socket, {
+      op: 'service_response',
+      service: message.service,
+      id: message.id,
+      values,
+      result
+    });
+
+    if (!handler) {
+      respond(`模擬器不支援服務 ${message.service}`, false);
+      return;
+    }
+    try {
+      respond(handler(message.args || {}), true);
+    } catch (error) {
+      respond(error.message, false);
+    }
+  };
+
+  /**
+   * 處理來自客戶端的 rosbridge 操作
+   */
+  const handle = (socket, message) => {
+    const client = clients.get(socket);
+    if (!client) return;
+
+    switch (message.op) {
+      case 'subscribe': {
+        const subscription = client.topics[message.topic] || { ids: new Set(), throttle: Infinity, lastSent: 0 };
+        subscription.ids.add(message.id);
+        subscription.throttle = Math.min(subscription.throttle, message.throttle_rate || 0);
+        client.topics[message.topic] = subscription;
+        // /map、/tf_static 與全域代價地圖視為 latched 話題
+        if (message.topic === '/map') send(socket, { op: 'publish', topic: '/map', msg: slam ? slam.grid : map });
+        if (message.topic === DEFAULT_COSTMAP_OPTIONS.globalTopic) {
+          send(socket, { op: 'publish', topic: message.topic, msg: getGlobalCostmap() });
+        }
+        if (message.topic === '/tf_static') send(socket, { op: 'publish', topic: '/tf_static', msg: staticTfMessage() });
+        break;
+      }
+      case 'unsubscribe': {
+        const subscription = client.topics[message.topic];
+        if (!subscription) break;
+        if (message.id) subscription.ids.delete(message.id);
+        if (!message.id || subscription.ids.size === 0) delete client.topics[message.topic];
+        break;
+      }
+      case 'publish':
+        handlePublish(message);
+        break;
+      case 'call_service':
+        handleCallService(socket, message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const start = () => {
+    if (!timer) timer = setInterval(() => stepOnce(), 1000 / SIM_RATE);
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    attach: (socket) => {
+      clients.set(socket, { topics: {} });
+      start();
+    },
+    detach: (socket) => {
+      clients.delete(socket);
+      if (clients.size === 0) stop();
+    },
+    handle,
+    stepOnce,
+    stop,
+    robot,
+    amcl,
+    battery,
+    map,
+    services
+  };
+};
+
+// 所有連線共用同一個世界，重新連線後機器人位置保持不變
+let sharedWorld = null;
+
+export const getSimulatorWorld = () => {
+  if (!sharedWorld) sharedWorld = createSimulatorWorld();
+  return sharedWorld;
+};
+
+/**
+ * 與瀏覽器 WebSocket 相容的模擬器連線
+ */
+export class SimulatorWebSocket {
+  constructor(url, world = getSimulatorWorld()) {
+    this.url = url;
+    this.world = world;
+    this.readyState = 0;
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+
+    setTimeout(() => {
+      if (this.readyState !== 0) return;
+      this.readyState = 1;
+      this.world.attach(this);
+      if (this.onopen) this.onopen();
+    }, CONNECT_DELAY);
+  }
+
+  send(data) {
+    if (this.readyState !== 1) return;
+    this.world.handle(this, JSON.parse(data));
+  }
+
+  close() {
+    if (this.readyState >= 2) return;
+    this.readyState = 3;
+    this.world.detach(this);
+    setTimeout(() => {
+      if (this.onclose) this.onclose();
+    }, 0);
+  }
+
+  // 非同步送出，避免在客戶端 send() 的呼叫堆疊中觸發回調
+  deliver(message) {
+    if (this.readyState !== 1) return;
+    const data = JSON.stringify(message);
+    setTimeout(() => {
+      if (this.readyState === 1 && this.onmessage) this.onmessage({ data });
+    }, 0);
+  }
+}
@@ -0,0 +1,262 @@
+import { GOAL_STATUS } from '../ros/navigation';
+import { createSimulatorWorld, SimulatorWebSocket } from './simulator';
+import { createTurtleBot } from './turtlebot';
+import { createSampleMap } from './sampleMap';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const openSocket = (world) => {
+  const socket = new SimulatorWebSocket('sim://test', world);
+  const received = [];
+  socket.onmessage = (event) => received.push(JSON.parse(event.data));
+  jest.advanceTimersByTime(100);
+  const send = (message) => socket.send(JSON.stringify(message));
+  const flush = () => jest.advanceTimersByTime(0);
+  return { socket, received, send, flush };
+};
+
+test('integrates cmd_vel into differential-drive motion', () => {
+  const robot = createTurtleBot({ map: createSampleMap() });
+  for (let i = 0; i < 20; i++) {
+    robot.setCmdVel(0.2, 0);
+    robot.step(0.05);
+  }
+  const { x, y } = robot.getState();
+  expect(x).toBeGreaterThan(0.1);
+  expect(y).toBeCloseTo(0);
+
+  // cmd_vel 逾時後停止
+  for (let i = 0; i < 40; i++) robot.step(0.05);
+  expect(robot.getState().v).toBe(0);
+});
+
+test('stops at walls instead of passing through them', () => {
+  const robot = createTurtleBot({ map: createSampleMap(), pose: { x: 4.5, y: 0, yaw: 0 } });
+  for (let i = 0; i < 100; i++) {
+    robot.setCmdVel(0.22, 0);
+    robot.step(0.05);
+  }
+  expect(robot.getState().x).toBeLessThan(4.9 - 0.09);
+});
+
+test('serves the latched map and streams odometry to subscribers', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+
+  send({ op: 'subscribe', id: 's1', topic: '/map', type: 'nav_msgs/OccupancyGrid' });
+  send({ op: 'subscribe', id: 's2', topic: '/odom', type: 'nav_msgs/Odometry' });
+  flush();
+  expect(received[0].topic).toBe('/map');
+  expect(received[0].msg.data).toHaveLength(received[0].msg.info.width * received[0].msg.info.height);
+
+  send({ op: 'publish', topic: '/cmd_vel', msg: { linear: { x: 0.2 }, angular: { z: 0 } } });
+  world.stepOnce();
+  flush();
+  const odom = received.filter(m => m.topic === '/odom');
+  expect(odom.length).toBeGreaterThan(0);
+  expect(odom[odom.length - 1].msg.twist.twist.linear.x).toBeGreaterThan(0);
+
+  socket.close();
+  world.stop();
+});
+
+test('drives a move_base goal to success and reports the result', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 'r', topic: '/move_base/result', type: 'move_base_msgs/MoveBaseActionResult' });
+  send({
+    op: 'publish',
+    topic: '/move_base/goal',
+    msg: {
+      goal_id: { id: 'g1' },
+      goal: { target_pose: { pose: { position: { x: 0.5, y: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } } } }
+    }
+  });
+
+  for (let i = 0; i < 200; i++) world.stepOnce();
+  flush();
+
+  const result = received.find(m => m.topic === '/move_base/result');
+  expect(result.msg.status).toMatchObject({ goal_id: { id: 'g1' }, status: GOAL_STATUS.SUCCEEDED });
+  expect(world.robot.getState().x).toBeCloseTo(0.5, 1);
+
+  socket.close();
+  world.stop();
+});
+
+test('answers unknown services with a failed response', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'call_service', id: 'c1', service: '/nope', args: {} });
+  flush();
+  expect(received[0]).toMatchObject({ op: 'service_response', id: 'c1', result: false });
+  socket.close();
+  world.stop();
+});
+
+test('publishes a draining BatteryState once per second', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 'b', topic: '/battery_state', type: 'sensor_msgs/BatteryState' });
+
+  for (let i = 0; i < 40; i++) world.stepOnce();
+  flush();
+
+  const messages = received.filter(m => m.topic === '/battery_state');
+  expect(messages).toHaveLength(2);
+  expect(messages[1].msg.percentage).toBeLessThan(1);
+  expect(messages[1].msg.current).toBeLessThan(0);
+
+  socket.close();
+  world.stop();
+});
+
+test('publishes the map → odom → base_footprint chain and latches static frames', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 't1', topic: '/tf', type: 'tf2_msgs/TFMessage' });
+  send({ op: 'subscribe', id: 't2', topic: '/tf_static', type: 'tf2_msgs/TFMessage' });
+  world.stepOnce();
+  flush();
+
+  const frames = (topic) => received
+    .filter(m => m.topic === topic)
+    .flatMap(m => m.msg.transforms.map(t => `${t.header.frame_id}>${t.child_frame_id}`));
+  expect(frames('/tf_static')).toEqual(['base_footprint>base_link', 'base_link>base_scan']);
+  expect(frames('/tf')).toEqual(['map>odom', 'odom>base_footprint']);
+
+  socket.close();
+  world.stop();
+});
+
+test('publishes global and local plans toward the active goal', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 'g', topic: '/move_base/NavfnROS/plan', type: 'nav_msgs/Path' });
+  send({ op: 'subscribe', id: 'l', topic: '/move_base/DWAPlannerROS/local_plan', type: 'nav_msgs/Path' });
+  const { x, y } = world.robot.getState();
+  send({
+    op: 'publish',
+    topic: '/move_base/goal',
+    msg: {
+      goal_id: { id: 'g1' },
+      goal: { target_pose: { pose: { position: { x: x + 1, y }, orientation: { x: 0, y: 0, z: 0, w: 1 } } } }
+    }
+  });
+  flush();
+
+  const globalPlan = received.find(m => m.topic === '/move_base/NavfnROS/plan').msg;
+  const localPlan = received.find(m => m.topic === '/move_base/DWAPlannerROS/local_plan').msg;
+  expect(globalPlan.header.frame_id).toBe('map');
+  expect(globalPlan.poses[globalPlan.poses.length - 1].pose.position.x).toBeCloseTo(x + 1);
+  expect(localPlan.header.frame_id).toBe('odom');
+  expect(localPlan.poses[localPlan.poses.length - 1].pose.position.x).toBeCloseTo(x + 0.6);
+
+  socket.close();
+  world.stop();
+});
+
+test('latches an inflated global costmap and streams a local window around the robot', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 'g', topic: '/move_base/global_costmap/costmap', type: 'nav_msgs/OccupancyGrid' });
+  send({ op: 'subscribe', id: 'l', topic: '/move_base/local_costmap/costmap', type: 'nav_msgs/OccupancyGrid' });
+  for (let i = 0; i < 4; i++) world.stepOnce();
+  flush();
+
+  const globalCostmap = received.find(m => m.topic === '/move_base/global_costmap/costmap').msg;
+  expect(globalCostmap.data).toContain(100);
+  expect(globalCostmap.data).toContain(99);
+  expect(globalCostmap.data.some(value => value > 0 && value < 99)).toBe(true);
+
+  const localCostmap = received.find(m => m.topic === '/move_base/local_costmap/costmap').msg;
+  const { x, y } = world.robot.getState();
+  const { origin, width, resolution } = localCostmap.info;
+  expect(localCostmap.header.frame_id).toBe('odom');
+  expect(width).toBe(60);
+  expect(origin.position.x + (width * resolution) / 2).toBeCloseTo(x, 1);
+  expect(origin.position.y + (width * resolution) / 2).toBeCloseTo(y, 1);
+
+  socket.close();
+  world.stop();
+});
+
+test('builds a map from scans while simulated SLAM runs and saves it', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 's1', topic: '/map', type: 'nav_msgs/OccupancyGrid' });
+  send({ op: 'subscribe', id: 's2', topic: '/map_updates', type: 'map_msgs/OccupancyGridUpdate' });
+  send({ op: 'call_service', id: 'c1', service: '/slam_gmapping/start', args: {} });
+  flush();
+  const response = received.find(m => m.op === 'service_response');
+  expect(response).toMatchObject({ id: 'c1', result: true, values: { success: true } });
+  // 開始時整張地圖都是未知
+  const maps = received.filter(m => m.topic === '/map');
+  expect(maps[maps.length - 1].msg.data.every(value => value === -1)).toBe(true);
+
+  for (let i = 0; i < 4; i++) world.stepOnce();
+  flush();
+  const update = received.find(m => m.topic === '/map_updates').msg;
+  expect(update.data).toHaveLength(update.width * update.height);
+  expect(update.data).toContain(0);
+  expect(update.data).toContain(100);
+
+  send({ op: 'call_service', id: 'c2', service: '/slam_gmapping/stop', args: {} });
+  send({ op: 'call_service', id: 'c3', service: '/slam_gmapping/save_map', args: {} });
+  send({ op: 'call_service', id: 'c4', service: '/map_saver/save_map', args: { map_url: 'lab' } });
+  flush();
+  const responses = received.filter(m => m.op === 'service_response');
+  expect(responses[1]).toMatchObject({ id: 'c2', result: true, values: { success: true } });
+  expect(responses[2]).toMatchObject({ id: 'c3', result: true, values: { success: true } });
+  // ROS1 沒有 Nav2 的 map_saver 服務
+  expect(responses[3]).toMatchObject({ id: 'c4', result: false });
+
+  // 停止後不再更新，建好的地圖仍為 latched /map
+  const count = received.filter(m => m.topic === '/map_updates').length;
+  for (let i = 0; i < 4; i++) world.stepOnce();
+  flush();
+  expect(received.filter(m => m.topic === '/map_updates')).toHaveLength(count);
+  send({ op: 'subscribe', id: 's3', topic: '/map', type: 'nav_msgs/OccupancyGrid' });
+  flush();
+  expect(received[received.length - 1].msg.data).toContain(100);
+  expect(received[received.length - 1].msg.data).toContain(-1);
+
+  socket.close();
+  world.stop();
+});
+
+test('publishes AMCL pose and particles that spread on /initialpose and converge while driving', () => {
+  const world = createSimulatorWorld();
+  const { socket, received, send, flush } = openSocket(world);
+  send({ op: 'subscribe', id: 'a', topic: '/amcl_pose', type: 'geometry_msgs/PoseWithCovarianceStamped' });
+  send({ op: 'subscribe', id: 'p', topic: '/particlecloud', type: 'geometry_msgs/PoseArray' });
+  const covariance = new Array(36).fill(0);
+  covariance[0] = 0.25;
+  covariance[7] = 0.25;
+  covariance[35] = 0.07;
+  send({ op: 'publish', topic: '/initialpose', msg: { header: { frame_id: 'map' }, pose: { pose: {}, covariance } } });
+  for (let i = 0; i < 4; i++) world.stepOnce();
+  flush();
+
+  const poses = received.filter(m => m.topic === '/amcl_pose');
+  expect(poses).toHaveLength(1);
+  expect(poses[0].msg.header.frame_id).toBe('map');
+  expect(poses[0].msg.pose.covariance[0]).toBe(0.25);
+  expect(received.find(m => m.topic === '/particlecloud').msg.poses).toHaveLength(100);
+
+  // 不動時不收斂，移動後收斂
+  for (let i = 0; i < 20; i++) {
+    send({ op: 'publish', topic: '/cmd_vel', msg: { linear: { x: 0.1 }, angular: { z: 0 } } });
+    world.stepOnce();
+  }
+  expect(world.amcl.getVariance().x).toBeLessThan(0.25);
+
+  socket.close();
+  world.stop();
+});
@@ -0,0 +1,68 @@
+// 模擬器 SLAM - 由未知地圖開始，將每次雷射掃描投射到柵格上，回傳變動區域供 /map_updates 發布
+import { worldToGrid } from '../map/transform';
+import { getGridRegion } from '../map/occupancyUpdate';
+
+const UNKNOWN = -1;
+const FREE = 0;
+const OCCUPIED = 100;
+
+/**
+ * 建立模擬建圖
+ * @param {object} info - 地圖的 OccupancyGrid.info（尺寸與原點與靜態地圖相同）
+ * @param {object} header - 地圖訊息標頭
+ */
+export const createSimulatedSlam = (info, header) => {
+  const grid = {
+    header,
+    info: { ...info },
+    data: new Array(info.width * info.height).fill(UNKNOWN)
+  };
+
+  /**
+   * 投射一次掃描：射線經過的格子為自由，回波處為佔據，沒有回波時整條射線都是自由
+   * @param {{ x: number, y: number, yaw: number }} pose - 雷射在 map 座標的位姿
+   * @param {object} scan - sensor_msgs/LaserScan 的角度與距離欄位
+   * @returns {object|null} map_msgs/OccupancyGridUpdate，沒有變動時為 null
+   */
+  const integrateScan = (pose, scan) => {
+    const { width, height, resolution } = grid.info;
+    const stepSize = resolution / 2;
+    let colMin = Infinity;
+    let colMax = -Infinity;
+    let rowMin = Infinity;
+    let rowMax = -Infinity;
+
+    const mark = (x, y, value) => {
+      const cell = worldToGrid(grid.info, { x, y });
+      const col = Math.floor(cell.col);
+      const row = Math.floor(cell.row);
+      if (col < 0 || row < 0 || col >= width || row >= height) return;
+      const index = row * width + col;
+      // 已確認的障礙物不會被擦過的射線清掉
+      if (grid.data[index] === value || (value === FREE && grid.data[index] === OCCUPIED)) return;
+      grid.data[index] = value;
+      colMin = Math.min(colMin, col);
+      colMax = Math.max(colMax, col);
+      rowMin = Math.min(rowMin, row);
+      rowMax = Math.max(rowMax, row);
+    };
+
+    scan.ranges.forEach((range, i) => {
+      const angle = pose.yaw + scan.angle_min + i * scan.angle_increment;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const hit = range >= scan.range_min && range <= scan.range_max;
+      const length = hit ? range : scan.range_max;
+      for (let r = 0; r < length; r += stepSize) {
+        mark(pose.x + cos * r, pose.y + sin * r, FREE);
+      }
+      if (hit) mark(pose.x + cos * range, pose.y + sin * range, OCCUPIED);
+    });
+
+    if (colMin > colMax) return null;
+    const region = { x: colMin, y: rowMin, width: colMax - colMin + 1, height: rowMax - rowMin + 1 };
+    return { header, ...region, data: getGridRegion(grid, region).data };
+  };
+
+  return { grid, integrateScan };
+};
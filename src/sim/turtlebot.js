@@ -0,0 +1,176 @@
+// TurtleBot3 差速驅動模型 - 積分 cmd_vel、碰撞檢查、雷射模擬與簡易導航控制器
+import { GOAL_STATUS } from '../ros/navigation';
+import { worldToGrid } from '../map/transform';
+
+// TurtleBot3 Burger 規格
+export const TURTLEBOT_LIMITS = {
+  maxLinear: 0.22,
+  maxAngular: 2.84,
+  linearAccel: 1.0,
+  angularAccel: 4.0,
+  radius: 0.1
+};
+
+export const SCAN_CONFIG = {
+  angleMin: 0,
+  angleIncrement: Math.PI / 180,
+  count: 360,
+  rangeMin: 0.12,
+  rangeMax: 3.5
+};
+
+// 超過此時間沒有收到 cmd_vel 即停止（秒）
+const CMD_TIMEOUT = 0.5;
+// 卡住超過此時間即放棄導航目標（秒）
+const BLOCKED_TIMEOUT = 2.0;
+const GOAL_TOLERANCE = 0.05;
+const YAW_TOLERANCE = 0.05;
+
+const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+
+export const normalizeAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+const approach = (current, target, maxDelta) => current + clamp(target - current, maxDelta);
+
+/**
+ * 建立 TurtleBot 模型
+ * @param {object} options
+ * @param {object} options.map - nav_msgs/OccupancyGrid，用於碰撞與雷射
+ * @param {{ x: number, y: number, yaw: number }} [options.pose] - 初始位姿
+ */
+export const createTurtleBot = ({ map, pose = { x: 0, y: 0, yaw: 0 } }) => {
+  const state = { ...pose, v: 0, w: 0 };
+  let cmd = { v: 0, w: 0, age: Infinity };
+  let goal = null;
+  let blockedTime = 0;
+
+  const isOccupied = (x, y) => {
+    const { col, row } = worldToGrid(map.info, { x, y });
+    const c = Math.floor(col);
+    const r = Math.floor(row);
+    if (c < 0 || r < 0 || c >= map.info.width || r >= map.info.height) return true;
+    return map.data[r * map.info.width + c] >= 65;
+  };
+
+  const collides = (x, y) => {
+    if (isOccupied(x, y)) return true;
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * 2 * Math.PI;
+      if (isOccupied(x + Math.cos(angle) * TURTLEBOT_LIMITS.radius, y + Math.sin(angle) * TURTLEBOT_LIMITS.radius)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const setCmdVel = (linear, angular) => {
+    cmd = {
+      v: clamp(linear, TURTLEBOT_LIMITS.maxLinear),
+      w: clamp(angular, TURTLEBOT_LIMITS.maxAngular),
+      age: 0
+    };
+  };
+
+  const finishGoal = (status, text = '') => {
+    if (!goal) return;
+    goal = { ...goal, status, text, finished: true };
+  };
+
+  // 先轉向目標、再直行、最後對齊朝向
+  const navigationCommand = () => {
+    const dx = goal.x - state.x;
+    const dy = goal.y - state.y;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance > GOAL_TOLERANCE) {
+      const headingError = normalizeAngle(Math.atan2(dy, dx) - state.yaw);
+      const w = clamp(2 * headingError, TURTLEBOT_LIMITS.maxAngular);
+      const v = Math.abs(headingError) > 0.3 ? 0 : Math.min(TURTLEBOT_LIMITS.maxLinear, 0.8 * distance);
+      return { v, w };
+    }
+
+    const yawError = normalizeAngle(goal.yaw - state.yaw);
+    if (Math.abs(yawError) > YAW_TOLERANCE) {
+      return { v: 0, w: clamp(2 * yawError, TURTLEBOT_LIMITS.maxAngular) };
+    }
+
+    finishGoal(GOAL_STATUS.SUCCEEDED, '已到達目標');
+    return { v: 0, w: 0 };
+  };
+
+  /**
+   * 推進模擬
+   * @param {number} dt - 秒
+   */
+  const step = (dt) => {
+    cmd.age += dt;
+    let target = cmd.age > CMD_TIMEOUT ? { v: 0, w: 0 } : cmd;
+    if (goal && !goal.finished) target = navigationCommand();
+
+    state.v = approach(state.v, target.v, TURTLEBOT_LIMITS.linearAccel * dt);
+    state.w = approach(state.w, target.w, TURTLEBOT_LIMITS.angularAccel * dt);
+
+    const yaw = normalizeAngle(state.yaw + state.w * dt);
+    const midYaw = state.yaw + (state.w * dt) / 2;
+    const x = state.x + state.v * Math.cos(midYaw) * dt;
+    const y = state.y + state.v * Math.sin(midYaw) * dt;
+    state.yaw = yaw;
+
+    if (collides(x, y)) {
+      state.v = 0;
+      if (goal && !goal.finished) {
+        blockedTime += dt;
+        if (blockedTime > BLOCKED_TIMEOUT) finishGoal(GOAL_STATUS.ABORTED, '路徑受阻');
+      }
+    } else {
+      state.x = x;
+      state.y = y;
+      blockedTime = 0;
+    }
+  };
+
+  /**
+   * 模擬雷射掃描
+   * @returns {number[]} 每個角度的距離，沒有回波為 0
+   */
+  const scan = () => {
+    const { count, angleMin, angleIncrement, rangeMin, rangeMax } = SCAN_CONFIG;
+    const stepSize = map.info.resolution / 2;
+    const ranges = new Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const angle = state.yaw + angleMin + i * angleIncrement;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      let range = 0;
+      for (let r = rangeMin; r <= rangeMax; r += stepSize) {
+        if (isOccupied(state.x + cos * r, state.y + sin * r)) {
+          range = r;
+          break;
+        }
+      }
+      ranges[i] = range;
+    }
+    return ranges;
+  };
+
+  const setGoal = (id, target) => {
+    goal = { id, ...target, status: GOAL_STATUS.ACTIVE, text: '', finished: false };
+    blockedTime = 0;
+  };
+
+  const cancelGoal = (id) => {
+    if (!goal || goal.finished || (id && id !== goal.id)) return;
+    finishGoal(GOAL_STATUS.PREEMPTED, '目標已取消');
+  };
+
+  return {
+    step,
+    scan,
+    setCmdVel,
+    setGoal,
+    cancelGoal,
+    getGoal: () => goal,
+    getState: () => ({ ...state })
+  };
+};
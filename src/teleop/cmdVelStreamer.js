@@ -0,0 +1,140 @@
+// cmd_vel 串流 - 固定頻率發送、失聯（deadman）逾時歸零與加速度限制
+//
+// deadman 只適用於持續取樣的輸入（手把每個畫面都讀取實際狀態）；按住的按鍵、畫面按鈕與虛擬搖桿
+// 靜止時沒有事件可刷新，改以 hold 設定目標，由放開、取消或失焦事件呼叫 release 停止。
+
+export const DEFAULT_STREAM_OPTIONS = {
+  rate: 10,            // 發送頻率 (Hz)
+  deadmanTimeout: 0.5, // 超過此秒數沒有輸入即將目標速度歸零
+  linearAccel: 0.5,    // m/s²
+  angularAccel: 2.0    // rad/s²
+};
+
+const STORAGE_KEY = 'amr_teleop_options';
+
+const approach = (current, target, maxDelta) => {
+  if (Math.abs(target - current) <= maxDelta) return target;
+  return current + Math.sign(target - current) * maxDelta;
+};
+
+/**
+ * 建立 cmd_vel 串流器
+ * @param {object} options
+ * @param {function} options.publish - (linear, angular) 實際發送
+ * @param {function} [options.onDeadman] - 輸入逾時時呼叫一次
+ * @param {function} [options.now] - 目前時間（毫秒）
+ */
+export const createCmdVelStreamer = ({ publish, onDeadman, now = Date.now, ...initialOptions }) => {
+  let options = { ...DEFAULT_STREAM_OPTIONS, ...initialOptions };
+  let target = { linear: 0, angular: 0 };
+  let command = { linear: 0, angular: 0 };
+  let lastInput = 0;
+  let lastTick = 0;
+  let timer = null;
+  let deadmanFired = false;
+  let holding = false;
+
+  const isIdle = () => target.linear === 0 && target.angular === 0 && command.linear === 0 && command.angular === 0;
+
+  const stopTimer = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  const tick = () => {
+    const time = now();
+    const dt = Math.min((time - lastTick) / 1000, 1);
+    lastTick = time;
+
+    if (!holding && !deadmanFired && (time - lastInput) / 1000 > options.deadmanTimeout && (target.linear !== 0 || target.angular !== 0)) {
+      deadmanFired = true;
+      target = { linear: 0, angular: 0 };
+      if (onDeadman) onDeadman();
+    }
+
+    command = {
+      linear: approach(command.linear, target.linear, options.linearAccel * dt),
+      angular: approach(command.angular, target.angular, options.angularAccel * dt)
+    };
+    publish(command.linear, command.angular);
+
+    // 已送出零速度後停止串流，閒置時不佔用頻寬
+    if (isIdle()) stopTimer();
+  };
+
+  const startTimer = () => {
+    if (timer) return;
+    lastTick = now();
+    timer = setInterval(tick, 1000 / options.rate);
+  };
+
+  /**
+   * 更新目標速度；須持續呼叫以維持 deadman
+   */
+  const setTarget = (linear, angular) => {
+    target = { linear, angular };
+    lastInput = now();
+    deadmanFired = false;
+    holding = false;
+    if (!isIdle()) startTimer();
+  };
+
+  /**
+   * 設定按住的目標速度：不受 deadman 逾時影響，須由呼叫端在放開時呼叫 release
+   */
+  const hold = (linear, angular) => {
+    setTarget(linear, angular);
+    holding = true;
+  };
+
+  // 放開控制：依加速度限制減速到零
+  const release = () => {
+    holding = false;
+    target = { linear: 0, angular: 0 };
+  };
+
+  // 立即停止，不經過減速
+  const stop = () => {
+    holding = false;
+    target = { linear: 0, angular: 0 };
+    command = { linear: 0, angular: 0 };
+    stopTimer();
+    publish(0, 0);
+  };
+
+  const setOptions = (newOptions) => {
+    options = { ...options, ...newOptions };
+    if (timer) {
+      stopTimer();
+      startTimer();
+    }
+  };
+
+  return {
+    setTarget,
+    hold,
+    release,
+    stop,
+    setOptions,
+    dispose: stopTimer,
+    getCommand: () => ({ ...command }),
+    isStreaming: () => timer !== null
+  };
+};
+
+export const loadStreamOptions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_STREAM_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_STREAM_OPTIONS };
+  }
+};
+
+export const saveStreamOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.log('無法儲存遙控設定');
+  }
+};
@@ -0,0 +1,111 @@
+import { createCmdVelStreamer } from './cmdVelStreamer';
+
+let time;
+
+const createHarness = (options = {}) => {
+  const published = [];
+  const onDeadman = jest.fn();
+  const streamer = createCmdVelStreamer({
+    publish: (linear, angular) => published.push({ linear, angular }),
+    onDeadman,
+    now: () => time,
+    ...options
+  });
+  const advance = (ms) => {
+    time += ms;
+    jest.advanceTimersByTime(ms);
+  };
+  return { streamer, published, onDeadman, advance };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  time = 0;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('streams at the configured rate and ramps up within the acceleration limit', () => {
+  const { streamer, published, advance } = createHarness({ rate: 10, linearAccel: 0.5, angularAccel: 2 });
+  streamer.setTarget(0.2, 1);
+
+  advance(100);
+  expect(published).toHaveLength(1);
+  expect(published[0].linear).toBeCloseTo(0.05);
+  expect(published[0].angular).toBeCloseTo(0.2);
+
+  streamer.setTarget(0.2, 1);
+  advance(400);
+  expect(published).toHaveLength(5);
+  expect(published[4].linear).toBeCloseTo(0.2);
+  expect(published[4].angular).toBeCloseTo(1);
+});
+
+test('zeroes the target when input stops for longer than the deadman timeout', () => {
+  const { streamer, published, onDeadman, advance } = createHarness({
+    rate: 10,
+    deadmanTimeout: 0.5,
+    linearAccel: 10,
+    angularAccel: 10
+  });
+  streamer.setTarget(0.2, 0);
+
+  advance(500);
+  expect(published[published.length - 1].linear).toBeCloseTo(0.2);
+  expect(onDeadman).not.toHaveBeenCalled();
+
+  advance(100);
+  expect(onDeadman).toHaveBeenCalledTimes(1);
+  expect(published[published.length - 1]).toEqual({ linear: 0, angular: 0 });
+
+  // 歸零後停止串流
+  const count = published.length;
+  advance(1000);
+  expect(published).toHaveLength(count);
+  expect(streamer.isStreaming()).toBe(false);
+});
+
+test('keeps streaming while the input is refreshed', () => {
+  const { streamer, onDeadman, advance } = createHarness({ deadmanTimeout: 0.5 });
+  for (let i = 0; i < 20; i++) {
+    streamer.setTarget(0.2, 0);
+    advance(100);
+  }
+  expect(onDeadman).not.toHaveBeenCalled();
+  expect(streamer.isStreaming()).toBe(true);
+});
+
+test('held targets are not zeroed by the deadman until released', () => {
+  const { streamer, published, onDeadman, advance } = createHarness({ rate: 10, deadmanTimeout: 0.5, linearAccel: 10 });
+  streamer.hold(0.2, 0);
+
+  advance(2000);
+  expect(onDeadman).not.toHaveBeenCalled();
+  expect(published[published.length - 1].linear).toBeCloseTo(0.2);
+
+  streamer.release();
+  advance(100);
+  expect(published[published.length - 1]).toEqual({ linear: 0, angular: 0 });
+
+  // 之後一般的 setTarget 仍受 deadman 保護
+  streamer.setTarget(0.2, 0);
+  advance(600);
+  expect(onDeadman).toHaveBeenCalledTimes(1);
+});
+
+test('release decelerates while stop is immediate', () => {
+  const { streamer, published, advance } = createHarness({ rate: 10, linearAccel: 1 });
+  streamer.setTarget(0.3, 0);
+  advance(300);
+  expect(streamer.getCommand().linear).toBeCloseTo(0.3);
+
+  streamer.release();
+  advance(100);
+  expect(published[published.length - 1].linear).toBeCloseTo(0.2);
+
+  streamer.stop();
+  expect(published[published.length - 1]).toEqual({ linear: 0, angular: 0 });
+  expect(streamer.isStreaming()).toBe(false);
+});
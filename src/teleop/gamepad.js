@@ -0,0 +1,150 @@
+// 手把遙控 - 標準配置（Xbox）對應、搖桿死區與按鍵邊緣偵測
+
+// 依 https://w3c.github.io/gamepad/#remapping 的 standard 配置編號
+export const DEFAULT_GAMEPAD_MAPPING = {
+  linearAxis: 1,       // 左搖桿上下
+  angularAxis: 2,      // 右搖桿左右
+  invertLinear: true,  // 搖桿往上為負值
+  invertAngular: true, // 往左推為負值，ROS 的正角速度為左轉
+  deadmanButton: 6,    // LT，必須按住才會移動
+  estopButton: 1,      // B
+  presetButtons: [2, 0, 3], // X / A / Y 對應 SPEED_PRESETS
+  deadzone: 0.15
+};
+
+export const MAPPING_LABELS = {
+  linearAxis: '線速度軸',
+  angularAxis: '角速度軸',
+  deadmanButton: '安全鍵（按住）',
+  estopButton: '緊急停止',
+  presetButtons: '速度預設'
+};
+
+// 預設值不超出速度滑桿範圍
+export const SPEED_PRESETS = [
+  { label: '慢速', speed: 0.1, angularSpeed: 0.3 },
+  { label: '中速', speed: 0.3, angularSpeed: 0.8 },
+  { label: '快速', speed: 0.6, angularSpeed: 1.5 }
+];
+
+// 類比扳機的按下門檻
+const BUTTON_THRESHOLD = 0.5;
+// 學習模式下搖桿需推超過此值才視為選取
+const AXIS_LEARN_THRESHOLD = 0.6;
+
+const STORAGE_KEY = 'amr_gamepad_mapping';
+
+/**
+ * 套用死區並重新縮放到 -1..1，避免越過死區時速度跳動
+ */
+export const applyDeadzone = (value, deadzone) => {
+  if (!Number.isFinite(value) || Math.abs(value) <= deadzone) return 0;
+  const scaled = (Math.abs(value) - deadzone) / (1 - deadzone);
+  return Math.sign(value) * Math.min(1, scaled);
+};
+
+export const isButtonPressed = (button) => {
+  if (!button) return false;
+  if (typeof button === 'number') return button > BUTTON_THRESHOLD;
+  return button.pressed || button.value > BUTTON_THRESHOLD;
+};
+
+/**
+ * 讀取手把輸入
+ * @param {Gamepad} gamepad
+ * @param {object} mapping - DEFAULT_GAMEPAD_MAPPING 格式
+ * @returns {{ deadman: boolean, linear: number, angular: number, pressed: number[] }}
+ *   linear / angular 為 -1..1 的比例
+ */
+export const readGamepad = (gamepad, mapping) => {
+  const axis = (index, invert) => {
+    const value = applyDeadzone(gamepad.axes[index] || 0, mapping.deadzone);
+    return value === 0 ? 0 : (invert ? -value : value);
+  };
+  const pressed = [];
+  gamepad.buttons.forEach((button, index) => {
+    if (isButtonPressed(button)) pressed.push(index);
+  });
+
+  return {
+    deadman: pressed.includes(mapping.deadmanButton),
+    linear: axis(mapping.linearAxis, mapping.invertLinear),
+    angular: axis(mapping.angularAxis, mapping.invertAngular),
+    pressed
+  };
+};
+
+/**
+ * 依速度滑桿縮放，滑桿值即為最大輸出
+ */
+export const computeGamepadTwist = (input, speed, angularSpeed) => ({
+  linear: input.linear * speed,
+  angular: input.angular * angularSpeed
+});
+
+/**
+ * 本次輪詢新按下的按鍵
+ */
+export const getNewlyPressed = (previous, current) => current.filter(index => !previous.includes(index));
+
+/**
+ * 學習模式：找出使用者正在操作的按鍵或搖桿
+ * @returns {{ type: 'button'|'axis', index: number, value?: number } | null}
+ */
+export const detectInput = (gamepad, previousPressed = []) => {
+  const pressed = [];
+  gamepad.buttons.forEach((button, index) => {
+    if (isButtonPressed(button)) pressed.push(index);
+  });
+  const newButton = getNewlyPressed(previousPressed, pressed)[0];
+  if (newButton !== undefined) return { type: 'button', index: newButton };
+
+  let strongest = null;
+  gamepad.axes.forEach((value, index) => {
+    if (Math.abs(value) >= AXIS_LEARN_THRESHOLD && (!strongest || Math.abs(value) > Math.abs(strongest.value))) {
+      strongest = { type: 'axis', index, value };
+    }
+  });
+  return strongest;
+};
+
+/**
+ * 將學習到的輸入套用到對應欄位
+ * @param {object} mapping
+ * @param {string} field - MAPPING_LABELS 的鍵；速度預設為 'presetButtons.N'
+ * @param {{ type: string, index: number, value?: number }} input
+ * @returns {object|null} 新的對應，輸入類型不符時為 null
+ */
+export const applyLearnedInput = (mapping, field, input) => {
+  if (field === 'linearAxis' || field === 'angularAxis') {
+    if (input.type !== 'axis') return null;
+    // 學習時往「前進 / 左轉」方向推，推出負值表示需要反轉
+    const invertKey = field === 'linearAxis' ? 'invertLinear' : 'invertAngular';
+    return { ...mapping, [field]: input.index, [invertKey]: input.value < 0 };
+  }
+  if (input.type !== 'button') return null;
+  if (field.startsWith('presetButtons.')) {
+    const slot = parseInt(field.split('.')[1], 10);
+    const presetButtons = [...mapping.presetButtons];
+    presetButtons[slot] = input.index;
+    return { ...mapping, presetButtons };
+  }
+  return { ...mapping, [field]: input.index };
+};
+
+export const loadGamepadMapping = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_GAMEPAD_MAPPING, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_GAMEPAD_MAPPING };
+  }
+};
+
+export const saveGamepadMapping = (mapping) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+  } catch (e) {
+    console.log('無法儲存手把設定');
+  }
+};
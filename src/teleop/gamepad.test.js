@@ -0,0 +1,61 @@
+import {
+  applyDeadzone,
+  applyLearnedInput,
+  computeGamepadTwist,
+  DEFAULT_GAMEPAD_MAPPING,
+  detectInput,
+  getNewlyPressed,
+  readGamepad
+} from './gamepad';
+
+const makePad = ({ axes = [0, 0, 0, 0], pressed = [], values = {} } = {}) => ({
+  axes,
+  buttons: Array.from({ length: 17 }, (_, index) => ({
+    pressed: pressed.includes(index),
+    value: values[index] !== undefined ? values[index] : (pressed.includes(index) ? 1 : 0)
+  }))
+});
+
+test('applies and rescales the stick deadzone', () => {
+  expect(applyDeadzone(0.1, 0.15)).toBe(0);
+  expect(applyDeadzone(-0.15, 0.15)).toBe(0);
+  expect(applyDeadzone(1, 0.15)).toBe(1);
+  expect(applyDeadzone(-0.575, 0.15)).toBeCloseTo(-0.5);
+  expect(applyDeadzone(NaN, 0.15)).toBe(0);
+});
+
+test('maps sticks to ROS directions and requires the deadman trigger', () => {
+  // 左搖桿往上、右搖桿往左
+  const idle = readGamepad(makePad({ axes: [0, -1, -1, 0] }), DEFAULT_GAMEPAD_MAPPING);
+  expect(idle).toMatchObject({ deadman: false, linear: 1, angular: 1 });
+
+  // LT 是類比扳機，只有 value
+  const held = readGamepad(makePad({ axes: [0, 1, 0.575, 0], values: { 6: 0.8 } }), DEFAULT_GAMEPAD_MAPPING);
+  expect(held.deadman).toBe(true);
+  expect(held.linear).toBe(-1);
+  expect(held.angular).toBeCloseTo(-0.5);
+});
+
+test('scales the stick by the speed sliders', () => {
+  expect(computeGamepadTwist({ linear: 0.5, angular: -1 }, 0.4, 1.2)).toEqual({ linear: 0.2, angular: -1.2 });
+});
+
+test('reports only buttons pressed since the last poll', () => {
+  expect(getNewlyPressed([0, 6], [0, 1, 6])).toEqual([1]);
+  expect(getNewlyPressed([1], [1])).toEqual([]);
+});
+
+test('learns buttons and axes including the axis direction', () => {
+  const button = detectInput(makePad({ pressed: [4] }));
+  expect(button).toEqual({ type: 'button', index: 4 });
+  expect(applyLearnedInput(DEFAULT_GAMEPAD_MAPPING, 'deadmanButton', button).deadmanButton).toBe(4);
+  expect(applyLearnedInput(DEFAULT_GAMEPAD_MAPPING, 'presetButtons.1', button).presetButtons).toEqual([2, 4, 3]);
+  // 已按住的按鍵不算
+  expect(detectInput(makePad({ pressed: [4] }), [4])).toBeNull();
+
+  const axis = detectInput(makePad({ axes: [0, 0, 0, 0.9] }));
+  expect(axis).toMatchObject({ type: 'axis', index: 3 });
+  expect(applyLearnedInput(DEFAULT_GAMEPAD_MAPPING, 'linearAxis', axis)).toMatchObject({ linearAxis: 3, invertLinear: false });
+  expect(applyLearnedInput(DEFAULT_GAMEPAD_MAPPING, 'linearAxis', button)).toBeNull();
+  expect(applyLearnedInput(DEFAULT_GAMEPAD_MAPPING, 'estopButton', axis)).toBeNull();
+});
@@ -0,0 +1,28 @@
+// 虛擬搖桿 - 觸控位移轉為比例速度
+
+/**
+ * 將手指相對搖桿中心的位移轉為單位圓內的向量
+ * @param {number} dx - 畫面座標，往右為正
+ * @param {number} dy - 畫面座標，往下為正
+ * @param {number} radius - 搖桿可移動半徑（像素）
+ * @param {number} [deadzone] - 0..1，中心附近不輸出
+ * @returns {{ x: number, y: number }} x 往右為正、y 往上為正，長度不超過 1
+ */
+export const computeJoystickVector = (dx, dy, radius, deadzone = 0.1) => {
+  const distance = Math.hypot(dx, dy);
+  if (radius <= 0 || distance === 0) return { x: 0, y: 0 };
+  const magnitude = Math.min(1, distance / radius);
+  if (magnitude <= deadzone) return { x: 0, y: 0 };
+
+  // 重新縮放，越過死區時從 0 開始
+  const scaled = (magnitude - deadzone) / (1 - deadzone);
+  return { x: (dx / distance) * scaled, y: (-dy / distance) * scaled };
+};
+
+/**
+ * 搖桿向量轉速度：上下為線速度、左右為轉向（往左推為正角速度）
+ */
+export const joystickToTwist = (vector, speed, angularSpeed) => ({
+  linear: vector.y === 0 ? 0 : vector.y * speed,
+  angular: vector.x === 0 ? 0 : -vector.x * angularSpeed
+});
@@ -0,0 +1,20 @@
+import { computeJoystickVector, joystickToTwist } from './joystick';
+
+test('normalizes the knob offset into the unit circle with screen y flipped', () => {
+  expect(computeJoystickVector(0, -50, 50, 0)).toEqual({ x: 0, y: 1 });
+  const diagonal = computeJoystickVector(100, 100, 50, 0);
+  expect(Math.hypot(diagonal.x, diagonal.y)).toBeCloseTo(1);
+  expect(diagonal.x).toBeGreaterThan(0);
+  expect(diagonal.y).toBeLessThan(0);
+});
+
+test('ignores small offsets inside the deadzone and rescales beyond it', () => {
+  expect(computeJoystickVector(4, 0, 50, 0.1)).toEqual({ x: 0, y: 0 });
+  expect(computeJoystickVector(0, 0, 50)).toEqual({ x: 0, y: 0 });
+  expect(computeJoystickVector(27.5, 0, 50, 0.1).x).toBeCloseTo(0.5);
+});
+
+test('maps the vector to linear and angular velocity', () => {
+  expect(joystickToTwist({ x: -0.5, y: 1 }, 0.2, 1)).toEqual({ linear: 0.2, angular: 0.5 });
+  expect(joystickToTwist({ x: 0, y: 0 }, 0.2, 1)).toEqual({ linear: 0, angular: 0 });
+});
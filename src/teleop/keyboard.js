@@ -0,0 +1,78 @@
+// 鍵盤遙控 - 按鍵對應、速度組合與輸入框判斷（方向組合也用於畫面按鈕）
+
+export const DRIVE_ACTIONS = {
+  FORWARD: 'forward',
+  BACKWARD: 'backward',
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+// 以 KeyboardEvent.code 對應，與鍵盤配置及大小寫無關
+export const DRIVE_KEYS = {
+  KeyW: DRIVE_ACTIONS.FORWARD,
+  ArrowUp: DRIVE_ACTIONS.FORWARD,
+  KeyS: DRIVE_ACTIONS.BACKWARD,
+  ArrowDown: DRIVE_ACTIONS.BACKWARD,
+  KeyA: DRIVE_ACTIONS.LEFT,
+  ArrowLeft: DRIVE_ACTIONS.LEFT,
+  KeyD: DRIVE_ACTIONS.RIGHT,
+  ArrowRight: DRIVE_ACTIONS.RIGHT
+};
+
+// 調整速度滑桿：[欄位, 方向]
+export const SPEED_KEYS = {
+  Equal: ['linear', 1],
+  NumpadAdd: ['linear', 1],
+  Minus: ['linear', -1],
+  NumpadSubtract: ['linear', -1],
+  BracketRight: ['angular', 1],
+  BracketLeft: ['angular', -1]
+};
+
+export const STOP_KEY = 'Space';
+
+// 與滑桿範圍一致
+export const SPEED_LIMITS = {
+  linear: { min: 0.1, max: 1.0, step: 0.1 },
+  angular: { min: 0.1, max: 2.0, step: 0.1 }
+};
+
+/**
+ * 依按住的方向鍵組合速度，前進加左轉即為弧線
+ * @param {Iterable<string>} actions - DRIVE_ACTIONS
+ * @returns {{ linear: number, angular: number }}
+ */
+export const computeDriveTwist = (actions, speed, angularSpeed) => {
+  const held = new Set(actions);
+  const forward = (held.has(DRIVE_ACTIONS.FORWARD) ? 1 : 0) - (held.has(DRIVE_ACTIONS.BACKWARD) ? 1 : 0);
+  const turn = (held.has(DRIVE_ACTIONS.LEFT) ? 1 : 0) - (held.has(DRIVE_ACTIONS.RIGHT) ? 1 : 0);
+  // 避免產生 -0
+  return { linear: forward === 0 ? 0 : forward * speed, angular: turn === 0 ? 0 : turn * angularSpeed };
+};
+
+/**
+ * 將速度調整一格並限制在滑桿範圍內
+ * @param {'linear'|'angular'} kind
+ * @param {number} value
+ * @param {number} direction - 1 或 -1
+ */
+export const stepSpeed = (kind, value, direction) => {
+  const { min, max, step } = SPEED_LIMITS[kind];
+  const next = Math.round((value + direction * step) / step) * step;
+  return Math.max(min, Math.min(max, parseFloat(next.toFixed(2))));
+};
+
+const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'radio', 'submit', 'reset', 'file', 'color', 'image'];
+
+/**
+ * 焦點在文字輸入元件時，按鍵屬於輸入內容而非遙控
+ * 滑桿也算在內，因為方向鍵會同時改變滑桿的值
+ */
+export const isTypingTarget = (element) => {
+  if (!element || !element.tagName) return false;
+  if (element.isContentEditable) return true;
+  const tag = element.tagName.toUpperCase();
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  if (tag !== 'INPUT') return false;
+  return !NON_TEXT_INPUT_TYPES.includes((element.type || 'text').toLowerCase());
+};
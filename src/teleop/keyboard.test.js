@@ -0,0 +1,32 @@
+import { computeDriveTwist, DRIVE_ACTIONS, isTypingTarget, stepSpeed } from './keyboard';
+
+test('combines held keys into a single twist', () => {
+  const { FORWARD, BACKWARD, LEFT, RIGHT } = DRIVE_ACTIONS;
+  expect(computeDriveTwist([], 0.2, 0.5)).toEqual({ linear: 0, angular: 0 });
+  expect(computeDriveTwist([FORWARD], 0.2, 0.5)).toEqual({ linear: 0.2, angular: 0 });
+  expect(computeDriveTwist([FORWARD, LEFT], 0.2, 0.5)).toEqual({ linear: 0.2, angular: 0.5 });
+  expect(computeDriveTwist([BACKWARD, RIGHT], 0.2, 0.5)).toEqual({ linear: -0.2, angular: -0.5 });
+  // 相反方向互相抵消
+  expect(computeDriveTwist([FORWARD, BACKWARD, LEFT], 0.2, 0.5)).toEqual({ linear: 0, angular: 0.5 });
+});
+
+test('steps speeds within the slider range without float drift', () => {
+  expect(stepSpeed('linear', 0.2, 1)).toBe(0.3);
+  expect(stepSpeed('linear', 0.1, -1)).toBe(0.1);
+  expect(stepSpeed('linear', 1.0, 1)).toBe(1.0);
+  expect(stepSpeed('angular', 0.7, 1)).toBe(0.8);
+  expect(stepSpeed('angular', 2.0, 1)).toBe(2.0);
+});
+
+test('treats text fields as typing targets but not buttons', () => {
+  const make = (tag, props = {}) => Object.assign(document.createElement(tag), props);
+  expect(isTypingTarget(make('input', { type: 'text' }))).toBe(true);
+  expect(isTypingTarget(make('input', { type: 'number' }))).toBe(true);
+  expect(isTypingTarget(make('input', { type: 'range' }))).toBe(true);
+  expect(isTypingTarget(make('textarea'))).toBe(true);
+  expect(isTypingTarget(make('select'))).toBe(true);
+  expect(isTypingTarget(make('input', { type: 'checkbox' }))).toBe(false);
+  expect(isTypingTarget(make('button'))).toBe(false);
+  expect(isTypingTarget(document.body)).toBe(false);
+  expect(isTypingTarget(null)).toBe(false);
+});
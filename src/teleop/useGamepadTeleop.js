@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  applyLearnedInput,
+  computeGamepadTwist,
+  detectInput,
+  getNewlyPressed,
+  readGamepad
+} from './gamepad';
+
+const getGamepads = () => (
+  typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : []
+);
+
+/**
+ * 手把遙控：每個畫面更新輪詢手把，按住安全鍵時依搖桿比例送出速度
+ * @param {object} options
+ * @param {boolean} options.enabled
+ * @param {object} options.mapping - DEFAULT_GAMEPAD_MAPPING 格式
+ * @param {number} options.speed - 線速度上限 (m/s)
+ * @param {number} options.angularSpeed - 角速度上限 (rad/s)
+ * @param {function} options.onDrive - (linear, angular) 每次輪詢都會呼叫以維持 deadman
+ * @param {function} options.onRelease - 放開安全鍵
+ * @param {function} options.onEstop
+ * @param {function} options.onPreset - (presetIndex)
+ * @param {function} options.onMappingChange - (mapping) 學習模式完成
+ * @returns {{ gamepad: { id: string }|null, deadman: boolean, learning: string|null, learn: function, cancelLearn: function }}
+ */
+const useGamepadTeleop = ({
+  enabled,
+  mapping,
+  speed,
+  angularSpeed,
+  onDrive,
+  onRelease,
+  onEstop,
+  onPreset,
+  onMappingChange
+}) => {
+  const [gamepad, setGamepad] = useState(null);
+  const [deadman, setDeadman] = useState(false);
+  const [learning, setLearning] = useState(null);
+  const latest = useRef({});
+  latest.current = { mapping, speed, angularSpeed, onDrive, onRelease, onEstop, onPreset, onMappingChange, learning };
+
+  // 連接狀態：部分瀏覽器要按下按鍵後才會觸發 gamepadconnected
+  useEffect(() => {
+    const update = () => {
+      const [first] = getGamepads();
+      setGamepad(first ? { id: first.id, index: first.index } : null);
+    };
+    update();
+    window.addEventListener('gamepadconnected', update);
+    window.addEventListener('gamepaddisconnected', update);
+    return () => {
+      window.removeEventListener('gamepadconnected', update);
+      window.removeEventListener('gamepaddisconnected', update);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !gamepad) return undefined;
+    let frame = null;
+    let previousPressed = [];
+    let wasDeadman = false;
+    // 緊急停止後鎖定，須放開安全鍵再重新按下才會恢復移動
+    let estopLatched = false;
+
+    const poll = () => {
+      frame = requestAnimationFrame(poll);
+      const pad = getGamepads().find(p => p.index === gamepad.index);
+      if (!pad) return;
+      const current = latest.current;
+
+      if (current.learning) {
+        const input = detectInput(pad, previousPressed);
+        const next = input && applyLearnedInput(current.mapping, current.learning, input);
+        if (next) {
+          current.onMappingChange(next);
+          setLearning(null);
+        }
+        previousPressed = readGamepad(pad, current.mapping).pressed;
+        return;
+      }
+
+      const input = readGamepad(pad, current.mapping);
+      const newlyPressed = getNewlyPressed(previousPressed, input.pressed);
+      previousPressed = input.pressed;
+
+      if (newlyPressed.includes(current.mapping.estopButton)) {
+        estopLatched = true;
+        wasDeadman = false;
+        setDeadman(false);
+        current.onEstop();
+        return;
+      }
+      current.mapping.presetButtons.forEach((button, preset) => {
+        if (newlyPressed.includes(button)) current.onPreset(preset);
+      });
+
+      if (estopLatched) {
+        if (!input.deadman) estopLatched = false;
+        return;
+      }
+
+      if (input.deadman) {
+        const { linear, angular } = computeGamepadTwist(input, current.speed, current.angularSpeed);
+        current.onDrive(linear, angular);
+      } else if (wasDeadman) {
+        current.onRelease();
+      }
+      if (input.deadman !== wasDeadman) {
+        wasDeadman = input.deadman;
+        setDeadman(input.deadman);
+      }
+    };
+    frame = requestAnimationFrame(poll);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      if (wasDeadman) latest.current.onRelease();
+      setDeadman(false);
+    };
+  }, [enabled, gamepad]);
+
+  return {
+    gamepad,
+    deadman,
+    learning,
+    learn: setLearning,
+    cancelLearn: () => setLearning(null)
+  };
+};
+
+export default useGamepadTeleop;
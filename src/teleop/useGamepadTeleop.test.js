@@ -0,0 +1,72 @@
+import { act, renderHook } from '@testing-library/react';
+import useGamepadTeleop from './useGamepadTeleop';
+import { DEFAULT_GAMEPAD_MAPPING } from './gamepad';
+
+const createPad = () => ({
+  id: 'Test Pad',
+  index: 0,
+  axes: [0, -1, 0, 0],
+  buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }))
+});
+
+describe('useGamepadTeleop', () => {
+  let pad;
+  let frames;
+
+  const press = (button, pressed) => {
+    pad.buttons[button] = { pressed, value: pressed ? 1 : 0 };
+  };
+
+  const step = () => act(() => {
+    frames.splice(0).forEach(callback => callback());
+  });
+
+  beforeEach(() => {
+    pad = createPad();
+    frames = [];
+    navigator.getGamepads = () => [pad];
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => frames.push(callback));
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete navigator.getGamepads;
+  });
+
+  const renderTeleop = (handlers) => renderHook(() => useGamepadTeleop({
+    enabled: true,
+    mapping: DEFAULT_GAMEPAD_MAPPING,
+    speed: 0.5,
+    angularSpeed: 1,
+    onRelease: () => {},
+    onPreset: () => {},
+    onMappingChange: () => {},
+    ...handlers
+  }));
+
+  test('緊急停止後按住安全鍵不會恢復移動，放開再按下才恢復', () => {
+    const onDrive = jest.fn();
+    const onEstop = jest.fn();
+    renderTeleop({ onDrive, onEstop });
+
+    press(DEFAULT_GAMEPAD_MAPPING.deadmanButton, true);
+    step();
+    expect(onDrive).toHaveBeenCalledWith(0.5, 0);
+
+    onDrive.mockClear();
+    press(DEFAULT_GAMEPAD_MAPPING.estopButton, true);
+    step();
+    press(DEFAULT_GAMEPAD_MAPPING.estopButton, false);
+    step();
+    step();
+    expect(onEstop).toHaveBeenCalledTimes(1);
+    expect(onDrive).not.toHaveBeenCalled();
+
+    press(DEFAULT_GAMEPAD_MAPPING.deadmanButton, false);
+    step();
+    press(DEFAULT_GAMEPAD_MAPPING.deadmanButton, true);
+    step();
+    expect(onDrive).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  DRIVE_KEYS,
+  isTypingTarget,
+  SPEED_KEYS,
+  STOP_KEY,
+  stepSpeed
+} from './keyboard';
+
+/**
+ * 鍵盤遙控：追蹤按住的 WASD / 方向鍵，由呼叫端依回傳的方向串流 cmd_vel
+ * @param {object} options
+ * @param {boolean} options.enabled
+ * @param {number} options.speed - 線速度 (m/s)
+ * @param {number} options.angularSpeed - 角速度 (rad/s)
+ * @param {function} options.onStop - 空白鍵停止
+ * @param {function} options.onSpeedChange - (speed)
+ * @param {function} options.onAngularSpeedChange - (angularSpeed)
+ * @returns {string[]} 目前按住的方向（DRIVE_ACTIONS）
+ */
+const useKeyboardTeleop = ({
+  enabled,
+  speed,
+  angularSpeed,
+  onStop,
+  onSpeedChange,
+  onAngularSpeedChange
+}) => {
+  // code → action，同一方向可由兩個按鍵觸發
+  const pressedRef = useRef(new Map());
+  const [activeActions, setActiveActions] = useState([]);
+  const latest = useRef({});
+  latest.current = { speed, angularSpeed, onStop, onSpeedChange, onAngularSpeedChange };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const pressed = pressedRef.current;
+
+    const updateActive = () => setActiveActions([...new Set(pressed.values())]);
+
+    const release = () => {
+      if (pressed.size === 0) return;
+      pressed.clear();
+      updateActive();
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return;
+      const { code } = event;
+
+      if (DRIVE_KEYS[code]) {
+        event.preventDefault();
+        if (!pressed.has(code)) {
+          pressed.set(code, DRIVE_KEYS[code]);
+          updateActive();
+        }
+      } else if (code === STOP_KEY) {
+        event.preventDefault();
+        if (event.repeat) return;
+        pressed.clear();
+        updateActive();
+        latest.current.onStop();
+      } else if (SPEED_KEYS[code]) {
+        event.preventDefault();
+        const [kind, direction] = SPEED_KEYS[code];
+        if (kind === 'linear') {
+          latest.current.onSpeedChange(stepSpeed('linear', latest.current.speed, direction));
+        } else {
+          latest.current.onAngularSpeedChange(stepSpeed('angular', latest.current.angularSpeed, direction));
+        }
+      }
+    };
+
+    const handleKeyUp = (event) => {
+      if (!pressed.has(event.code)) return;
+      pressed.delete(event.code);
+      updateActive();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    // 切換視窗時收不到 keyup，視為全部放開
+    window.addEventListener('blur', release);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', release);
+      release();
+    };
+  }, [enabled]);
+
+  return activeActions;
+};
+
+export default useKeyboardTeleop;
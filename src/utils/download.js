@@ -0,0 +1,33 @@
+// 瀏覽器檔案下載與讀取輔助函數
+
+/**
+ * 觸發瀏覽器下載
+ * @param {string} filename
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content
+ * @param {string} [mimeType]
+ */
+export const downloadFile = (filename, content, mimeType = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('讀取檔案失敗'));
+  reader.readAsText(file);
+});
+
+export const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('讀取檔案失敗'));
+  reader.readAsArrayBuffer(file);
+});